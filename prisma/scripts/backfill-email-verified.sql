@@ -0,0 +1,13 @@
+-- One-off backfill untuk user yang sudah ada sebelum fitur verifikasi email
+-- (prisma db push mengisi emailVerified = false untuk semua baris lama, sehingga login mereka ditolak 403)
+--
+-- Jalankan sekali setelah push schema yang menambahkan kolom emailVerified:
+--   npm run prisma:backfill-email-verified
+--
+-- Aman dijalankan ulang: user yang belum verifikasi setelah fitur ini aktif selalu punya
+-- verificationToken (register, resend verification, email diganti admin), jadi tidak ikut ter-update
+UPDATE "users"
+SET "emailVerified" = true,
+    "emailVerifiedAt" = "createdAt"
+WHERE "emailVerified" = false
+  AND "verificationToken" IS NULL;
@@ -0,0 +1,120 @@
+import nodemailer from 'nodemailer';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Mail Transport Configuration
+ * Pilih transport lewat MAIL_TRANSPORT:
+ * - smtp    : kirim email beneran lewat SMTP server
+ * - console : print email ke console (default untuk development)
+ * - file    : simpan email sebagai file .eml di MAIL_OUTPUT_DIR
+ *
+ * Config dibaca saat dipakai (bukan saat import) supaya nilai dari .env sudah ter-load
+ */
+
+export const getMailConfig = () => ({
+  transport: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console'),
+  from: process.env.MAIL_FROM || 'BETalentBoard <no-reply@betalentboard.com>',
+  outputDir: process.env.MAIL_OUTPUT_DIR || 'tmp/mails',
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  }
+});
+
+/**
+ * SMTP transport
+ */
+const createSmtpTransport = (config) => {
+  const transporter = nodemailer.createTransport(config.smtp);
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+/**
+ * Console transport - hanya untuk local development
+ */
+const createConsoleTransport = () => {
+  return {
+    name: 'console',
+    send: async (message) => {
+      console.log('Mail (console transport):');
+      console.log(`  To: ${message.to}`);
+      console.log(`  Subject: ${message.subject}`);
+      console.log(message.text);
+      return { messageId: null };
+    }
+  };
+};
+
+/**
+ * File transport - simpan email lengkap (.eml) untuk dicek manual
+ */
+const createFileTransport = (config) => {
+  const transporter = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+    newline: 'unix'
+  });
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      await fs.mkdir(config.outputDir, { recursive: true });
+
+      const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}.eml`;
+      const filePath = path.join(config.outputDir, filename);
+      await fs.writeFile(filePath, info.message);
+
+      console.log(`Mail saved to ${filePath}`);
+      return { messageId: info.messageId, path: filePath };
+    }
+  };
+};
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  console: createConsoleTransport,
+  file: createFileTransport
+};
+
+let activeTransport = null;
+
+/**
+ * Ambil transport yang aktif (dibuat sekali, lalu di-reuse)
+ */
+export const getMailTransport = () => {
+  if (!activeTransport) {
+    const config = getMailConfig();
+    const factory = transportFactories[config.transport];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${config.transport}`);
+    }
+
+    activeTransport = factory(config);
+  }
+
+  return activeTransport;
+};
+
+/**
+ * Ganti transport secara manual (misal custom transport untuk integrasi lain)
+ * @param {Object} transport - Object dengan method async send(message)
+ */
+export const setMailTransport = (transport) => {
+  activeTransport = transport;
+};
+
+export default getMailTransport;
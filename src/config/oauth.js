@@ -0,0 +1,104 @@
+/**
+ * OAuth2 / OpenID Connect Provider Configuration
+ * Provider aktif diatur lewat OAUTH_PROVIDERS (misal: google,github,linkedin)
+ *
+ * Setiap provider dibaca dari env dengan prefix OAUTH_<NAMA>_:
+ * - CLIENT_ID, CLIENT_SECRET (wajib)
+ * - ISSUER            : issuer OIDC, endpoint diambil dari /.well-known/openid-configuration
+ * - AUTHORIZATION_URL, TOKEN_URL, USERINFO_URL, JWKS_URL : override / untuk provider non-OIDC
+ * - SCOPES            : dipisah spasi (default "openid email profile")
+ * - REDIRECT_URI      : default {OAUTH_REDIRECT_BASE_URL}/api/auth/oauth/<nama>/callback
+ * - TOKEN_AUTH_METHOD : client_secret_post (default) atau client_secret_basic
+ *
+ * Provider dengan nama lain (misal "mock") cukup isi ISSUER-nya,
+ * jadi bisa dites ke mock OIDC server lokal
+ *
+ * Config dibaca saat dipakai (bukan saat import) supaya nilai dari .env sudah ter-load
+ */
+
+// Default untuk provider yang sudah dikenal
+const PRESETS = {
+  google: {
+    displayName: 'Google',
+    issuer: 'https://accounts.google.com',
+    scopes: 'openid email profile'
+  },
+  linkedin: {
+    displayName: 'LinkedIn',
+    issuer: 'https://www.linkedin.com/oauth',
+    scopes: 'openid email profile'
+  },
+  // GitHub bukan OIDC: tidak ada id_token, profil & email diambil dari REST API
+  github: {
+    displayName: 'GitHub',
+    oidc: false,
+    authorizationUrl: 'https://github.com/login/oauth/authorize',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    userinfoUrl: 'https://api.github.com/user',
+    emailsUrl: 'https://api.github.com/user/emails',
+    scopes: 'read:user user:email'
+  }
+};
+
+const apiBaseUrl = () => process.env.OAUTH_REDIRECT_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+/**
+ * Ambil config satu provider
+ * @param {String} name - Nama provider (lowercase)
+ * @returns {Object|null} - Config provider, null kalau tidak aktif / belum lengkap
+ */
+export const getOAuthProvider = (name) => {
+  const key = String(name || '').toLowerCase();
+
+  if (!/^[a-z0-9-]+$/.test(key) || !getEnabledProviderNames().includes(key)) {
+    return null;
+  }
+
+  const env = (field) => process.env[`OAUTH_${key.toUpperCase().replace(/-/g, '_')}_${field}`];
+  const preset = PRESETS[key] || {};
+
+  const provider = {
+    name: key,
+    displayName: env('DISPLAY_NAME') || preset.displayName || key,
+    oidc: preset.oidc !== false,
+    clientId: env('CLIENT_ID'),
+    clientSecret: env('CLIENT_SECRET'),
+    issuer: env('ISSUER') || preset.issuer || null,
+    authorizationUrl: env('AUTHORIZATION_URL') || preset.authorizationUrl || null,
+    tokenUrl: env('TOKEN_URL') || preset.tokenUrl || null,
+    userinfoUrl: env('USERINFO_URL') || preset.userinfoUrl || null,
+    jwksUrl: env('JWKS_URL') || preset.jwksUrl || null,
+    emailsUrl: preset.emailsUrl || null,
+    scopes: env('SCOPES') || preset.scopes || 'openid email profile',
+    redirectUri: env('REDIRECT_URI') || `${apiBaseUrl()}/api/auth/oauth/${key}/callback`,
+    tokenAuthMethod: env('TOKEN_AUTH_METHOD') || preset.tokenAuthMethod || 'client_secret_post'
+  };
+
+  // Minimal harus ada client id dan cara menemukan endpoint
+  if (!provider.clientId || (!provider.issuer && !(provider.authorizationUrl && provider.tokenUrl))) {
+    return null;
+  }
+
+  return provider;
+};
+
+/**
+ * Nama provider yang diaktifkan lewat OAUTH_PROVIDERS
+ */
+export const getEnabledProviderNames = () => {
+  return (process.env.OAUTH_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+/**
+ * Semua provider yang aktif dan config-nya lengkap
+ */
+export const getOAuthProviders = () => {
+  return getEnabledProviderNames()
+    .map(getOAuthProvider)
+    .filter(Boolean);
+};
+
+export default getOAuthProviders;
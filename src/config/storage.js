@@ -0,0 +1,263 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createS3Client } from '../utils/s3Client.js';
+
+/**
+ * File Storage Configuration
+ * Semua file upload (avatar, resume) disimpan lewat storage driver, pilih lewat STORAGE_DRIVER:
+ * - local : simpan di disk (STORAGE_LOCAL_DIR, default storage), default untuk development / satu instance
+ * - s3    : storage S3-compatible (AWS S3, MinIO, R2) lewat S3_*, untuk deploy multi-instance
+ *
+ * Interface driver: put(key, buffer, { contentType }), get(key) -> Buffer|null, delete(key),
+ * signedUrl(key, { expiresIn, fileName }) -> URL sementara untuk download tanpa login
+ *
+ * File dengan prefix public (avatars/) bisa diakses semua orang lewat GET /files/<key>,
+ * file lain hanya lewat signed URL
+ *
+ * Config dibaca saat dipakai (bukan saat import) supaya nilai dari .env sudah ter-load
+ */
+
+export const PUBLIC_PREFIXES = ['avatars/'];
+
+const FILES_PATH = '/files/';
+
+export const getStorageConfig = () => ({
+  driver: process.env.STORAGE_DRIVER || 'local',
+  signedUrlExpiresIn: parseInt(process.env.STORAGE_SIGNED_URL_EXPIRES_SECONDS || '300'),
+  local: {
+    dir: process.env.STORAGE_LOCAL_DIR || 'storage'
+  },
+  s3: {
+    endpoint: process.env.S3_ENDPOINT || null,
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    // MinIO & endpoint custom lain biasanya hanya mendukung path-style (http://host/bucket/key)
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : Boolean(process.env.S3_ENDPOINT)
+  }
+});
+
+/**
+ * Key valid: segment dipisah "/", hanya huruf, angka, titik, underscore, dash dan tidak diawali titik
+ * (jadi tidak ada "..", path absolut atau hidden file)
+ */
+export const isValidStorageKey = (key) => typeof key === 'string'
+  && key.length <= 512
+  && /^[A-Za-z0-9_-][A-Za-z0-9._-]*(\/[A-Za-z0-9_-][A-Za-z0-9._-]*)*$/.test(key);
+
+const assertValidKey = (key) => {
+  if (!isValidStorageKey(key)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+};
+
+export const isPublicKey = (key) => PUBLIC_PREFIXES.some(prefix => key.startsWith(prefix));
+
+/**
+ * URL public untuk file dengan prefix public (disimpan di database, misal User.avatar)
+ */
+export const getPublicUrl = (key) => `${FILES_PATH}${key}`;
+
+/**
+ * Kebalikan getPublicUrl: key dari URL yang disimpan di database
+ * @returns {String|null} - Null untuk URL lain (URL eksternal, /uploads lama)
+ */
+export const getKeyFromUrl = (url) => {
+  if (!url || !url.startsWith(FILES_PATH)) {
+    return null;
+  }
+
+  const key = url.slice(FILES_PATH.length);
+  return isValidStorageKey(key) ? key : null;
+};
+
+/**
+ * Cek key milik user: semua key upload berformat <prefix>/<userId>/...
+ * Dipakai untuk URL yang diisi client (misal User.resume) supaya tidak menunjuk file user lain
+ */
+export const isUserKey = (key, userId) => key.split('/')[1] === userId;
+
+/**
+ * Header Content-Disposition untuk download (ASCII fallback + filename* UTF-8)
+ */
+export const attachmentDisposition = (fileName) => {
+  const asciiName = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+let fallbackSecret = null;
+
+/**
+ * Secret untuk signed URL local: STORAGE_SIGNING_SECRET, fallback ke JWT_SECRET
+ * Kalau dua-duanya kosong, pakai secret random per proses
+ */
+const signingSecret = () => {
+  const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+  if (secret) {
+    return secret;
+  }
+
+  if (!fallbackSecret) {
+    console.warn('STORAGE_SIGNING_SECRET is not set, using a per-process secret (signed URLs will not work across instances or restarts)');
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+  }
+
+  return fallbackSecret;
+};
+
+const signFileUrl = (key, expires, fileName) => crypto
+  .createHmac('sha256', signingSecret())
+  .update(`${key}\n${expires}\n${fileName}`)
+  .digest('base64url');
+
+/**
+ * Cek signed URL buatan driver local
+ * @param {String} key - Storage key
+ * @param {Object} query - { expires, name, signature } dari query string
+ * @returns {Boolean}
+ */
+export const verifySignedFileUrl = (key, { expires, name = '', signature } = {}) => {
+  if (typeof expires !== 'string' || typeof name !== 'string' || typeof signature !== 'string') {
+    return false;
+  }
+
+  if (!/^\d+$/.test(expires) || parseInt(expires) * 1000 < Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(signFileUrl(key, expires, name));
+  const actual = Buffer.from(signature);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Local disk driver
+ */
+const createLocalDriver = (config) => {
+  const root = path.resolve(config.local.dir);
+
+  const filePath = (key) => {
+    assertValidKey(key);
+    const resolved = path.resolve(root, key);
+
+    if (!resolved.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return resolved;
+  };
+
+  return {
+    name: 'local',
+    put: async (key, buffer) => {
+      const target = filePath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, buffer);
+    },
+    get: async (key) => {
+      try {
+        return await fs.promises.readFile(filePath(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+    delete: async (key) => {
+      try {
+        await fs.promises.unlink(filePath(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    },
+    // Diverifikasi & dilayani oleh GET /files/<key>
+    signedUrl: (key, { expiresIn = config.signedUrlExpiresIn, fileName = '' } = {}) => {
+      assertValidKey(key);
+      const expires = String(Math.floor(Date.now() / 1000) + expiresIn);
+      const query = new URLSearchParams({ expires, ...(fileName && { name: fileName }) });
+      query.set('signature', signFileUrl(key, expires, fileName));
+
+      return `${FILES_PATH}${key}?${query}`;
+    }
+  };
+};
+
+/**
+ * S3-compatible driver
+ */
+const createS3Driver = (config) => {
+  const { bucket, accessKeyId, secretAccessKey } = config.s3;
+
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required for the s3 storage driver');
+  }
+
+  const client = createS3Client(config.s3);
+
+  return {
+    name: 's3',
+    put: async (key, buffer, { contentType } = {}) => {
+      assertValidKey(key);
+      await client.putObject(key, buffer, contentType || 'application/octet-stream');
+    },
+    get: async (key) => {
+      assertValidKey(key);
+      return await client.getObject(key);
+    },
+    delete: async (key) => {
+      assertValidKey(key);
+      await client.deleteObject(key);
+    },
+    signedUrl: (key, { expiresIn = config.signedUrlExpiresIn, fileName = '' } = {}) => {
+      assertValidKey(key);
+      return client.presignGetObject(key, {
+        expiresIn,
+        responseHeaders: fileName ? { 'response-content-disposition': attachmentDisposition(fileName) } : {}
+      });
+    }
+  };
+};
+
+const driverFactories = {
+  local: createLocalDriver,
+  s3: createS3Driver
+};
+
+let activeStorage = null;
+
+/**
+ * Ambil storage driver yang aktif (dibuat sekali, lalu di-reuse)
+ */
+export const getStorage = () => {
+  if (!activeStorage) {
+    const config = getStorageConfig();
+    const factory = driverFactories[config.driver];
+
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${config.driver}`);
+    }
+
+    activeStorage = factory(config);
+  }
+
+  return activeStorage;
+};
+
+/**
+ * Ganti storage driver secara manual (misal driver custom / in-memory)
+ * @param {Object} storage - Object dengan method put, get, delete, signedUrl
+ */
+export const setStorage = (storage) => {
+  activeStorage = storage;
+};
+
+export default getStorage;
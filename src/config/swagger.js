@@ -39,6 +39,30 @@ const swaggerDefinition = {
     {
       name: 'Job Applications',
       description: 'Job application management endpoints'
+    },
+    {
+      name: 'Two-Factor Authentication',
+      description: 'TOTP enrollment, verification and recovery codes'
+    },
+    {
+      name: 'Admin',
+      description: 'Admin-only security and platform settings'
+    },
+    {
+      name: 'Social Login',
+      description: 'OAuth2 / OpenID Connect login and account linking'
+    },
+    {
+      name: 'Organizations',
+      description: 'Hiring team organizations and invitations'
+    },
+    {
+      name: 'Resumes',
+      description: 'Resume uploads and access-controlled downloads'
+    },
+    {
+      name: 'Files',
+      description: 'Uploaded files served from the storage driver'
     }
   ],
   servers: [
@@ -58,6 +82,18 @@ const swaggerDefinition = {
         scheme: 'bearer',
         bearerFormat: 'JWT',
         description: 'JWT Authorization header using the Bearer scheme. Example: "Authorization: Bearer {token}"'
+      },
+      apiKeyAuth: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-API-Key',
+        description: 'Personal API key (btb_...). Only accepted on endpoints that list the required scope'
+      },
+      csrfToken: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-CSRF-Token',
+        description: 'Required on POST/PUT/PATCH/DELETE when authenticating with cookies instead of a Bearer token. Get it from GET /api/auth/csrf-token'
       }
     },
     schemas: {
@@ -96,11 +132,31 @@ const swaggerDefinition = {
             description: 'User active status',
             example: true
           },
+          emailVerified: {
+            type: 'boolean',
+            description: 'Whether the user has confirmed their email address',
+            example: true
+          },
+          twoFactorEnabled: {
+            type: 'boolean',
+            description: 'Whether two-factor authentication (TOTP) is enabled',
+            example: false
+          },
           avatar: {
             type: 'string',
             nullable: true,
-            description: 'User avatar URL',
-            example: '/uploads/avatars/avatar.jpg'
+            description: 'User avatar URL (largest rendition)',
+            example: '/files/avatars/8f14e45f-ceea-467f-a0e6-8b7a1d2c3f4e/2c1f0b6e-7d3a-4f4e-9a51-3b0f6d7c8e21/512.webp'
+          },
+          avatarRenditions: {
+            type: 'object',
+            nullable: true,
+            description: 'Square WebP avatar renditions (profile responses only)',
+            properties: {
+              small: { type: 'string', description: '64x64', example: '/files/avatars/8f14e45f-ceea-467f-a0e6-8b7a1d2c3f4e/2c1f0b6e-7d3a-4f4e-9a51-3b0f6d7c8e21/64.webp' },
+              medium: { type: 'string', description: '128x128', example: '/files/avatars/8f14e45f-ceea-467f-a0e6-8b7a1d2c3f4e/2c1f0b6e-7d3a-4f4e-9a51-3b0f6d7c8e21/128.webp' },
+              large: { type: 'string', description: '512x512', example: '/files/avatars/8f14e45f-ceea-467f-a0e6-8b7a1d2c3f4e/2c1f0b6e-7d3a-4f4e-9a51-3b0f6d7c8e21/512.webp' }
+            }
           },
           bio: {
             type: 'string',
@@ -114,6 +170,20 @@ const swaggerDefinition = {
             description: 'User location',
             example: 'Jakarta, Indonesia'
           },
+          phone: {
+            type: 'string',
+            nullable: true,
+            description: 'User phone number (own profile only)',
+            example: '+62 812-3456-7890'
+          },
+          links: {
+            type: 'array',
+            items: {
+              type: 'string'
+            },
+            description: 'Portfolio / LinkedIn / GitHub URLs',
+            example: ['https://linkedin.com/in/johndoe', 'https://github.com/johndoe']
+          },
           skills: {
             type: 'array',
             items: {
@@ -122,16 +192,30 @@ const swaggerDefinition = {
             description: 'User skills',
             example: ['JavaScript', 'Node.js', 'React', 'PostgreSQL']
           },
+          experienceNote: {
+            type: 'string',
+            nullable: true,
+            description: 'Free-text work experience note (legacy, see Experience records)',
+            example: '5 years in software development'
+          },
+          educationNote: {
+            type: 'string',
+            nullable: true,
+            description: 'Free-text education note (legacy, see Education records)',
+            example: 'Computer Science, University XYZ'
+          },
           experience: {
             type: 'string',
             nullable: true,
-            description: 'User work experience',
+            deprecated: true,
+            description: 'Same value as experienceNote, kept for older clients',
             example: '5 years in software development'
           },
           education: {
             type: 'string',
             nullable: true,
-            description: 'User education background',
+            deprecated: true,
+            description: 'Same value as educationNote, kept for older clients',
             example: 'Computer Science, University XYZ'
           },
           resume: {
@@ -140,6 +224,13 @@ const swaggerDefinition = {
             description: 'URL to user resume file',
             example: 'https://example.com/resume.pdf'
           },
+          deletionScheduledAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            description: 'When the account will be permanently deleted (only while a self-deletion is pending). Also returned on login so clients can offer POST /api/users/me/deletion/cancel',
+            example: null
+          },
           createdAt: {
             type: 'string',
             format: 'date-time',
@@ -345,9 +436,15 @@ const swaggerDefinition = {
           resume: {
             type: 'string',
             nullable: true,
-            description: 'Resume URL',
+            description: 'External resume URL (legacy)',
             example: 'https://example.com/resume.pdf'
           },
+          resumeId: {
+            type: 'string',
+            nullable: true,
+            description: 'Uploaded resume version attached to the application',
+            example: 'clresume123'
+          },
           status: {
             type: 'string',
             enum: ['PENDING', 'REVIEWED', 'ACCEPTED', 'REJECTED'],
@@ -366,6 +463,535 @@ const swaggerDefinition = {
           }
         }
       },
+      AuditLog: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            example: 'claudit123'
+          },
+          action: {
+            type: 'string',
+            example: 'USER_ROLE_CHANGED'
+          },
+          actorId: {
+            type: 'string',
+            nullable: true,
+            description: 'User who performed the action (null for anonymous events such as failed logins)'
+          },
+          impersonatorId: {
+            type: 'string',
+            nullable: true,
+            description: 'Admin impersonating the actor, if any'
+          },
+          targetType: {
+            type: 'string',
+            nullable: true,
+            example: 'USER'
+          },
+          targetId: {
+            type: 'string',
+            nullable: true
+          },
+          ipAddress: {
+            type: 'string',
+            nullable: true,
+            example: '203.0.113.10'
+          },
+          userAgent: {
+            type: 'string',
+            nullable: true
+          },
+          metadata: {
+            type: 'object',
+            nullable: true,
+            example: { changes: { role: { from: 'USER', to: 'RECRUITER' } } }
+          },
+          actor: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              id: { type: 'string' },
+              email: { type: 'string' },
+              name: { type: 'string' }
+            }
+          },
+          impersonator: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              id: { type: 'string' },
+              email: { type: 'string' },
+              name: { type: 'string' }
+            }
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time',
+            example: '2025-11-02T10:30:00.000Z'
+          }
+        }
+      },
+      RecruiterRequest: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            example: 'clrecruiter123'
+          },
+          userId: {
+            type: 'string'
+          },
+          companyName: {
+            type: 'string',
+            example: 'Acme Corp'
+          },
+          companyWebsite: {
+            type: 'string',
+            nullable: true,
+            example: 'https://acme.com'
+          },
+          companyDomain: {
+            type: 'string',
+            nullable: true,
+            example: 'acme.com'
+          },
+          jobTitle: {
+            type: 'string',
+            nullable: true,
+            example: 'HR Manager'
+          },
+          message: {
+            type: 'string',
+            nullable: true
+          },
+          emailDomainMatch: {
+            type: 'boolean',
+            nullable: true,
+            description: 'Whether the user email uses the company domain (null when no website was given)'
+          },
+          status: {
+            type: 'string',
+            enum: ['PENDING', 'APPROVED', 'REJECTED']
+          },
+          reviewNote: {
+            type: 'string',
+            nullable: true
+          },
+          reviewedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          user: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              email: { type: 'string' },
+              name: { type: 'string' },
+              role: { type: 'string' },
+              emailVerified: { type: 'boolean' }
+            }
+          },
+          reviewedBy: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              id: { type: 'string' },
+              email: { type: 'string' },
+              name: { type: 'string' }
+            }
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time',
+            example: '2025-11-02T10:30:00.000Z'
+          }
+        }
+      },
+      Organization: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            example: 'clorg123'
+          },
+          name: {
+            type: 'string',
+            example: 'Acme Corp'
+          },
+          domain: {
+            type: 'string',
+            nullable: true,
+            example: 'acme.com'
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time'
+          },
+          updatedAt: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      Resume: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            example: 'clresume123'
+          },
+          version: {
+            type: 'integer',
+            example: 2
+          },
+          fileName: {
+            type: 'string',
+            example: 'john-doe-cv.pdf'
+          },
+          mimeType: {
+            type: 'string',
+            enum: ['application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+          },
+          size: {
+            type: 'integer',
+            description: 'File size in bytes',
+            example: 184320
+          },
+          downloadUrl: {
+            type: 'string',
+            example: '/api/resumes/clresume123/download'
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      Experience: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            example: 'clexp123'
+          },
+          employer: {
+            type: 'string',
+            example: 'Acme Corp'
+          },
+          title: {
+            type: 'string',
+            example: 'Backend Engineer'
+          },
+          location: {
+            type: 'string',
+            nullable: true,
+            example: 'Jakarta, Indonesia'
+          },
+          startDate: {
+            type: 'string',
+            format: 'date',
+            example: '2021-03-01'
+          },
+          endDate: {
+            type: 'string',
+            format: 'date',
+            nullable: true,
+            description: 'Null for a current position'
+          },
+          isCurrent: {
+            type: 'boolean',
+            example: true
+          },
+          description: {
+            type: 'string',
+            nullable: true
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time'
+          },
+          updatedAt: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      ExperienceInput: {
+        type: 'object',
+        required: ['employer', 'title', 'startDate'],
+        properties: {
+          employer: {
+            type: 'string',
+            maxLength: 200,
+            example: 'Acme Corp'
+          },
+          title: {
+            type: 'string',
+            maxLength: 200,
+            example: 'Backend Engineer'
+          },
+          location: {
+            type: 'string',
+            maxLength: 200,
+            example: 'Jakarta, Indonesia'
+          },
+          startDate: {
+            type: 'string',
+            description: 'YYYY-MM or YYYY-MM-DD',
+            example: '2021-03'
+          },
+          endDate: {
+            type: 'string',
+            nullable: true,
+            description: 'YYYY-MM or YYYY-MM-DD, must be empty when isCurrent is true',
+            example: '2023-08'
+          },
+          isCurrent: {
+            type: 'boolean',
+            default: false
+          },
+          description: {
+            type: 'string',
+            maxLength: 5000
+          }
+        }
+      },
+      Education: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            example: 'cledu123'
+          },
+          institution: {
+            type: 'string',
+            example: 'Universitas Indonesia'
+          },
+          degree: {
+            type: 'string',
+            nullable: true,
+            enum: ['HIGH_SCHOOL', 'DIPLOMA', 'BACHELOR', 'MASTER', 'DOCTORATE', 'OTHER'],
+            example: 'BACHELOR'
+          },
+          fieldOfStudy: {
+            type: 'string',
+            nullable: true,
+            example: 'Computer Science'
+          },
+          startDate: {
+            type: 'string',
+            format: 'date',
+            nullable: true,
+            example: '2016-08-01'
+          },
+          endDate: {
+            type: 'string',
+            format: 'date',
+            nullable: true,
+            example: '2020-07-01'
+          },
+          isCurrent: {
+            type: 'boolean',
+            example: false
+          },
+          description: {
+            type: 'string',
+            nullable: true
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time'
+          },
+          updatedAt: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      EducationInput: {
+        type: 'object',
+        required: ['institution'],
+        properties: {
+          institution: {
+            type: 'string',
+            maxLength: 200,
+            example: 'Universitas Indonesia'
+          },
+          degree: {
+            type: 'string',
+            enum: ['HIGH_SCHOOL', 'DIPLOMA', 'BACHELOR', 'MASTER', 'DOCTORATE', 'OTHER'],
+            example: 'BACHELOR'
+          },
+          fieldOfStudy: {
+            type: 'string',
+            maxLength: 200,
+            example: 'Computer Science'
+          },
+          startDate: {
+            type: 'string',
+            description: 'YYYY-MM or YYYY-MM-DD',
+            example: '2016-08'
+          },
+          endDate: {
+            type: 'string',
+            nullable: true,
+            description: 'YYYY-MM or YYYY-MM-DD, must be empty when isCurrent is true',
+            example: '2020-07'
+          },
+          isCurrent: {
+            type: 'boolean',
+            default: false
+          },
+          description: {
+            type: 'string',
+            maxLength: 5000
+          }
+        }
+      },
+      ProfileSuggestions: {
+        type: 'object',
+        nullable: true,
+        description: 'Profile changes suggested from the resume content (null when the resume could not be parsed). Nothing is saved until the user sends the accepted part of changes to PUT /api/users/me',
+        properties: {
+          changes: {
+            type: 'object',
+            description: 'Only the fields with suggestions are present, ready to be sent to PUT /api/users/me',
+            properties: {
+              name: { type: 'string', example: 'Budi Santoso' },
+              location: { type: 'string', example: 'Jakarta, Indonesia' },
+              phone: { type: 'string', example: '+62 812-3456-7890' },
+              skills: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Current skills plus the skills found in the resume',
+                example: ['JavaScript', 'Node.js', 'PostgreSQL']
+              },
+              links: {
+                type: 'array',
+                items: { type: 'string' },
+                example: ['https://github.com/budis']
+              },
+              experiences: {
+                type: 'array',
+                description: 'Experience entries not in the profile yet',
+                items: { $ref: '#/components/schemas/ExperienceInput' }
+              },
+              educations: {
+                type: 'array',
+                description: 'Education entries not in the profile yet',
+                items: { $ref: '#/components/schemas/EducationInput' }
+              }
+            }
+          },
+          diff: {
+            type: 'object',
+            description: 'Per field: { current, suggested } (plus added for skills / links), or { added } with the number of new experience / education entries',
+            example: {
+              location: { current: null, suggested: 'Jakarta, Indonesia' },
+              skills: { current: ['JavaScript'], suggested: ['JavaScript', 'Node.js'], added: ['Node.js'] },
+              experiences: { added: 2 }
+            }
+          }
+        }
+      },
+      OrganizationInvitation: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            example: 'clinvite123'
+          },
+          email: {
+            type: 'string',
+            format: 'email',
+            example: 'colleague@acme.com'
+          },
+          role: {
+            type: 'string',
+            example: 'RECRUITER'
+          },
+          status: {
+            type: 'string',
+            enum: ['PENDING', 'EXPIRED', 'ACCEPTED', 'REVOKED']
+          },
+          expiresAt: {
+            type: 'string',
+            format: 'date-time'
+          },
+          lastSentAt: {
+            type: 'string',
+            format: 'date-time'
+          },
+          sendCount: {
+            type: 'integer',
+            example: 1
+          },
+          invitedBy: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              id: { type: 'string' },
+              email: { type: 'string' },
+              name: { type: 'string' }
+            }
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      ApiKey: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            description: 'API key ID',
+            example: 'clkey123'
+          },
+          name: {
+            type: 'string',
+            example: 'ATS sync'
+          },
+          prefix: {
+            type: 'string',
+            description: 'First characters of the key, for identification',
+            example: 'btb_Jx8v0c2Q'
+          },
+          scopes: {
+            type: 'array',
+            items: { type: 'string' },
+            example: ['jobs:write', 'applications:read']
+          },
+          lastUsedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          lastUsedIp: {
+            type: 'string',
+            nullable: true,
+            example: '203.0.113.10'
+          },
+          expiresAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          revokedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time',
+            example: '2025-11-02T10:30:00.000Z'
+          }
+        }
+      },
       PaginationResponse: {
         type: 'object',
         properties: {
@@ -0,0 +1,177 @@
+import prisma from '../config/database.js';
+import { successResponse, errorResponse, toCsv } from '../utils/helpers.js';
+import { ROLES } from '../utils/securityPolicy.js';
+import { getPermissionPolicy } from '../utils/permissions.js';
+import { API_KEY_SCOPES } from '../utils/apiKeys.js';
+import { AUDIT_ACTIONS } from '../utils/auditLog.js';
+
+const AUDIT_LOG_MAX_LIMIT = 100;
+const AUDIT_LOG_EXPORT_LIMIT = 10000;
+
+const AUDIT_LOG_CSV_COLUMNS = [
+  'createdAt',
+  'action',
+  'actorId',
+  'actorEmail',
+  'impersonatorId',
+  'impersonatorEmail',
+  'targetType',
+  'targetId',
+  'ipAddress',
+  'userAgent',
+  'metadata'
+];
+
+/**
+ * GET /admin/permissions
+ * Lihat permission policy: permission per role, ownership condition dan API key scope
+ * ?role=RECRUITER untuk satu role saja
+ */
+export const getPermissions = async (req, res) => {
+  try {
+    const { role } = req.query;
+
+    if (role && !ROLES.includes(role)) {
+      return errorResponse(res, 'Invalid role', 400);
+    }
+
+    const policy = getPermissionPolicy();
+
+    return successResponse(res, {
+      roles: role ? policy.roles.filter(item => item.role === role) : policy.roles,
+      conditions: policy.conditions,
+      apiKeyScopes: Object.entries(API_KEY_SCOPES).map(([scope, permissions]) => ({ scope, permissions }))
+    }, 'Permission policy retrieved successfully');
+
+  } catch (error) {
+    console.error('Get permission policy error:', error);
+    return errorResponse(res, 'Failed to retrieve permission policy', 500);
+  }
+};
+
+/**
+ * Build filter audit log dari query string
+ * @returns {Object} - { where } atau { error }
+ */
+const buildAuditLogFilter = (query) => {
+  const { action, actorId, targetType, targetId, ipAddress, from, to } = query;
+  const where = {};
+
+  if (action) {
+    const actions = String(action).split(',').map(item => item.trim().toUpperCase()).filter(Boolean);
+    const invalidActions = actions.filter(item => !AUDIT_ACTIONS.includes(item));
+
+    if (invalidActions.length) {
+      return { error: { message: 'Invalid audit log action', errors: { invalidActions, allowedActions: AUDIT_ACTIONS } } };
+    }
+
+    where.action = { in: actions };
+  }
+
+  if (actorId) where.actorId = String(actorId);
+  if (targetType) where.targetType = String(targetType).toUpperCase();
+  if (targetId) where.targetId = String(targetId);
+  if (ipAddress) where.ipAddress = String(ipAddress);
+
+  if (from || to) {
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return { error: { message: 'from and to must be valid dates' } };
+    }
+
+    where.createdAt = {
+      ...(fromDate && { gte: fromDate }),
+      ...(toDate && { lte: toDate })
+    };
+  }
+
+  return { where };
+};
+
+/**
+ * Tambahkan email actor & impersonator (user yang sudah dihapus = null)
+ */
+const withActors = async (logs) => {
+  const userIds = [...new Set(logs.flatMap(log => [log.actorId, log.impersonatorId]).filter(Boolean))];
+
+  const users = userIds.length
+    ? await prisma.user.findMany({
+      where: { id: { in: userIds } },
+      select: { id: true, email: true, name: true }
+    })
+    : [];
+
+  const usersById = new Map(users.map(user => [user.id, user]));
+
+  return logs.map(log => ({
+    ...log,
+    actor: usersById.get(log.actorId) || null,
+    impersonator: usersById.get(log.impersonatorId) || null
+  }));
+};
+
+/**
+ * GET /admin/audit-logs
+ * Security audit log dengan filter dan pagination
+ * ?format=csv untuk export (maksimal 10.000 baris terbaru sesuai filter)
+ */
+export const getAuditLogs = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, format } = req.query;
+    const { where, error } = buildAuditLogFilter(req.query);
+
+    if (error) {
+      return errorResponse(res, error.message, 400, error.errors);
+    }
+
+    if (format === 'csv') {
+      const logs = await withActors(await prisma.auditLog.findMany({
+        where,
+        take: AUDIT_LOG_EXPORT_LIMIT,
+        orderBy: { createdAt: 'desc' }
+      }));
+
+      const rows = logs.map(log => ({
+        ...log,
+        actorEmail: log.actor?.email,
+        impersonatorEmail: log.impersonator?.email
+      }));
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-logs-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send(toCsv(rows, AUDIT_LOG_CSV_COLUMNS));
+    }
+
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    const take = Math.min(Math.max(parseInt(limit) || 20, 1), AUDIT_LOG_MAX_LIMIT);
+
+    const [logs, totalLogs] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        skip: (currentPage - 1) * take,
+        take,
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.auditLog.count({ where })
+    ]);
+
+    const totalPages = Math.ceil(totalLogs / take);
+
+    return successResponse(res, {
+      logs: await withActors(logs),
+      pagination: {
+        currentPage,
+        totalPages,
+        totalLogs,
+        hasNextPage: currentPage < totalPages,
+        hasPrevPage: currentPage > 1
+      }
+    }, 'Audit logs retrieved successfully');
+
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    return errorResponse(res, 'Failed to retrieve audit logs', 500);
+  }
+};
@@ -0,0 +1,153 @@
+import prisma from '../config/database.js';
+import { successResponse, errorResponse } from '../utils/helpers.js';
+import { generateApiKey, getScopesForRole } from '../utils/apiKeys.js';
+import { recordAuditLog } from '../utils/auditLog.js';
+
+const MAX_ACTIVE_KEYS = 10;
+const MAX_EXPIRY_DAYS = 365;
+
+const apiKeySelect = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  expiresAt: true,
+  revokedAt: true,
+  createdAt: true
+};
+
+/**
+ * GET /users/me/api-keys
+ * Daftar API key milik user
+ */
+export const getMyApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await prisma.apiKey.findMany({
+      where: { userId: req.user.id },
+      select: apiKeySelect,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return successResponse(res, {
+      apiKeys,
+      availableScopes: getScopesForRole(req.user.role)
+    }, 'API keys retrieved successfully');
+
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    return errorResponse(res, 'Failed to retrieve API keys', 500);
+  }
+};
+
+/**
+ * POST /users/me/api-keys
+ * Buat API key baru (key hanya ditampilkan sekali)
+ */
+export const createMyApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return errorResponse(res, 'API key name is required', 400);
+    }
+
+    if (!Array.isArray(scopes) || !scopes.length) {
+      return errorResponse(res, 'At least one scope is required', 400);
+    }
+
+    // Scope harus sesuai dengan role user
+    const allowedScopes = getScopesForRole(req.user.role);
+    const invalidScopes = scopes.filter(scope => !allowedScopes.includes(scope));
+
+    if (invalidScopes.length) {
+      return errorResponse(res, 'Invalid scopes for your role', 400, { invalidScopes, allowedScopes });
+    }
+
+    let expiresAt = null;
+
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = parseInt(expiresInDays);
+
+      if (!days || days < 1 || days > MAX_EXPIRY_DAYS) {
+        return errorResponse(res, `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`, 400);
+      }
+
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const activeKeys = await prisma.apiKey.count({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }]
+      }
+    });
+
+    if (activeKeys >= MAX_ACTIVE_KEYS) {
+      return errorResponse(res, `You can have at most ${MAX_ACTIVE_KEYS} active API keys`, 400);
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        userId: req.user.id,
+        name: String(name).trim(),
+        prefix,
+        keyHash,
+        scopes: [...new Set(scopes)],
+        expiresAt
+      },
+      select: apiKeySelect
+    });
+
+    await recordAuditLog(req, 'API_KEY_CREATED', {
+      targetType: 'API_KEY',
+      targetId: apiKey.id,
+      metadata: { name: apiKey.name, prefix: apiKey.prefix, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt }
+    });
+
+    return successResponse(res, {
+      apiKey,
+      // Key hanya ditampilkan sekali, simpan sekarang!
+      key
+    }, 'API key created. Copy it now, it will not be shown again', 201);
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    return errorResponse(res, 'Failed to create API key', 500);
+  }
+};
+
+/**
+ * DELETE /users/me/api-keys/:id
+ * Revoke API key
+ */
+export const revokeMyApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { count } = await prisma.apiKey.updateMany({
+      where: {
+        id,
+        userId: req.user.id,
+        revokedAt: null
+      },
+      data: { revokedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return errorResponse(res, 'API key not found', 404);
+    }
+
+    await recordAuditLog(req, 'API_KEY_REVOKED', { targetType: 'API_KEY', targetId: id });
+
+    return successResponse(res, null, 'API key revoked successfully');
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    return errorResponse(res, 'Failed to revoke API key', 500);
+  }
+};
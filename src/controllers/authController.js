@@ -1,7 +1,97 @@
+import crypto from 'crypto';
 import prisma from '../config/database.js';
 import { hashPassword, comparePassword } from '../utils/password.js';
-import { generateAccessToken, generateRefreshToken, verifyToken, generateResetToken } from '../utils/jwt.js';
-import { successResponse, errorResponse, validateEmail, validatePassword } from '../utils/helpers.js';
+import {
+  verifyToken,
+  generateResetToken,
+  generateEmailVerificationToken,
+  generateMagicLinkToken,
+  generateTwoFactorToken
+} from '../utils/jwt.js';
+import { successResponse, errorResponse, validateEmail } from '../utils/helpers.js';
+import { sendPasswordResetEmail, sendVerificationEmail, sendMagicLinkEmail } from '../utils/mailer.js';
+import {
+  issueAuthTokens,
+  rotateAuthTokens,
+  revokeSession,
+  revokeAllSessions,
+  hashToken,
+  toPublicUser
+} from '../utils/authTokens.js';
+import { isTwoFactorRequiredForRole } from '../utils/securityPolicy.js';
+import { getPasswordPolicy, validatePasswordPolicy, recordPasswordHistory } from '../utils/passwordPolicy.js';
+import { revokeAccessToken, bumpTokenVersion } from '../utils/tokenRevocation.js';
+import { endImpersonation } from '../utils/impersonation.js';
+import { recordAuditLog } from '../utils/auditLog.js';
+import { recordLoginSuccess, recordLoginFailure } from '../utils/loginHistory.js';
+import { issueCsrfToken, CSRF_HEADER_NAME } from '../utils/csrf.js';
+import { recordFailedAttempt, clearFailedAttempts } from '../middlewares/bruteForce.js';
+
+/**
+ * Buat token verifikasi email baru dan simpan ke database
+ * Token lama otomatis tidak berlaku lagi (single-use)
+ * @param {String} userId - User ID
+ * @returns {String} - Verification token
+ */
+const createVerificationToken = async (userId) => {
+  const verificationToken = generateEmailVerificationToken(userId);
+  const verificationTokenExpiry = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      verificationToken,
+      verificationTokenExpiry
+    }
+  });
+
+  return verificationToken;
+};
+
+/**
+ * Langkah terakhir login setelah kredensial valid (password, magic link atau OAuth)
+ * Cek 2FA, lalu buat session dan token
+ * @param {String} loginMethod - PASSWORD, MAGIC_LINK atau OAUTH
+ */
+export const completeLogin = async (req, res, user, loginMethod) => {
+  // Two-factor authentication: kredensial benar, tapi masih perlu code TOTP
+  if (user.twoFactorEnabled) {
+    // Challenge token hanya bisa ditukar sekali, jti-nya disimpan di user
+    const challengeId = crypto.randomUUID();
+    const challengeToken = generateTwoFactorToken(user.id, 'two-factor-challenge', loginMethod, challengeId);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorChallengeId: challengeId }
+    });
+
+    return successResponse(res, {
+      twoFactorRequired: true,
+      challengeToken,
+    }, 'Two-factor authentication required');
+  }
+
+  // Role wajib 2FA tapi user belum enroll: harus setup dulu sebelum dapat token
+  if (await isTwoFactorRequiredForRole(user.role)) {
+    const setupToken = generateTwoFactorToken(user.id, 'two-factor-setup', loginMethod);
+
+    return successResponse(res, {
+      twoFactorSetupRequired: true,
+      setupToken,
+    }, 'Two-factor authentication setup required');
+  }
+
+  // Generate tokens dan set cookies
+  const { accessToken, refreshToken, sessionId } = await issueAuthTokens(req, res, user, loginMethod);
+
+  await recordLoginSuccess(req, user, { loginMethod, sessionId });
+
+  return successResponse(res, {
+    user: toPublicUser(user),
+    accessToken,
+    refreshToken,
+  }, 'Login successful');
+};
 
 /**
  * POST /auth/register
@@ -20,8 +110,10 @@ export const register = async (req, res) => {
       return errorResponse(res, 'Invalid email format', 400);
     }
 
-    if (!validatePassword(password)) {
-      return errorResponse(res, 'Password must be at least 6 characters', 400);
+    const passwordCheck = await validatePasswordPolicy(password);
+
+    if (!passwordCheck.valid) {
+      return errorResponse(res, 'Password does not meet the password policy', 400, { rules: passwordCheck.failedRules });
     }
 
     // Cek apakah email sudah terdaftar
@@ -61,38 +153,26 @@ export const register = async (req, res) => {
         username: true,
         name: true,
         role: true,
+        emailVerified: true,
         createdAt: true,
       }
     });
 
-    // Generate tokens
-    const accessToken = generateAccessToken({ userId: user.id });
-    const refreshToken = generateRefreshToken({ userId: user.id });
+    await recordPasswordHistory(user.id, hashedPassword);
 
-    // Simpan refresh token ke database
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { refreshToken }
-    });
+    await recordAuditLog(req, 'REGISTER', { actorId: user.id, targetType: 'USER', targetId: user.id });
 
-    // Set cookies
-    res.cookie('accessToken', accessToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 15 * 60 * 1000, // 15 minutes
-    });
+    // Kirim token verifikasi email
+    // Akun belum bisa login sampai email dikonfirmasi
+    const verificationToken = await createVerificationToken(user.id);
 
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    });
+    await sendVerificationEmail(user, verificationToken);
 
     return successResponse(res, {
       user,
-      accessToken,
-      refreshToken,
-    }, 'Registration successful', 201);
+      // Di production, jangan return verification token!
+      verificationToken: process.env.NODE_ENV === 'development' ? verificationToken : undefined
+    }, 'Registration successful. Please verify your email', 201);
 
   } catch (error) {
     console.error('Register error:', error);
@@ -119,11 +199,15 @@ export const login = async (req, res) => {
     });
 
     if (!user) {
+      await recordFailedAttempt(req);
+      await recordLoginFailure(req, 'UNKNOWN_EMAIL', { email });
       return errorResponse(res, 'Invalid email or password', 401);
     }
 
     // Cek apakah user aktif
     if (!user.isActive) {
+      await recordFailedAttempt(req);
+      await recordLoginFailure(req, 'ACCOUNT_DEACTIVATED', { user });
       return errorResponse(res, 'Account is deactivated', 401);
     }
 
@@ -131,44 +215,153 @@ export const login = async (req, res) => {
     const isPasswordValid = await comparePassword(password, user.password);
 
     if (!isPasswordValid) {
+      await recordFailedAttempt(req);
+      await recordLoginFailure(req, 'INVALID_PASSWORD', { user });
       return errorResponse(res, 'Invalid email or password', 401);
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken({ userId: user.id });
-    const refreshToken = generateRefreshToken({ userId: user.id });
+    // Password benar, reset counter percobaan gagal
+    await clearFailedAttempts(req);
+
+    // Email harus sudah diverifikasi sebelum bisa login
+    if (!user.emailVerified) {
+      await recordLoginFailure(req, 'EMAIL_NOT_VERIFIED', { user });
+      return errorResponse(res, 'Please verify your email before logging in', 403);
+    }
+
+    return await completeLogin(req, res, user, 'PASSWORD');
+
+  } catch (error) {
+    console.error('Login error:', error);
+    return errorResponse(res, 'Login failed', 500);
+  }
+};
+
+/**
+ * POST /auth/magic-link
+ * Kirim link login tanpa password ke email
+ */
+export const requestMagicLink = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return errorResponse(res, 'Email is required', 400);
+    }
+
+    if (!validateEmail(email)) {
+      return errorResponse(res, 'Invalid email format', 400);
+    }
+
+    // Setiap request dihitung, supaya email login tidak bisa di-spam
+    await recordFailedAttempt(req);
+
+    const user = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    // Untuk keamanan, response sama meskipun email tidak ditemukan atau akun nonaktif
+    if (!user || !user.isActive) {
+      return successResponse(res, null, 'If email exists, a login link has been sent');
+    }
+
+    // Token baru menggantikan token lama (hanya link terakhir yang berlaku)
+    const magicLinkToken = generateMagicLinkToken(user.id);
+    const magicLinkTokenExpiry = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
 
-    // Update refresh token di database
     await prisma.user.update({
       where: { id: user.id },
-      data: { refreshToken }
+      data: {
+        magicLinkToken,
+        magicLinkTokenExpiry
+      }
     });
 
-    // Set cookies
-    res.cookie('accessToken', accessToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 15 * 60 * 1000, // 15 minutes
+    await sendMagicLinkEmail(user, magicLinkToken);
+
+    return successResponse(res, {
+      // Di production, jangan return magic link token!
+      magicLinkToken: process.env.NODE_ENV === 'development' ? magicLinkToken : undefined
+    }, 'If email exists, a login link has been sent');
+
+  } catch (error) {
+    console.error('Magic link request error:', error);
+    return errorResponse(res, 'Failed to process magic link request', 500);
+  }
+};
+
+/**
+ * POST /auth/magic-link/verify
+ * Tukar magic link token dengan access & refresh token
+ */
+export const verifyMagicLink = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return errorResponse(res, 'Magic link token is required', 400);
+    }
+
+    const decoded = verifyToken(token);
+
+    if (decoded.purpose !== 'magic-link') {
+      await recordFailedAttempt(req);
+      return errorResponse(res, 'Invalid or expired magic link', 401);
+    }
+
+    // Hapus token secara kondisional supaya link hanya bisa dipakai sekali,
+    // meskipun dua request datang bersamaan
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: decoded.userId,
+        magicLinkToken: token,
+        magicLinkTokenExpiry: {
+          gt: new Date() // Token belum expired
+        }
+      },
+      data: {
+        magicLinkToken: null,
+        magicLinkTokenExpiry: null
+      }
     });
 
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+    if (count === 0) {
+      await recordFailedAttempt(req);
+      await recordLoginFailure(req, 'INVALID_MAGIC_LINK', { user: { id: decoded.userId }, loginMethod: 'MAGIC_LINK' });
+      return errorResponse(res, 'Invalid or expired magic link', 401);
+    }
+
+    let user = await prisma.user.findUnique({
+      where: { id: decoded.userId }
     });
 
-    // Response tanpa password
-    const { password: _, refreshToken: __, ...userResponse } = user;
+    if (!user || !user.isActive) {
+      await recordLoginFailure(req, 'ACCOUNT_DEACTIVATED', { user, loginMethod: 'MAGIC_LINK' });
+      return errorResponse(res, 'Account is deactivated', 401);
+    }
 
-    return successResponse(res, {
-      user: userResponse,
-      accessToken,
-      refreshToken,
-    }, 'Login successful');
+    // Link dibuka dari inbox user, jadi alamat email otomatis terverifikasi
+    if (!user.emailVerified) {
+      user = await prisma.user.update({
+        where: { id: user.id },
+        data: {
+          emailVerified: true,
+          emailVerifiedAt: new Date(),
+          verificationToken: null,
+          verificationTokenExpiry: null
+        }
+      });
+    }
+
+    return await completeLogin(req, res, user, 'MAGIC_LINK');
 
   } catch (error) {
-    console.error('Login error:', error);
-    return errorResponse(res, 'Login failed', 500);
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      await recordFailedAttempt(req);
+      return errorResponse(res, 'Invalid or expired magic link', 401);
+    }
+    console.error('Magic link verify error:', error);
+    return errorResponse(res, 'Magic link login failed', 500);
   }
 };
 
@@ -178,16 +371,38 @@ export const login = async (req, res) => {
  */
 export const logout = async (req, res) => {
   try {
-    const userId = req.user?.id;
+    // Logout dari impersonation = impersonation selesai
+    // Session user dan cookies (bisa jadi milik admin di browser yang sama) tidak disentuh
+    if (req.impersonator) {
+      await endImpersonation(req, 'LOGOUT');
+      return successResponse(res, null, 'Impersonation stopped');
+    }
 
-    if (userId) {
-      // Hapus refresh token dari database
-      await prisma.user.update({
-        where: { id: userId },
-        data: { refreshToken: null }
-      });
+    // Session yang sedang dipakai: dari access token, atau dari refresh token
+    let sessionId = req.sessionId;
+    let userId = req.user?.id;
+
+    if (!sessionId) {
+      const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+
+      if (refreshToken) {
+        try {
+          ({ sid: sessionId, userId } = verifyToken(refreshToken, 'refresh'));
+        } catch (error) {
+          // Refresh token invalid/expired, cukup clear cookies
+        }
+      }
+    }
+
+    if (sessionId) {
+      // Revoke session di device ini saja, device lain tetap login
+      await revokeSession(sessionId, 'LOGOUT');
+      await recordAuditLog(req, 'LOGOUT', { actorId: userId || null, targetType: 'SESSION', targetId: sessionId });
     }
 
+    // Access token yang dipakai langsung tidak berlaku
+    await revokeAccessToken(req.tokenPayload);
+
     // Clear cookies
     res.clearCookie('accessToken');
     res.clearCookie('refreshToken');
@@ -202,7 +417,7 @@ export const logout = async (req, res) => {
 
 /**
  * POST /auth/refresh-token
- * Perpanjang token akses
+ * Perpanjang token akses (refresh token dirotasi setiap dipakai)
  */
 export const refreshToken = async (req, res) => {
   try {
@@ -214,46 +429,50 @@ export const refreshToken = async (req, res) => {
     }
 
     // Verify refresh token
-    const decoded = verifyToken(refreshToken, process.env.JWT_REFRESH_SECRET);
+    const decoded = verifyToken(refreshToken, 'refresh');
 
-    // Cari user dan cek refresh token
-    const user = await prisma.user.findUnique({
-      where: { 
-        id: decoded.userId,
-        refreshToken: refreshToken
-      }
+    if (!decoded.sid) {
+      return errorResponse(res, 'Invalid refresh token', 401);
+    }
+
+    // Cari session dari refresh token
+    const session = await prisma.session.findUnique({
+      where: { id: decoded.sid },
+      include: { user: true }
     });
 
-    if (!user || !user.isActive) {
+    if (!session || session.userId !== decoded.userId || session.revokedAt || session.expiresAt <= new Date()) {
       return errorResponse(res, 'Invalid refresh token', 401);
     }
 
-    // Generate new tokens
-    const newAccessToken = generateAccessToken({ userId: user.id });
-    const newRefreshToken = generateRefreshToken({ userId: user.id });
+    const tokenHash = hashToken(refreshToken);
 
-    // Update refresh token di database
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { refreshToken: newRefreshToken }
-    });
+    // Token valid tapi bukan yang terbaru = token lama dipakai ulang (kemungkinan dicuri)
+    // Revoke seluruh session supaya pencuri dan pemilik asli harus login ulang
+    if (session.refreshTokenHash !== tokenHash) {
+      await revokeSession(session.id, 'REUSE_DETECTED');
+      console.warn(`Refresh token reuse detected for session ${session.id} (user ${session.userId})`);
+      await recordAuditLog(req, 'REFRESH_TOKEN_REUSE', { actorId: session.userId, targetType: 'SESSION', targetId: session.id });
+      return errorResponse(res, 'Refresh token reuse detected. Please login again', 401);
+    }
 
-    // Set new cookies
-    res.cookie('accessToken', newAccessToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 15 * 60 * 1000, // 15 minutes
-    });
+    if (!session.user.isActive) {
+      return errorResponse(res, 'Invalid refresh token', 401);
+    }
 
-    res.cookie('refreshToken', newRefreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    });
+    // Generate new tokens dan set new cookies
+    const tokens = await rotateAuthTokens(req, res, session, tokenHash);
+
+    if (!tokens) {
+      // Token yang sama sudah dirotasi oleh request lain
+      await revokeSession(session.id, 'REUSE_DETECTED');
+      await recordAuditLog(req, 'REFRESH_TOKEN_REUSE', { actorId: session.userId, targetType: 'SESSION', targetId: session.id });
+      return errorResponse(res, 'Refresh token reuse detected. Please login again', 401);
+    }
 
     return successResponse(res, {
-      accessToken: newAccessToken,
-      refreshToken: newRefreshToken,
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
     }, 'Token refreshed successfully');
 
   } catch (error) {
@@ -268,6 +487,80 @@ export const refreshToken = async (req, res) => {
   }
 };
 
+/**
+ * GET /auth/sessions
+ * Daftar session aktif (device yang sedang login)
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      select: {
+        id: true,
+        deviceName: true,
+        userAgent: true,
+        ipAddress: true,
+        loginMethod: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true,
+      },
+      orderBy: {
+        lastUsedAt: 'desc'
+      }
+    });
+
+    return successResponse(res, {
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    }, 'Sessions retrieved successfully');
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    return errorResponse(res, 'Failed to retrieve sessions', 500);
+  }
+};
+
+/**
+ * DELETE /auth/sessions/:id
+ * Logout dari device tertentu
+ */
+export const revokeSessionById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const session = await prisma.session.findUnique({
+      where: { id }
+    });
+
+    // User hanya bisa revoke session miliknya sendiri
+    if (!session || session.userId !== req.user.id || session.revokedAt) {
+      return errorResponse(res, 'Session not found', 404);
+    }
+
+    await revokeSession(session.id, 'USER_REVOKED');
+    await recordAuditLog(req, 'SESSION_REVOKED', { targetType: 'SESSION', targetId: session.id });
+
+    // Kalau yang di-revoke session ini sendiri, clear cookies juga
+    if (session.id === req.sessionId) {
+      res.clearCookie('accessToken');
+      res.clearCookie('refreshToken');
+    }
+
+    return successResponse(res, null, 'Session revoked successfully');
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    return errorResponse(res, 'Failed to revoke session', 500);
+  }
+};
+
 /**
  * POST /auth/forgot-password
  * Kirim link reset password
@@ -284,6 +577,9 @@ export const forgotPassword = async (req, res) => {
       return errorResponse(res, 'Invalid email format', 400);
     }
 
+    // Setiap request dihitung, supaya email reset tidak bisa di-spam
+    await recordFailedAttempt(req);
+
     // Cari user berdasarkan email
     const user = await prisma.user.findUnique({
       where: { email }
@@ -307,9 +603,10 @@ export const forgotPassword = async (req, res) => {
       }
     });
 
-    // TODO: Kirim email dengan reset link
-    // Untuk sekarang, kita return token-nya (di production jangan return token!)
-    console.log('Reset token for', email, ':', resetToken);
+    // Kirim email dengan reset link
+    await sendPasswordResetEmail(user, resetToken);
+
+    await recordAuditLog(req, 'PASSWORD_RESET_REQUESTED', { actorId: null, targetType: 'USER', targetId: user.id });
 
     return successResponse(res, {
       // Di production, jangan return reset token!
@@ -334,12 +631,8 @@ export const resetPassword = async (req, res) => {
       return errorResponse(res, 'Token and new password are required', 400);
     }
 
-    if (!validatePassword(newPassword)) {
-      return errorResponse(res, 'Password must be at least 6 characters', 400);
-    }
-
     // Verify reset token
-    const decoded = verifyToken(token, process.env.JWT_SECRET);
+    const decoded = verifyToken(token);
 
     // Cari user dengan reset token yang valid
     const user = await prisma.user.findFirst({
@@ -353,9 +646,20 @@ export const resetPassword = async (req, res) => {
     });
 
     if (!user) {
+      await recordFailedAttempt(req);
       return errorResponse(res, 'Invalid or expired reset token', 400);
     }
 
+    // Validasi password baru (termasuk riwayat password user)
+    const passwordCheck = await validatePasswordPolicy(newPassword, {
+      userId: user.id,
+      currentHash: user.password
+    });
+
+    if (!passwordCheck.valid) {
+      return errorResponse(res, 'Password does not meet the password policy', 400, { rules: passwordCheck.failedRules });
+    }
+
     // Hash password baru
     const hashedPassword = await hashPassword(newPassword);
 
@@ -365,18 +669,167 @@ export const resetPassword = async (req, res) => {
       data: {
         password: hashedPassword,
         resetToken: null,
-        resetTokenExpiry: null,
-        refreshToken: null // Logout dari semua device
+        resetTokenExpiry: null
       }
     });
 
+    await recordPasswordHistory(user.id, hashedPassword);
+
+    // Logout dari semua device dan invalidate access token lama
+    await revokeAllSessions(user.id, 'PASSWORD_RESET');
+    await bumpTokenVersion(user.id);
+
+    await recordAuditLog(req, 'PASSWORD_RESET', { actorId: user.id, targetType: 'USER', targetId: user.id });
+
     return successResponse(res, null, 'Password reset successful');
 
   } catch (error) {
     if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      await recordFailedAttempt(req);
       return errorResponse(res, 'Invalid or expired reset token', 400);
     }
     console.error('Reset password error:', error);
     return errorResponse(res, 'Password reset failed', 500);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * POST /auth/verify-email
+ * Verifikasi email dengan token
+ */
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return errorResponse(res, 'Verification token is required', 400);
+    }
+
+    // Verify token signature dan tujuan token
+    const decoded = verifyToken(token);
+
+    if (decoded.purpose !== 'email-verification') {
+      return errorResponse(res, 'Invalid or expired verification token', 400);
+    }
+
+    // Cari user dengan verification token yang valid
+    const user = await prisma.user.findFirst({
+      where: {
+        id: decoded.userId,
+        verificationToken: token,
+        verificationTokenExpiry: {
+          gt: new Date() // Token belum expired
+        }
+      }
+    });
+
+    if (!user) {
+      return errorResponse(res, 'Invalid or expired verification token', 400);
+    }
+
+    // Tandai email terverifikasi dan hapus token (single-use)
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+        verificationToken: null,
+        verificationTokenExpiry: null
+      }
+    });
+
+    await recordAuditLog(req, 'EMAIL_VERIFIED', { actorId: user.id, targetType: 'USER', targetId: user.id });
+
+    return successResponse(res, null, 'Email verified successfully');
+
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      return errorResponse(res, 'Invalid or expired verification token', 400);
+    }
+    console.error('Verify email error:', error);
+    return errorResponse(res, 'Email verification failed', 500);
+  }
+};
+
+/**
+ * POST /auth/resend-verification
+ * Kirim ulang link verifikasi email
+ */
+export const resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return errorResponse(res, 'Email is required', 400);
+    }
+
+    if (!validateEmail(email)) {
+      return errorResponse(res, 'Invalid email format', 400);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    // Untuk keamanan, response sama meskipun email tidak ditemukan atau sudah terverifikasi
+    if (!user || user.emailVerified || !user.isActive) {
+      return successResponse(res, null, 'If account needs verification, a new link has been sent');
+    }
+
+    const verificationToken = await createVerificationToken(user.id);
+
+    await sendVerificationEmail(user, verificationToken);
+
+    return successResponse(res, {
+      // Di production, jangan return verification token!
+      verificationToken: process.env.NODE_ENV === 'development' ? verificationToken : undefined
+    }, 'If account needs verification, a new link has been sent');
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    return errorResponse(res, 'Failed to resend verification email', 500);
+  }
+};
+
+/**
+ * GET /auth/password-policy
+ * Lihat aturan password yang berlaku (untuk validasi di frontend)
+ */
+export const getPasswordPolicyInfo = async (req, res) => {
+  try {
+    const { minLength, requireUppercase, requireLowercase, requireNumber, requireSymbol, historySize, rejectCommon } = getPasswordPolicy();
+
+    return successResponse(res, {
+      minLength,
+      requireUppercase,
+      requireLowercase,
+      requireNumber,
+      requireSymbol,
+      historySize,
+      rejectCommon
+    }, 'Password policy retrieved');
+
+  } catch (error) {
+    console.error('Get password policy error:', error);
+    return errorResponse(res, 'Failed to get password policy', 500);
+  }
+};
+
+/**
+ * GET /auth/csrf-token
+ * Ambil CSRF token untuk request yang memakai cookie auth (dikirim balik di header X-CSRF-Token)
+ */
+export const getCsrfToken = async (req, res) => {
+  try {
+    const csrfToken = issueCsrfToken(req, res);
+
+    return successResponse(res, {
+      csrfToken,
+      headerName: CSRF_HEADER_NAME
+    }, 'CSRF token retrieved');
+
+  } catch (error) {
+    console.error('Get CSRF token error:', error);
+    return errorResponse(res, 'Failed to get CSRF token', 500);
+  }
+};
@@ -0,0 +1,64 @@
+import path from 'path';
+import { errorResponse } from '../utils/helpers.js';
+import {
+  getStorage,
+  isValidStorageKey,
+  isPublicKey,
+  verifySignedFileUrl,
+  attachmentDisposition
+} from '../config/storage.js';
+
+// Key file public selalu unik (UUID), jadi boleh di-cache lama
+const PUBLIC_CACHE_SECONDS = 24 * 60 * 60;
+
+/**
+ * GET /files/<key>
+ * Layani file dari storage: file public (avatar) untuk semua orang, file lain hanya dengan signed URL
+ * Driver selain local di-redirect ke signed URL storage-nya
+ */
+export const serveFile = async (req, res) => {
+  try {
+    const key = req.params[0];
+
+    if (!isValidStorageKey(key)) {
+      return errorResponse(res, 'File not found', 404);
+    }
+
+    const isPublic = isPublicKey(key);
+
+    if (!isPublic && !verifySignedFileUrl(key, req.query)) {
+      return errorResponse(res, 'Invalid or expired file link', 403);
+    }
+
+    const storage = getStorage();
+    const fileName = isPublic ? '' : req.query.name || '';
+
+    if (storage.name !== 'local') {
+      res.set('Cache-Control', 'private, no-store');
+      return res.redirect(302, storage.signedUrl(key, { fileName }));
+    }
+
+    const file = await storage.get(key);
+
+    if (!file) {
+      return errorResponse(res, 'File not found', 404);
+    }
+
+    res.type(path.extname(key));
+    res.set({
+      'Content-Length': file.length,
+      'Cache-Control': isPublic ? `public, max-age=${PUBLIC_CACHE_SECONDS}, immutable` : 'private, no-store',
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    if (fileName) {
+      res.set('Content-Disposition', attachmentDisposition(fileName));
+    }
+
+    return res.send(file);
+
+  } catch (error) {
+    console.error('Serve file error:', error);
+    return errorResponse(res, 'Failed to retrieve file', 500);
+  }
+};
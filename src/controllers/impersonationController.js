@@ -0,0 +1,91 @@
+import prisma from '../config/database.js';
+import { successResponse, errorResponse } from '../utils/helpers.js';
+import { startImpersonation, endImpersonation } from '../utils/impersonation.js';
+
+/**
+ * POST /users/:id/impersonate
+ * Admin login sebagai user lain untuk support (admin only)
+ * Token tidak di-set ke cookie supaya session admin sendiri tidak tertimpa
+ */
+export const impersonateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+
+    if (id === req.user.id) {
+      return errorResponse(res, 'You cannot impersonate yourself', 400);
+    }
+
+    const [admin, targetUser] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: { id: true, tokenVersion: true }
+      }),
+      prisma.user.findUnique({
+        where: { id },
+        select: {
+          id: true,
+          email: true,
+          username: true,
+          name: true,
+          role: true,
+          isActive: true,
+          tokenVersion: true,
+        }
+      })
+    ]);
+
+    if (!targetUser) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    if (!targetUser.isActive) {
+      return errorResponse(res, 'Cannot impersonate a deactivated user', 400);
+    }
+
+    // Admin lain tidak bisa di-impersonate (cegah eskalasi lewat akun admin lain)
+    if (targetUser.role === 'ADMIN') {
+      return errorResponse(res, 'Cannot impersonate another admin', 403);
+    }
+
+    const { accessToken, impersonation } = await startImpersonation(
+      req,
+      admin,
+      targetUser,
+      reason ? String(reason).trim().slice(0, 500) : null
+    );
+
+    const { tokenVersion, ...user } = targetUser;
+
+    return successResponse(res, {
+      accessToken,
+      expiresAt: impersonation.expiresAt,
+      impersonationId: impersonation.id,
+      user
+    }, `Impersonating ${user.email}. Use this token as a Bearer token`, 201);
+
+  } catch (error) {
+    console.error('Impersonate user error:', error);
+    return errorResponse(res, 'Failed to start impersonation', 500);
+  }
+};
+
+/**
+ * POST /users/impersonation/stop
+ * Akhiri impersonation (dipanggil dengan impersonation token)
+ */
+export const stopImpersonation = async (req, res) => {
+  try {
+    if (!req.impersonator) {
+      return errorResponse(res, 'You are not impersonating a user', 400);
+    }
+
+    await endImpersonation(req, 'STOPPED');
+
+    return successResponse(res, null, 'Impersonation stopped');
+
+  } catch (error) {
+    console.error('Stop impersonation error:', error);
+    return errorResponse(res, 'Failed to stop impersonation', 500);
+  }
+};
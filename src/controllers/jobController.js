@@ -1,5 +1,7 @@
 import prisma from '../config/database.js';
 import { successResponse, errorResponse } from '../utils/helpers.js';
+import { can } from '../utils/permissions.js';
+import { DEGREE_LEVELS, calculateYearsOfExperience, getHighestDegree, meetsMinimumDegree } from '../utils/profileRecords.js';
 import { publishJobCreated, publishJobApplied, publishApplicationStatusChanged } from '../utils/notificationPublisher.js';
 
 /**
@@ -17,6 +19,16 @@ export const createJob = async (req, res) => {
       return errorResponse(res, 'Title, description, and company are required', 400);
     }
 
+    // Akun yang dijadwalkan dihapus tidak boleh punya lowongan baru (purge akan ikut menghapus pelamarnya)
+    const owner = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { deletionScheduledAt: true }
+    });
+
+    if (owner?.deletionScheduledAt) {
+      return errorResponse(res, 'Cancel your account deletion before posting jobs', 403);
+    }
+
     // Create job
     const job = await prisma.job.create({
       data: {
@@ -178,7 +190,6 @@ export const getJobById = async (req, res) => {
 export const updateJob = async (req, res) => {
   try {
     const { jobId } = req.params;
-    const userId = req.user.id;
     const { title, description, company, location, jobType, salary, requirements, skills, status } = req.body;
 
     // Check if job exists and user is owner
@@ -190,7 +201,7 @@ export const updateJob = async (req, res) => {
       return errorResponse(res, 'Job not found', 404);
     }
 
-    if (existingJob.ownerId !== userId && req.user.role !== 'ADMIN') {
+    if (!can(req.user, 'job:update', existingJob)) {
       return errorResponse(res, 'You are not authorized to update this job', 403);
     }
 
@@ -234,7 +245,6 @@ export const updateJob = async (req, res) => {
 export const deleteJob = async (req, res) => {
   try {
     const { jobId } = req.params;
-    const userId = req.user.id;
 
     // Check if job exists and user is owner
     const job = await prisma.job.findUnique({
@@ -245,7 +255,7 @@ export const deleteJob = async (req, res) => {
       return errorResponse(res, 'Job not found', 404);
     }
 
-    if (job.ownerId !== userId && req.user.role !== 'ADMIN') {
+    if (!can(req.user, 'job:delete', job)) {
       return errorResponse(res, 'You are not authorized to delete this job', 403);
     }
 
@@ -270,7 +280,12 @@ export const applyJob = async (req, res) => {
   try {
     const { jobId } = req.params;
     const userId = req.user.id;
-    const { coverLetter, resume } = req.body;
+    const { coverLetter, resume, resumeId } = req.body;
+
+    // Hanya akun dengan email terverifikasi yang bisa apply
+    if (!req.user.emailVerified) {
+      return errorResponse(res, 'Please verify your email before applying for jobs', 403);
+    }
 
     // Check if job exists and is open
     const job = await prisma.job.findUnique({
@@ -307,6 +322,20 @@ export const applyJob = async (req, res) => {
       return errorResponse(res, 'You have already applied for this job', 400);
     }
 
+    // Resume yang di-upload (POST /users/me/resume): versi yang dipilih, atau versi terbaru
+    const resumeFile = await prisma.resume.findFirst({
+      where: {
+        userId,
+        ...(resumeId && { id: resumeId })
+      },
+      select: { id: true },
+      orderBy: { version: 'desc' }
+    });
+
+    if (resumeId && !resumeFile) {
+      return errorResponse(res, 'Resume not found', 400);
+    }
+
     // Create application
     const application = await prisma.jobApplication.create({
       data: {
@@ -314,6 +343,7 @@ export const applyJob = async (req, res) => {
         applicantId: userId,
         coverLetter,
         resume,
+        resumeId: resumeFile?.id,
         status: 'PENDING'
       },
       include: {
@@ -350,15 +380,25 @@ export const applyJob = async (req, res) => {
 };
 
 /**
- * @desc    Get applicants for a job
+ * @desc    Get applicants for a job (filter status, minYearsExperience, degree minimum)
  * @route   GET /api/jobs/:jobId/applicants
  * @access  Private (Job owner only)
  */
 export const getJobApplicants = async (req, res) => {
   try {
     const { jobId } = req.params;
-    const userId = req.user.id;
-    const { status } = req.query;
+    const { status, minYearsExperience, degree } = req.query;
+
+    const minYears = minYearsExperience !== undefined ? Number(minYearsExperience) : null;
+    const minDegree = degree ? String(degree).toUpperCase() : null;
+
+    if (minYears !== null && (!Number.isFinite(minYears) || minYears < 0)) {
+      return errorResponse(res, 'minYearsExperience must be a non-negative number', 400);
+    }
+
+    if (minDegree && (minDegree === 'OTHER' || !DEGREE_LEVELS.includes(minDegree))) {
+      return errorResponse(res, 'Invalid degree', 400);
+    }
 
     // Check if job exists and user is owner
     const job = await prisma.job.findUnique({
@@ -369,7 +409,8 @@ export const getJobApplicants = async (req, res) => {
       return errorResponse(res, 'Job not found', 404);
     }
 
-    if (job.ownerId !== userId && req.user.role !== 'ADMIN') {
+    // Cek terhadap application (apa pun) di job ini
+    if (!can(req.user, 'application:view', { jobId: job.id, job })) {
       return errorResponse(res, 'You are not authorized to view applicants for this job', 403);
     }
 
@@ -388,8 +429,17 @@ export const getJobApplicants = async (req, res) => {
             name: true,
             email: true,
             avatar: true,
-            username: true
+            username: true,
+            experiences: {
+              orderBy: [{ isCurrent: 'desc' }, { startDate: 'desc' }]
+            },
+            educations: {
+              orderBy: [{ isCurrent: 'desc' }, { startDate: 'desc' }]
+            }
           }
+        },
+        resumeFile: {
+          select: { id: true, version: true, fileName: true, mimeType: true, size: true, createdAt: true }
         }
       },
       orderBy: {
@@ -397,14 +447,35 @@ export const getJobApplicants = async (req, res) => {
       }
     });
 
+    // Ringkasan untuk recruiter, dihitung dari riwayat kerja & pendidikan terstruktur
+    const summarizedApplications = applications.map(application => ({
+      ...application,
+      applicant: application.applicant && {
+        ...application.applicant,
+        yearsOfExperience: calculateYearsOfExperience(application.applicant.experiences),
+        highestDegree: getHighestDegree(application.applicant.educations)
+      }
+    }));
+
+    // Lamaran yang sudah dianonimkan tidak punya data untuk difilter
+    const filteredApplications = summarizedApplications.filter(application => {
+      if (minYears === null && !minDegree) {
+        return true;
+      }
+
+      return application.applicant
+        && (minYears === null || application.applicant.yearsOfExperience >= minYears)
+        && (!minDegree || meetsMinimumDegree(application.applicant.highestDegree, minDegree));
+    });
+
     return successResponse(res, 'Applicants retrieved successfully', {
       job: {
         id: job.id,
         title: job.title,
         company: job.company
       },
-      applications,
-      totalApplicants: applications.length
+      applications: filteredApplications,
+      totalApplicants: filteredApplications.length
     });
   } catch (error) {
     console.error('Error getting applicants:', error);
@@ -421,7 +492,6 @@ export const updateApplicationStatus = async (req, res) => {
   try {
     const { jobId, applicationId } = req.params;
     const { status } = req.body;
-    const userId = req.user.id;
 
     // Validate status
     const validStatuses = ['PENDING', 'REVIEWED', 'ACCEPTED', 'REJECTED'];
@@ -453,7 +523,7 @@ export const updateApplicationStatus = async (req, res) => {
     }
 
     // Check authorization
-    if (application.job.ownerId !== userId && req.user.role !== 'ADMIN') {
+    if (!can(req.user, 'application:update', application)) {
       return errorResponse(res, 'You are not authorized to update this application', 403);
     }
 
@@ -480,13 +550,15 @@ export const updateApplicationStatus = async (req, res) => {
       }
     });
 
-    // Publish event ke Redis
-    await publishApplicationStatusChanged(
-      application,
-      application.job,
-      application.applicant,
-      status
-    );
+    // Publish event ke Redis (lewati lamaran yang sudah dianonimkan karena akun pelamar dihapus)
+    if (application.applicant) {
+      await publishApplicationStatusChanged(
+        application,
+        application.job,
+        application.applicant,
+        status
+      );
+    }
 
     return successResponse(res, 'Application status updated successfully', updatedApplication);
   } catch (error) {
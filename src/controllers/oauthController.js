@@ -0,0 +1,414 @@
+import prisma from '../config/database.js';
+import { getOAuthProvider, getOAuthProviders } from '../config/oauth.js';
+import {
+  generatePkce,
+  generateRandomToken,
+  resolveEndpoints,
+  buildAuthorizationUrl,
+  exchangeCode,
+  fetchProfile
+} from '../utils/oidcClient.js';
+import { successResponse, errorResponse } from '../utils/helpers.js';
+import { kvGet, kvSet, kvDel } from '../utils/kvStore.js';
+import { revokeAllSessions } from '../utils/authTokens.js';
+import { bumpTokenVersion } from '../utils/tokenRevocation.js';
+import { recordAuditLog } from '../utils/auditLog.js';
+import { completeLogin } from './authController.js';
+
+const STATE_TTL_SECONDS = 10 * 60; // Flow OAuth harus selesai dalam 10 menit
+const STATE_COOKIE = 'oauthState';
+
+const stateKey = (state) => `oauth:state:${state}`;
+
+/**
+ * Hasil resolve user yang gagal, dikirim sebagai error response
+ */
+const rejection = (message, status) => ({ error: { message, status } });
+
+/**
+ * Cari atau buat user dari profil provider
+ * Urutan: akun yang sudah terhubung > user dengan email yang sama > user baru
+ * @param {Object} req - Express request (untuk audit log)
+ * @param {Object} provider - Config provider
+ * @param {Object} profile - Profil ternormalisasi dari fetchProfile()
+ * @returns {Object} - { user } atau { error: { message, status } }
+ */
+const resolveOAuthUser = async (req, provider, profile) => {
+  // 1. Akun provider sudah pernah terhubung
+  const account = await prisma.account.findUnique({
+    where: {
+      provider_providerAccountId: {
+        provider: provider.name,
+        providerAccountId: profile.providerAccountId
+      }
+    },
+    include: { user: true }
+  });
+
+  if (account) {
+    if (profile.email && profile.email !== account.email) {
+      await prisma.account.update({
+        where: { id: account.id },
+        data: { email: profile.email }
+      });
+    }
+
+    return { user: account.user };
+  }
+
+  // Merge berdasarkan email hanya aman kalau provider menjamin email-nya terverifikasi
+  if (!profile.email) {
+    return rejection(`${provider.displayName} did not share an email address`, 400);
+  }
+
+  if (!profile.emailVerified) {
+    return rejection(`Your ${provider.displayName} email address is not verified`, 400);
+  }
+
+  const existingUser = await prisma.user.findFirst({
+    where: { email: { equals: profile.email, mode: 'insensitive' } },
+    include: { accounts: { where: { provider: provider.name } } }
+  });
+
+  // 2. User dengan email yang sama sudah ada: hubungkan akun
+  if (existingUser) {
+    if (existingUser.accounts.length) {
+      return rejection(`This account is already linked to a different ${provider.displayName} account`, 409);
+    }
+
+    const accountData = {
+      provider: provider.name,
+      providerAccountId: profile.providerAccountId,
+      email: profile.email
+    };
+
+    // Email belum diverifikasi = belum terbukti pemilik email yang daftar.
+    // Bisa jadi orang lain mendaftar duluan pakai email korban (pre-account takeover),
+    // jadi password lama dibuang dan semua session dicabut sebelum akun dihubungkan
+    if (!existingUser.emailVerified) {
+      const user = await prisma.user.update({
+        where: { id: existingUser.id },
+        data: {
+          password: null,
+          emailVerified: true,
+          emailVerifiedAt: new Date(),
+          verificationToken: null,
+          verificationTokenExpiry: null,
+          magicLinkToken: null,
+          magicLinkTokenExpiry: null,
+          resetToken: null,
+          resetTokenExpiry: null,
+          accounts: { create: accountData }
+        }
+      });
+
+      await revokeAllSessions(user.id, 'ACCOUNT_MERGED');
+      const tokenVersion = await bumpTokenVersion(user.id);
+
+      await recordAuditLog(req, 'ACCOUNT_MERGED', {
+        actorId: user.id,
+        targetType: 'USER',
+        targetId: user.id,
+        metadata: { provider: provider.name, email: profile.email }
+      });
+
+      return { user: { ...user, tokenVersion } };
+    }
+
+    const linkedAccount = await prisma.account.create({
+      data: { ...accountData, userId: existingUser.id }
+    });
+
+    await recordAuditLog(req, 'ACCOUNT_LINKED', {
+      actorId: existingUser.id,
+      targetType: 'ACCOUNT',
+      targetId: linkedAccount.id,
+      metadata: { provider: provider.name, email: profile.email }
+    });
+
+    const { accounts, ...user } = existingUser;
+    return { user };
+  }
+
+  // 3. User baru, tanpa password (bisa set password lewat forgot password)
+  const user = await prisma.user.create({
+    data: {
+      email: profile.email,
+      name: profile.name,
+      password: null,
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+      accounts: {
+        create: {
+          provider: provider.name,
+          providerAccountId: profile.providerAccountId,
+          email: profile.email
+        }
+      }
+    }
+  });
+
+  await recordAuditLog(req, 'REGISTER', {
+    actorId: user.id,
+    targetType: 'USER',
+    targetId: user.id,
+    metadata: { provider: provider.name }
+  });
+
+  return { user };
+};
+
+/**
+ * Hubungkan akun provider ke user yang sedang login
+ * @returns {Object} - { account } atau { error: { message, status } }
+ */
+const linkAccountToUser = async (req, provider, profile, userId) => {
+  const existingAccount = await prisma.account.findUnique({
+    where: {
+      provider_providerAccountId: {
+        provider: provider.name,
+        providerAccountId: profile.providerAccountId
+      }
+    }
+  });
+
+  if (existingAccount) {
+    if (existingAccount.userId !== userId) {
+      return rejection(`This ${provider.displayName} account is already linked to another user`, 409);
+    }
+    return { account: existingAccount };
+  }
+
+  const linkedProvider = await prisma.account.findUnique({
+    where: { userId_provider: { userId, provider: provider.name } }
+  });
+
+  if (linkedProvider) {
+    return rejection(`Your account is already linked to a different ${provider.displayName} account`, 409);
+  }
+
+  const account = await prisma.account.create({
+    data: {
+      userId,
+      provider: provider.name,
+      providerAccountId: profile.providerAccountId,
+      email: profile.email
+    }
+  });
+
+  await recordAuditLog(req, 'ACCOUNT_LINKED', {
+    actorId: userId,
+    targetType: 'ACCOUNT',
+    targetId: account.id,
+    metadata: { provider: provider.name, email: profile.email }
+  });
+
+  return { account };
+};
+
+const toPublicAccount = ({ id, provider, email, createdAt }) => ({ id, provider, email, createdAt });
+
+/**
+ * GET /auth/oauth/providers
+ * Daftar provider social login yang aktif
+ */
+export const getProviders = async (req, res) => {
+  try {
+    const providers = getOAuthProviders().map(provider => ({
+      name: provider.name,
+      displayName: provider.displayName
+    }));
+
+    return successResponse(res, { providers }, 'OAuth providers retrieved');
+
+  } catch (error) {
+    console.error('Get OAuth providers error:', error);
+    return errorResponse(res, 'Failed to retrieve OAuth providers', 500);
+  }
+};
+
+/**
+ * GET /auth/oauth/:provider
+ * Mulai authorization code flow (PKCE), redirect ke provider
+ * ?link=true (harus login) untuk menghubungkan akun provider ke user yang sedang login
+ * ?redirect=false untuk dapat authorizationUrl sebagai JSON
+ */
+export const startOAuth = async (req, res) => {
+  try {
+    const config = getOAuthProvider(req.params.provider);
+
+    if (!config) {
+      return errorResponse(res, 'OAuth provider not found', 404);
+    }
+
+    const linking = req.query.link === 'true';
+
+    if (linking && !req.user) {
+      return errorResponse(res, 'Authentication required to link an account', 401);
+    }
+
+    const provider = await resolveEndpoints(config);
+    const state = generateRandomToken();
+    const nonce = generateRandomToken();
+    const { codeVerifier, codeChallenge } = generatePkce();
+
+    // Code verifier & nonce hanya disimpan di server, browser cuma pegang state
+    await kvSet(stateKey(state), JSON.stringify({
+      provider: provider.name,
+      codeVerifier,
+      nonce,
+      linkUserId: linking ? req.user.id : null
+    }), STATE_TTL_SECONDS);
+
+    // State juga disimpan di cookie supaya callback hanya bisa diselesaikan di browser yang memulai flow
+    res.cookie(STATE_COOKIE, state, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      maxAge: STATE_TTL_SECONDS * 1000,
+    });
+
+    const authorizationUrl = buildAuthorizationUrl(provider, { state, nonce, codeChallenge });
+
+    if (req.query.redirect === 'false') {
+      return successResponse(res, { authorizationUrl, state }, 'Redirect the user to the authorization URL');
+    }
+
+    return res.redirect(authorizationUrl);
+
+  } catch (error) {
+    if (error.name === 'OAuthError') {
+      return errorResponse(res, error.message, 502);
+    }
+    console.error('OAuth start error:', error);
+    return errorResponse(res, 'Failed to start OAuth login', 500);
+  }
+};
+
+/**
+ * GET|POST /auth/oauth/:provider/callback
+ * Tukar authorization code dengan token, lalu login / daftar / hubungkan akun
+ */
+export const oauthCallback = async (req, res) => {
+  try {
+    const config = getOAuthProvider(req.params.provider);
+
+    if (!config) {
+      return errorResponse(res, 'OAuth provider not found', 404);
+    }
+
+    const { code, state, error } = { ...req.query, ...req.body };
+
+    if (error) {
+      return errorResponse(res, `OAuth login was not completed: ${error}`, 400);
+    }
+
+    if (!code || !state) {
+      return errorResponse(res, 'Authorization code and state are required', 400);
+    }
+
+    // State single-use dan harus dari browser yang sama
+    const stored = await kvGet(stateKey(state));
+    await kvDel(stateKey(state));
+    res.clearCookie(STATE_COOKIE);
+
+    const flow = stored ? JSON.parse(stored) : null;
+
+    if (!flow || flow.provider !== config.name || req.cookies?.[STATE_COOKIE] !== state) {
+      return errorResponse(res, 'Invalid or expired OAuth state', 400);
+    }
+
+    const provider = await resolveEndpoints(config);
+    const tokens = await exchangeCode(provider, { code, codeVerifier: flow.codeVerifier });
+    const profile = await fetchProfile(provider, tokens, flow.nonce);
+
+    // Flow link akun dari halaman settings
+    if (flow.linkUserId) {
+      const result = await linkAccountToUser(req, provider, profile, flow.linkUserId);
+
+      if (result.error) {
+        return errorResponse(res, result.error.message, result.error.status);
+      }
+
+      return successResponse(res, { account: toPublicAccount(result.account) }, `${provider.displayName} account linked successfully`);
+    }
+
+    const result = await resolveOAuthUser(req, provider, profile);
+
+    if (result.error) {
+      return errorResponse(res, result.error.message, result.error.status);
+    }
+
+    if (!result.user.isActive) {
+      return errorResponse(res, 'Account is deactivated', 401);
+    }
+
+    return await completeLogin(req, res, result.user, 'OAUTH');
+
+  } catch (error) {
+    if (error.name === 'OAuthError') {
+      return errorResponse(res, error.message, 401);
+    }
+    console.error('OAuth callback error:', error);
+    return errorResponse(res, 'OAuth login failed', 500);
+  }
+};
+
+/**
+ * GET /auth/oauth/accounts
+ * Daftar akun social login yang terhubung ke user
+ */
+export const getLinkedAccounts = async (req, res) => {
+  try {
+    const accounts = await prisma.account.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    return successResponse(res, { accounts: accounts.map(toPublicAccount) }, 'Linked accounts retrieved');
+
+  } catch (error) {
+    console.error('Get linked accounts error:', error);
+    return errorResponse(res, 'Failed to retrieve linked accounts', 500);
+  }
+};
+
+/**
+ * DELETE /auth/oauth/accounts/:provider
+ * Putuskan akun social login
+ */
+export const unlinkAccount = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      include: { accounts: true }
+    });
+
+    const account = user?.accounts.find(item => item.provider === req.params.provider);
+
+    if (!account) {
+      return errorResponse(res, 'Linked account not found', 404);
+    }
+
+    // Jangan sampai user tidak punya cara login sama sekali
+    if (!user.password && user.accounts.length === 1) {
+      return errorResponse(res, 'Set a password before unlinking your last sign-in method', 400);
+    }
+
+    await prisma.account.delete({
+      where: { id: account.id }
+    });
+
+    await recordAuditLog(req, 'ACCOUNT_UNLINKED', {
+      targetType: 'ACCOUNT',
+      targetId: account.id,
+      metadata: { provider: account.provider, email: account.email }
+    });
+
+    return successResponse(res, null, 'Account unlinked successfully');
+
+  } catch (error) {
+    console.error('Unlink account error:', error);
+    return errorResponse(res, 'Failed to unlink account', 500);
+  }
+};
@@ -0,0 +1,421 @@
+import prisma from '../config/database.js';
+import { successResponse, errorResponse, validateEmail } from '../utils/helpers.js';
+import { hashToken } from '../utils/authTokens.js';
+import { generateInvitationToken, getInvitationStatus, invitationLifetimeDays } from '../utils/invitations.js';
+import { getCompanyDomain } from '../utils/recruiterRequests.js';
+import { sendOrganizationInvitationEmail } from '../utils/mailer.js';
+import { recordAuditLog } from '../utils/auditLog.js';
+
+const MAX_PENDING_INVITATIONS = 50;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+const memberSelect = {
+  id: true,
+  email: true,
+  username: true,
+  name: true,
+  avatar: true,
+  role: true,
+  createdAt: true
+};
+
+const invitationSelect = {
+  id: true,
+  email: true,
+  role: true,
+  expiresAt: true,
+  lastSentAt: true,
+  sendCount: true,
+  acceptedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  invitedBy: {
+    select: { id: true, email: true, name: true }
+  }
+};
+
+const toInvitationResponse = (invitation) => ({
+  ...invitation,
+  status: getInvitationStatus(invitation)
+});
+
+/**
+ * POST /organizations
+ * Buat organization baru (untuk recruiter yang belum punya organization)
+ */
+export const createOrganization = async (req, res) => {
+  try {
+    const { name, website } = req.body;
+
+    if (req.user.organizationId) {
+      return errorResponse(res, 'You already belong to an organization', 409);
+    }
+
+    if (!name || !String(name).trim()) {
+      return errorResponse(res, 'Organization name is required', 400);
+    }
+
+    const domain = getCompanyDomain(website);
+
+    if (website && !domain) {
+      return errorResponse(res, 'Invalid organization website', 400);
+    }
+
+    const organization = await prisma.organization.create({
+      data: {
+        name: String(name).trim(),
+        domain,
+        members: { connect: { id: req.user.id } }
+      }
+    });
+
+    await recordAuditLog(req, 'ORGANIZATION_CREATED', {
+      targetType: 'ORGANIZATION',
+      targetId: organization.id,
+      metadata: { name: organization.name, domain }
+    });
+
+    return successResponse(res, { organization }, 'Organization created successfully', 201);
+
+  } catch (error) {
+    console.error('Create organization error:', error);
+    return errorResponse(res, 'Failed to create organization', 500);
+  }
+};
+
+/**
+ * GET /organizations/me
+ * Organization user beserta anggotanya
+ */
+export const getMyOrganization = async (req, res) => {
+  try {
+    if (!req.user.organizationId) {
+      return errorResponse(res, 'You do not belong to an organization', 404);
+    }
+
+    const organization = await prisma.organization.findUnique({
+      where: { id: req.user.organizationId },
+      include: {
+        members: {
+          select: memberSelect,
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    if (!organization) {
+      return errorResponse(res, 'You do not belong to an organization', 404);
+    }
+
+    return successResponse(res, { organization }, 'Organization retrieved successfully');
+
+  } catch (error) {
+    console.error('Get my organization error:', error);
+    return errorResponse(res, 'Failed to retrieve organization', 500);
+  }
+};
+
+/**
+ * GET /organizations/me/invitations
+ * Invitation yang belum diterima / di-revoke (termasuk yang sudah expired, bisa di-resend)
+ */
+export const getInvitations = async (req, res) => {
+  try {
+    if (!req.user.organizationId) {
+      return errorResponse(res, 'You do not belong to an organization', 404);
+    }
+
+    const invitations = await prisma.organizationInvitation.findMany({
+      where: {
+        organizationId: req.user.organizationId,
+        acceptedAt: null,
+        revokedAt: null
+      },
+      select: invitationSelect,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return successResponse(res, {
+      invitations: invitations.map(toInvitationResponse)
+    }, 'Invitations retrieved successfully');
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    return errorResponse(res, 'Failed to retrieve invitations', 500);
+  }
+};
+
+/**
+ * POST /organizations/me/invitations
+ * Undang rekan ke organization lewat email
+ */
+export const createInvitation = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!req.user.organizationId) {
+      return errorResponse(res, 'You do not belong to an organization', 404);
+    }
+
+    if (!email || !validateEmail(email)) {
+      return errorResponse(res, 'A valid email is required', 400);
+    }
+
+    const invitedEmail = String(email).trim().toLowerCase();
+    const organizationId = req.user.organizationId;
+
+    const existingMember = await prisma.user.findFirst({
+      where: {
+        email: { equals: invitedEmail, mode: 'insensitive' },
+        organizationId
+      }
+    });
+
+    if (existingMember) {
+      return errorResponse(res, 'User is already a member of this organization', 400);
+    }
+
+    const openInvitations = await prisma.organizationInvitation.findMany({
+      where: { organizationId, acceptedAt: null, revokedAt: null },
+      select: { id: true, email: true, expiresAt: true, acceptedAt: true, revokedAt: true }
+    });
+
+    const pendingInvitations = openInvitations.filter(invitation => getInvitationStatus(invitation) === 'PENDING');
+
+    if (pendingInvitations.some(invitation => invitation.email === invitedEmail)) {
+      return errorResponse(res, 'This email already has a pending invitation, resend it instead', 409);
+    }
+
+    if (pendingInvitations.length >= MAX_PENDING_INVITATIONS) {
+      return errorResponse(res, `An organization can have at most ${MAX_PENDING_INVITATIONS} pending invitations`, 400);
+    }
+
+    // Invitation lama yang sudah expired untuk email ini diganti yang baru
+    await prisma.organizationInvitation.updateMany({
+      where: { organizationId, email: invitedEmail, acceptedAt: null, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    const { token, tokenHash, expiresAt } = generateInvitationToken();
+
+    const invitation = await prisma.organizationInvitation.create({
+      data: {
+        organizationId,
+        email: invitedEmail,
+        tokenHash,
+        expiresAt,
+        invitedById: req.user.id
+      },
+      select: { ...invitationSelect, organization: true }
+    });
+
+    const { organization, ...invitationData } = invitation;
+
+    await sendOrganizationInvitationEmail(invitation, organization, req.user, token, invitationLifetimeDays());
+
+    await recordAuditLog(req, 'ORGANIZATION_INVITATION_SENT', {
+      targetType: 'ORGANIZATION_INVITATION',
+      targetId: invitation.id,
+      metadata: { organizationId, email: invitedEmail }
+    });
+
+    return successResponse(res, {
+      invitation: toInvitationResponse(invitationData)
+    }, 'Invitation sent successfully', 201);
+
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    return errorResponse(res, 'Failed to send invitation', 500);
+  }
+};
+
+/**
+ * POST /organizations/me/invitations/:id/resend
+ * Kirim ulang invitation dengan token & masa berlaku baru (link lama tidak berlaku lagi)
+ */
+export const resendInvitation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!req.user.organizationId) {
+      return errorResponse(res, 'Invitation not found', 404);
+    }
+
+    const existing = await prisma.organizationInvitation.findFirst({
+      where: {
+        id,
+        organizationId: req.user.organizationId,
+        acceptedAt: null,
+        revokedAt: null
+      },
+      include: { organization: true }
+    });
+
+    if (!existing) {
+      return errorResponse(res, 'Invitation not found', 404);
+    }
+
+    if (Date.now() - existing.lastSentAt.getTime() < RESEND_COOLDOWN_MS) {
+      return errorResponse(res, 'Invitation was sent recently, please wait a minute before resending', 429);
+    }
+
+    const { token, tokenHash, expiresAt } = generateInvitationToken();
+
+    const invitation = await prisma.organizationInvitation.update({
+      where: { id },
+      data: {
+        tokenHash,
+        expiresAt,
+        lastSentAt: new Date(),
+        sendCount: { increment: 1 }
+      },
+      select: invitationSelect
+    });
+
+    await sendOrganizationInvitationEmail(invitation, existing.organization, req.user, token, invitationLifetimeDays());
+
+    await recordAuditLog(req, 'ORGANIZATION_INVITATION_RESENT', {
+      targetType: 'ORGANIZATION_INVITATION',
+      targetId: invitation.id,
+      metadata: { organizationId: existing.organizationId, email: invitation.email, sendCount: invitation.sendCount }
+    });
+
+    return successResponse(res, {
+      invitation: toInvitationResponse(invitation)
+    }, 'Invitation resent successfully');
+
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    return errorResponse(res, 'Failed to resend invitation', 500);
+  }
+};
+
+/**
+ * DELETE /organizations/me/invitations/:id
+ * Revoke invitation yang belum diterima
+ */
+export const revokeInvitation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!req.user.organizationId) {
+      return errorResponse(res, 'Invitation not found', 404);
+    }
+
+    const { count } = await prisma.organizationInvitation.updateMany({
+      where: {
+        id,
+        organizationId: req.user.organizationId,
+        acceptedAt: null,
+        revokedAt: null
+      },
+      data: { revokedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return errorResponse(res, 'Invitation not found', 404);
+    }
+
+    await recordAuditLog(req, 'ORGANIZATION_INVITATION_REVOKED', {
+      targetType: 'ORGANIZATION_INVITATION',
+      targetId: id,
+      metadata: { organizationId: req.user.organizationId }
+    });
+
+    return successResponse(res, null, 'Invitation revoked successfully');
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    return errorResponse(res, 'Failed to revoke invitation', 500);
+  }
+};
+
+/**
+ * POST /organizations/invitations/accept
+ * Terima invitation: user masuk ke organization dan role USER jadi RECRUITER
+ * User harus login dengan email yang diundang
+ */
+export const acceptInvitation = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return errorResponse(res, 'Invitation token is required', 400);
+    }
+
+    const invitation = await prisma.organizationInvitation.findUnique({
+      where: { tokenHash: hashToken(String(token)) },
+      include: { organization: true }
+    });
+
+    if (!invitation || getInvitationStatus(invitation) !== 'PENDING') {
+      return errorResponse(res, 'Invalid or expired invitation', 400);
+    }
+
+    if (invitation.email !== req.user.email.toLowerCase()) {
+      return errorResponse(res, 'This invitation was sent to a different email address', 403);
+    }
+
+    if (req.user.organizationId) {
+      const message = req.user.organizationId === invitation.organizationId
+        ? 'You are already a member of this organization'
+        : 'You already belong to another organization';
+      return errorResponse(res, message, 409);
+    }
+
+    // Admin tetap admin, role lain naik ke role dari invitation
+    const previousRole = req.user.role;
+    const newRole = previousRole === 'USER' ? invitation.role : previousRole;
+
+    const accepted = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.organizationInvitation.updateMany({
+        where: { id: invitation.id, acceptedAt: null, revokedAt: null },
+        data: { acceptedAt: new Date(), acceptedById: req.user.id }
+      });
+
+      if (!count) {
+        return false;
+      }
+
+      await tx.user.update({
+        where: { id: req.user.id },
+        data: { organizationId: invitation.organizationId, role: newRole }
+      });
+
+      return true;
+    });
+
+    if (!accepted) {
+      return errorResponse(res, 'Invalid or expired invitation', 400);
+    }
+
+    await recordAuditLog(req, 'ORGANIZATION_INVITATION_ACCEPTED', {
+      targetType: 'ORGANIZATION_INVITATION',
+      targetId: invitation.id,
+      metadata: { organizationId: invitation.organizationId, invitedById: invitation.invitedById }
+    });
+
+    if (previousRole !== newRole) {
+      await recordAuditLog(req, 'USER_ROLE_CHANGED', {
+        targetType: 'USER',
+        targetId: req.user.id,
+        metadata: {
+          changes: { role: { from: previousRole, to: newRole } },
+          invitationId: invitation.id
+        }
+      });
+    }
+
+    return successResponse(res, {
+      organization: {
+        id: invitation.organization.id,
+        name: invitation.organization.name
+      },
+      role: newRole
+    }, 'Invitation accepted');
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    return errorResponse(res, 'Failed to accept invitation', 500);
+  }
+};
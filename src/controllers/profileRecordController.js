@@ -0,0 +1,230 @@
+import prisma from '../config/database.js';
+import { successResponse, errorResponse } from '../utils/helpers.js';
+import {
+  MAX_RECORDS_PER_USER,
+  validateExperience,
+  validateEducation,
+  calculateYearsOfExperience,
+  getHighestDegree
+} from '../utils/profileRecords.js';
+
+// Posisi / studi yang masih berjalan di atas, lalu dari yang terbaru
+const recordOrderBy = [
+  { isCurrent: 'desc' },
+  { startDate: 'desc' },
+  { createdAt: 'desc' }
+];
+
+/**
+ * GET /users/me/experience
+ * Daftar riwayat kerja user
+ */
+export const getMyExperiences = async (req, res) => {
+  try {
+    const experiences = await prisma.experience.findMany({
+      where: { userId: req.user.id },
+      orderBy: recordOrderBy
+    });
+
+    return successResponse(res, {
+      experiences,
+      yearsOfExperience: calculateYearsOfExperience(experiences)
+    }, 'Experience retrieved successfully');
+
+  } catch (error) {
+    console.error('Get experience error:', error);
+    return errorResponse(res, 'Failed to retrieve experience', 500);
+  }
+};
+
+/**
+ * POST /users/me/experience
+ * Tambah riwayat kerja
+ */
+export const createMyExperience = async (req, res) => {
+  try {
+    const { data, errors } = validateExperience(req.body);
+
+    if (errors.length) {
+      return errorResponse(res, 'Invalid experience', 400, { fields: errors });
+    }
+
+    const total = await prisma.experience.count({ where: { userId: req.user.id } });
+
+    if (total >= MAX_RECORDS_PER_USER) {
+      return errorResponse(res, `You can add at most ${MAX_RECORDS_PER_USER} experience entries`, 400);
+    }
+
+    const experience = await prisma.experience.create({
+      data: { ...data, userId: req.user.id }
+    });
+
+    return successResponse(res, { experience }, 'Experience added successfully', 201);
+
+  } catch (error) {
+    console.error('Create experience error:', error);
+    return errorResponse(res, 'Failed to add experience', 500);
+  }
+};
+
+/**
+ * PUT /users/me/experience/:id
+ * Update riwayat kerja (field yang tidak dikirim tidak diubah)
+ */
+export const updateMyExperience = async (req, res) => {
+  try {
+    const existing = await prisma.experience.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!existing) {
+      return errorResponse(res, 'Experience not found', 404);
+    }
+
+    const { data, errors } = validateExperience(req.body, existing);
+
+    if (errors.length) {
+      return errorResponse(res, 'Invalid experience', 400, { fields: errors });
+    }
+
+    const experience = await prisma.experience.update({
+      where: { id: existing.id },
+      data
+    });
+
+    return successResponse(res, { experience }, 'Experience updated successfully');
+
+  } catch (error) {
+    console.error('Update experience error:', error);
+    return errorResponse(res, 'Failed to update experience', 500);
+  }
+};
+
+/**
+ * DELETE /users/me/experience/:id
+ * Hapus riwayat kerja
+ */
+export const deleteMyExperience = async (req, res) => {
+  try {
+    const { count } = await prisma.experience.deleteMany({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!count) {
+      return errorResponse(res, 'Experience not found', 404);
+    }
+
+    return successResponse(res, null, 'Experience deleted successfully');
+
+  } catch (error) {
+    console.error('Delete experience error:', error);
+    return errorResponse(res, 'Failed to delete experience', 500);
+  }
+};
+
+/**
+ * GET /users/me/education
+ * Daftar riwayat pendidikan user
+ */
+export const getMyEducations = async (req, res) => {
+  try {
+    const educations = await prisma.education.findMany({
+      where: { userId: req.user.id },
+      orderBy: recordOrderBy
+    });
+
+    return successResponse(res, {
+      educations,
+      highestDegree: getHighestDegree(educations)
+    }, 'Education retrieved successfully');
+
+  } catch (error) {
+    console.error('Get education error:', error);
+    return errorResponse(res, 'Failed to retrieve education', 500);
+  }
+};
+
+/**
+ * POST /users/me/education
+ * Tambah riwayat pendidikan
+ */
+export const createMyEducation = async (req, res) => {
+  try {
+    const { data, errors } = validateEducation(req.body);
+
+    if (errors.length) {
+      return errorResponse(res, 'Invalid education', 400, { fields: errors });
+    }
+
+    const total = await prisma.education.count({ where: { userId: req.user.id } });
+
+    if (total >= MAX_RECORDS_PER_USER) {
+      return errorResponse(res, `You can add at most ${MAX_RECORDS_PER_USER} education entries`, 400);
+    }
+
+    const education = await prisma.education.create({
+      data: { ...data, userId: req.user.id }
+    });
+
+    return successResponse(res, { education }, 'Education added successfully', 201);
+
+  } catch (error) {
+    console.error('Create education error:', error);
+    return errorResponse(res, 'Failed to add education', 500);
+  }
+};
+
+/**
+ * PUT /users/me/education/:id
+ * Update riwayat pendidikan (field yang tidak dikirim tidak diubah)
+ */
+export const updateMyEducation = async (req, res) => {
+  try {
+    const existing = await prisma.education.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!existing) {
+      return errorResponse(res, 'Education not found', 404);
+    }
+
+    const { data, errors } = validateEducation(req.body, existing);
+
+    if (errors.length) {
+      return errorResponse(res, 'Invalid education', 400, { fields: errors });
+    }
+
+    const education = await prisma.education.update({
+      where: { id: existing.id },
+      data
+    });
+
+    return successResponse(res, { education }, 'Education updated successfully');
+
+  } catch (error) {
+    console.error('Update education error:', error);
+    return errorResponse(res, 'Failed to update education', 500);
+  }
+};
+
+/**
+ * DELETE /users/me/education/:id
+ * Hapus riwayat pendidikan
+ */
+export const deleteMyEducation = async (req, res) => {
+  try {
+    const { count } = await prisma.education.deleteMany({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!count) {
+      return errorResponse(res, 'Education not found', 404);
+    }
+
+    return successResponse(res, null, 'Education deleted successfully');
+
+  } catch (error) {
+    console.error('Delete education error:', error);
+    return errorResponse(res, 'Failed to delete education', 500);
+  }
+};
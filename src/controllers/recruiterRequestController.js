@@ -0,0 +1,337 @@
+import prisma from '../config/database.js';
+import { successResponse, errorResponse } from '../utils/helpers.js';
+import {
+  RECRUITER_REQUEST_STATUSES,
+  isWorkEmailRequired,
+  getCompanyDomain,
+  getEmailDomain,
+  emailMatchesCompanyDomain
+} from '../utils/recruiterRequests.js';
+import { recordAuditLog } from '../utils/auditLog.js';
+import { publishRecruiterRequestReviewed } from '../utils/notificationPublisher.js';
+
+const RECRUITER_REQUEST_MAX_LIMIT = 100;
+
+const recruiterRequestInclude = {
+  user: {
+    select: {
+      id: true,
+      email: true,
+      username: true,
+      name: true,
+      role: true,
+      isActive: true,
+      emailVerified: true,
+      organizationId: true,
+      createdAt: true
+    }
+  },
+  reviewedBy: {
+    select: { id: true, email: true, name: true }
+  }
+};
+
+/**
+ * POST /users/me/recruiter-request
+ * Minta akses recruiter (masuk ke antrean review admin)
+ */
+export const submitRecruiterRequest = async (req, res) => {
+  try {
+    const { companyName, companyWebsite, jobTitle, message } = req.body;
+
+    if (req.user.role !== 'USER') {
+      return errorResponse(res, 'Only users with the USER role can request recruiter access', 400);
+    }
+
+    if (!req.user.emailVerified) {
+      return errorResponse(res, 'Please verify your email before requesting recruiter access', 403);
+    }
+
+    if (!companyName || !String(companyName).trim()) {
+      return errorResponse(res, 'Company name is required', 400);
+    }
+
+    const companyDomain = getCompanyDomain(companyWebsite);
+
+    if (companyWebsite && !companyDomain) {
+      return errorResponse(res, 'Invalid company website', 400);
+    }
+
+    // Cek email kerja: domain email harus sama dengan domain website perusahaan
+    const emailDomainMatch = companyDomain ? emailMatchesCompanyDomain(req.user.email, companyDomain) : null;
+
+    if (isWorkEmailRequired() && !companyDomain) {
+      return errorResponse(res, 'Company website is required to verify your work email', 400);
+    }
+
+    if (isWorkEmailRequired() && !emailDomainMatch) {
+      return errorResponse(res, 'Your account email must use your company domain', 400, {
+        emailDomain: getEmailDomain(req.user.email),
+        companyDomain
+      });
+    }
+
+    const pendingRequest = await prisma.recruiterRequest.findFirst({
+      where: { userId: req.user.id, status: 'PENDING' }
+    });
+
+    if (pendingRequest) {
+      return errorResponse(res, 'You already have a pending recruiter request', 409);
+    }
+
+    const recruiterRequest = await prisma.recruiterRequest.create({
+      data: {
+        userId: req.user.id,
+        companyName: String(companyName).trim(),
+        companyWebsite: companyWebsite ? String(companyWebsite).trim() : null,
+        companyDomain,
+        jobTitle: jobTitle ? String(jobTitle).trim() : null,
+        message: message ? String(message).trim() : null,
+        emailDomainMatch
+      }
+    });
+
+    await recordAuditLog(req, 'RECRUITER_REQUEST_SUBMITTED', {
+      targetType: 'RECRUITER_REQUEST',
+      targetId: recruiterRequest.id,
+      metadata: { companyName: recruiterRequest.companyName, companyDomain, emailDomainMatch }
+    });
+
+    return successResponse(res, { recruiterRequest }, 'Recruiter request submitted', 201);
+
+  } catch (error) {
+    console.error('Submit recruiter request error:', error);
+    return errorResponse(res, 'Failed to submit recruiter request', 500);
+  }
+};
+
+/**
+ * GET /users/me/recruiter-request
+ * Status permintaan akses recruiter terakhir milik user
+ */
+export const getMyRecruiterRequest = async (req, res) => {
+  try {
+    const recruiterRequest = await prisma.recruiterRequest.findFirst({
+      where: { userId: req.user.id },
+      select: {
+        id: true,
+        companyName: true,
+        companyWebsite: true,
+        jobTitle: true,
+        message: true,
+        status: true,
+        reviewNote: true,
+        reviewedAt: true,
+        createdAt: true
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return successResponse(res, { recruiterRequest }, 'Recruiter request retrieved successfully');
+
+  } catch (error) {
+    console.error('Get my recruiter request error:', error);
+    return errorResponse(res, 'Failed to retrieve recruiter request', 500);
+  }
+};
+
+/**
+ * GET /admin/recruiter-requests
+ * Antrean review permintaan akses recruiter
+ * ?status=PENDING (default) | APPROVED | REJECTED, antrean PENDING diurutkan dari yang paling lama
+ */
+export const getRecruiterRequests = async (req, res) => {
+  try {
+    const { status = 'PENDING', page = 1, limit = 20 } = req.query;
+    const statusFilter = String(status).toUpperCase();
+
+    if (!RECRUITER_REQUEST_STATUSES.includes(statusFilter)) {
+      return errorResponse(res, 'Invalid status', 400, { allowedStatuses: RECRUITER_REQUEST_STATUSES });
+    }
+
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    const take = Math.min(Math.max(parseInt(limit) || 20, 1), RECRUITER_REQUEST_MAX_LIMIT);
+    const where = { status: statusFilter };
+
+    const [recruiterRequests, totalRequests] = await Promise.all([
+      prisma.recruiterRequest.findMany({
+        where,
+        include: recruiterRequestInclude,
+        skip: (currentPage - 1) * take,
+        take,
+        orderBy: { createdAt: statusFilter === 'PENDING' ? 'asc' : 'desc' }
+      }),
+      prisma.recruiterRequest.count({ where })
+    ]);
+
+    const totalPages = Math.ceil(totalRequests / take);
+
+    return successResponse(res, {
+      recruiterRequests,
+      pagination: {
+        currentPage,
+        totalPages,
+        totalRequests,
+        hasNextPage: currentPage < totalPages,
+        hasPrevPage: currentPage > 1
+      }
+    }, 'Recruiter requests retrieved successfully');
+
+  } catch (error) {
+    console.error('Get recruiter requests error:', error);
+    return errorResponse(res, 'Failed to retrieve recruiter requests', 500);
+  }
+};
+
+/**
+ * Approve / reject permintaan yang masih PENDING
+ * Approve sekaligus upgrade role USER -> RECRUITER dan buat organization perusahaannya
+ * (kalau user belum punya) dalam satu transaction, rekan lain bergabung lewat invitation
+ * @returns {Object|null} - Request setelah di-review, null kalau sudah di-review admin lain
+ */
+const reviewRecruiterRequest = async (req, recruiterRequest, status, reviewNote) => {
+  return await prisma.$transaction(async (tx) => {
+    const { count } = await tx.recruiterRequest.updateMany({
+      where: { id: recruiterRequest.id, status: 'PENDING' },
+      data: {
+        status,
+        reviewNote,
+        reviewedById: req.user.id,
+        reviewedAt: new Date()
+      }
+    });
+
+    if (!count) {
+      return null;
+    }
+
+    if (status === 'APPROVED') {
+      const organization = recruiterRequest.user.organizationId
+        ? null
+        : await tx.organization.create({
+          data: { name: recruiterRequest.companyName, domain: recruiterRequest.companyDomain }
+        });
+
+      await tx.user.update({
+        where: { id: recruiterRequest.userId },
+        data: {
+          ...(recruiterRequest.user.role === 'USER' && { role: 'RECRUITER' }),
+          ...(organization && { organizationId: organization.id })
+        }
+      });
+    }
+
+    return await tx.recruiterRequest.findUnique({
+      where: { id: recruiterRequest.id },
+      include: recruiterRequestInclude
+    });
+  });
+};
+
+/**
+ * Load request untuk di-review
+ * @returns {Object} - { recruiterRequest } atau { error: { message, status } }
+ */
+const findPendingRecruiterRequest = async (id) => {
+  const recruiterRequest = await prisma.recruiterRequest.findUnique({
+    where: { id },
+    include: recruiterRequestInclude
+  });
+
+  if (!recruiterRequest) {
+    return { error: { message: 'Recruiter request not found', status: 404 } };
+  }
+
+  if (recruiterRequest.status !== 'PENDING') {
+    return { error: { message: 'Recruiter request has already been reviewed', status: 409 } };
+  }
+
+  return { recruiterRequest };
+};
+
+/**
+ * POST /admin/recruiter-requests/:id/approve
+ * Approve permintaan: role user jadi RECRUITER dan user dapat notifikasi
+ */
+export const approveRecruiterRequest = async (req, res) => {
+  try {
+    const { note } = req.body;
+    const { recruiterRequest, error } = await findPendingRecruiterRequest(req.params.id);
+
+    if (error) {
+      return errorResponse(res, error.message, error.status);
+    }
+
+    const previousRole = recruiterRequest.user.role;
+    const approvedRequest = await reviewRecruiterRequest(req, recruiterRequest, 'APPROVED', note ? String(note).trim() : null);
+
+    if (!approvedRequest) {
+      return errorResponse(res, 'Recruiter request has already been reviewed', 409);
+    }
+
+    await recordAuditLog(req, 'RECRUITER_REQUEST_APPROVED', {
+      targetType: 'RECRUITER_REQUEST',
+      targetId: approvedRequest.id,
+      metadata: { userId: approvedRequest.userId, companyName: approvedRequest.companyName }
+    });
+
+    if (previousRole !== approvedRequest.user.role) {
+      await recordAuditLog(req, 'USER_ROLE_CHANGED', {
+        targetType: 'USER',
+        targetId: approvedRequest.userId,
+        metadata: {
+          changes: { role: { from: previousRole, to: approvedRequest.user.role } },
+          recruiterRequestId: approvedRequest.id
+        }
+      });
+    }
+
+    await publishRecruiterRequestReviewed(approvedRequest, approvedRequest.user);
+
+    return successResponse(res, { recruiterRequest: approvedRequest }, 'Recruiter request approved');
+
+  } catch (error) {
+    console.error('Approve recruiter request error:', error);
+    return errorResponse(res, 'Failed to approve recruiter request', 500);
+  }
+};
+
+/**
+ * POST /admin/recruiter-requests/:id/reject
+ * Tolak permintaan dengan alasan (dikirim ke user)
+ */
+export const rejectRecruiterRequest = async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    if (!note || !String(note).trim()) {
+      return errorResponse(res, 'A note explaining the rejection is required', 400);
+    }
+
+    const { recruiterRequest, error } = await findPendingRecruiterRequest(req.params.id);
+
+    if (error) {
+      return errorResponse(res, error.message, error.status);
+    }
+
+    const rejectedRequest = await reviewRecruiterRequest(req, recruiterRequest, 'REJECTED', String(note).trim());
+
+    if (!rejectedRequest) {
+      return errorResponse(res, 'Recruiter request has already been reviewed', 409);
+    }
+
+    await recordAuditLog(req, 'RECRUITER_REQUEST_REJECTED', {
+      targetType: 'RECRUITER_REQUEST',
+      targetId: rejectedRequest.id,
+      metadata: { userId: rejectedRequest.userId, companyName: rejectedRequest.companyName }
+    });
+
+    await publishRecruiterRequestReviewed(rejectedRequest, rejectedRequest.user);
+
+    return successResponse(res, { recruiterRequest: rejectedRequest }, 'Recruiter request rejected');
+
+  } catch (error) {
+    console.error('Reject recruiter request error:', error);
+    return errorResponse(res, 'Failed to reject recruiter request', 500);
+  }
+};
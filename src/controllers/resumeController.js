@@ -0,0 +1,244 @@
+import multer from 'multer';
+import path from 'path';
+import prisma from '../config/database.js';
+import { successResponse, errorResponse } from '../utils/helpers.js';
+import { can } from '../utils/permissions.js';
+import { getStorage } from '../config/storage.js';
+import {
+  resumeMaxSizeMb,
+  resumeMaxVersions,
+  detectResumeType,
+  hashResumeFile,
+  storeResumeFile,
+  deleteResumeFile,
+  getResumeDownloadName
+} from '../utils/resumes.js';
+import { extractResumeText, parseResumeText, buildProfileSuggestions } from '../utils/resumeParser.js';
+
+const resumeSelect = {
+  id: true,
+  version: true,
+  fileName: true,
+  mimeType: true,
+  size: true,
+  createdAt: true
+};
+
+const withDownloadUrl = (resume) => ({
+  ...resume,
+  downloadUrl: `/api/resumes/${resume.id}/download`
+});
+
+/**
+ * Middleware upload resume (field "resume")
+ * File ditahan di memory dulu supaya isinya bisa dicek sebelum disimpan
+ */
+export const resumeUpload = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: resumeMaxSizeMb() * 1024 * 1024, files: 1 }
+  }).single('resume');
+
+  upload(req, res, (error) => {
+    if (error?.code === 'LIMIT_FILE_SIZE') {
+      return errorResponse(res, `File too large. Maximum size is ${resumeMaxSizeMb()}MB`, 400);
+    }
+
+    if (error instanceof multer.MulterError) {
+      return errorResponse(res, 'Upload a single file in the "resume" field', 400);
+    }
+
+    next(error);
+  });
+};
+
+/**
+ * Hapus versi lama di luar RESUME_MAX_VERSIONS terbaru
+ * Versi yang masih dipakai lamaran tidak dihapus supaya recruiter tetap bisa mengunduhnya
+ */
+const pruneOldVersions = async (userId) => {
+  const oldVersions = await prisma.resume.findMany({
+    where: { userId, applications: { none: {} } },
+    select: { id: true, storageKey: true },
+    orderBy: { version: 'desc' },
+    skip: resumeMaxVersions()
+  });
+
+  if (!oldVersions.length) {
+    return;
+  }
+
+  await prisma.resume.deleteMany({
+    where: { id: { in: oldVersions.map(resume => resume.id) } }
+  });
+
+  await Promise.all(oldVersions.map(resume => deleteResumeFile(resume.storageKey)));
+};
+
+/**
+ * Saran perubahan profil dari isi resume (diproses lokal, tanpa API eksternal)
+ * Gagal parsing tidak menggagalkan upload, hasilnya null
+ * @returns {Object|null} - { changes, diff }, changes bisa langsung dikirim ke PUT /users/me
+ */
+const suggestProfileChanges = async (userId, buffer, type) => {
+  try {
+    const text = await extractResumeText(buffer, type);
+
+    const profile = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        name: true,
+        location: true,
+        phone: true,
+        links: true,
+        skills: true,
+        experiences: { select: { employer: true, startDate: true } },
+        educations: { select: { institution: true, degree: true } }
+      }
+    });
+
+    return buildProfileSuggestions(parseResumeText(text), profile || {});
+  } catch (error) {
+    console.error('Parse resume error:', error);
+    return null;
+  }
+};
+
+/**
+ * POST /users/me/resume
+ * Upload resume (PDF/DOCX), setiap upload menjadi versi baru
+ */
+export const uploadMyResume = async (req, res) => {
+  let storageKey = null;
+
+  try {
+    if (!req.file) {
+      return errorResponse(res, 'Resume file is required', 400);
+    }
+
+    const type = detectResumeType(req.file.buffer);
+
+    if (!type) {
+      return errorResponse(res, 'Only PDF and DOCX files are allowed', 400);
+    }
+
+    const sha256 = hashResumeFile(req.file.buffer);
+
+    const latest = await prisma.resume.findFirst({
+      where: { userId: req.user.id },
+      select: { ...resumeSelect, sha256: true },
+      orderBy: { version: 'desc' }
+    });
+
+    // File yang sama dengan versi terbaru tidak perlu disimpan lagi
+    if (latest?.sha256 === sha256) {
+      const { sha256: latestSha256, ...resume } = latest;
+      return successResponse(res, {
+        resume: withDownloadUrl(resume),
+        profileSuggestions: await suggestProfileChanges(req.user.id, req.file.buffer, type)
+      }, 'Resume is already up to date');
+    }
+
+    storageKey = await storeResumeFile(req.user.id, req.file.buffer, type);
+
+    const resume = await prisma.resume.create({
+      data: {
+        userId: req.user.id,
+        version: (latest?.version || 0) + 1,
+        fileName: path.basename(req.file.originalname || `resume.${type.extension}`).slice(0, 255),
+        mimeType: type.mimeType,
+        size: req.file.size,
+        storageKey,
+        sha256
+      },
+      select: resumeSelect
+    });
+
+    await pruneOldVersions(req.user.id);
+
+    return successResponse(res, {
+      resume: withDownloadUrl(resume),
+      profileSuggestions: await suggestProfileChanges(req.user.id, req.file.buffer, type)
+    }, 'Resume uploaded successfully', 201);
+
+  } catch (error) {
+    // File sudah tersimpan tapi record gagal dibuat
+    if (storageKey) {
+      await deleteResumeFile(storageKey);
+    }
+
+    // Upload lain dari user yang sama mengambil nomor versi yang sama
+    if (error.code === 'P2002') {
+      return errorResponse(res, 'Another resume upload is in progress, please try again', 409);
+    }
+
+    console.error('Upload resume error:', error);
+    return errorResponse(res, 'Failed to upload resume', 500);
+  }
+};
+
+/**
+ * GET /users/me/resume
+ * Daftar versi resume, versi terbaru (resume aktif) di urutan pertama
+ */
+export const getMyResumes = async (req, res) => {
+  try {
+    const resumes = await prisma.resume.findMany({
+      where: { userId: req.user.id },
+      select: resumeSelect,
+      orderBy: { version: 'desc' }
+    });
+
+    return successResponse(res, {
+      currentResume: resumes[0] ? withDownloadUrl(resumes[0]) : null,
+      resumes: resumes.map(withDownloadUrl)
+    }, 'Resumes retrieved successfully');
+
+  } catch (error) {
+    console.error('Get resumes error:', error);
+    return errorResponse(res, 'Failed to retrieve resumes', 500);
+  }
+};
+
+/**
+ * GET /resumes/:id/download
+ * Download resume: pemilik, recruiter pemilik lowongan yang dilamar kandidat, atau admin
+ * Response berupa redirect ke signed URL file di storage
+ */
+export const downloadResume = async (req, res) => {
+  try {
+    const resume = await prisma.resume.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!resume) {
+      return errorResponse(res, 'Resume not found', 404);
+    }
+
+    // Lowongan milik user ini yang dilamar pemilik resume (untuk rule job-owner)
+    const jobOwnerIds = resume.userId === req.user.id
+      ? []
+      : (await prisma.job.findMany({
+        where: {
+          ownerId: req.user.id,
+          applications: { some: { applicantId: resume.userId } }
+        },
+        select: { ownerId: true },
+        take: 1
+      })).map(job => job.ownerId);
+
+    if (!can(req.user, 'resume:read', { ...resume, jobOwnerIds })) {
+      return errorResponse(res, 'Access denied', 403);
+    }
+
+    // File dikirim langsung dari storage (signed URL berumur pendek), bukan lewat API
+    res.set('Cache-Control', 'private, no-store');
+    return res.redirect(302, getStorage().signedUrl(resume.storageKey, {
+      fileName: getResumeDownloadName(resume)
+    }));
+
+  } catch (error) {
+    console.error('Download resume error:', error);
+    return errorResponse(res, 'Failed to download resume', 500);
+  }
+};
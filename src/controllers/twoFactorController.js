@@ -0,0 +1,471 @@
+import prisma from '../config/database.js';
+import { comparePassword } from '../utils/password.js';
+import { verifyToken } from '../utils/jwt.js';
+import { successResponse, errorResponse } from '../utils/helpers.js';
+import { issueAuthTokens, toPublicUser } from '../utils/authTokens.js';
+import { ROLES, isTwoFactorRequiredForRole } from '../utils/securityPolicy.js';
+import { recordFailedAttempt, clearFailedAttempts } from '../middlewares/bruteForce.js';
+import { recordAuditLog, diffChanges } from '../utils/auditLog.js';
+import { recordLoginSuccess, recordLoginFailure } from '../utils/loginHistory.js';
+import {
+  generateTotpSecret,
+  verifyTotpCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} from '../utils/totp.js';
+
+/**
+ * Ambil user untuk setup 2FA
+ * Bisa dari user yang sudah login, atau dari setupToken hasil login
+ * (untuk role yang wajib 2FA tapi belum enroll)
+ */
+const resolveEnrollingUser = async (req) => {
+  if (req.user) {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    return { user, viaSetupToken: false };
+  }
+
+  const { setupToken } = req.body;
+  if (!setupToken) {
+    return { user: null, viaSetupToken: false };
+  }
+
+  const decoded = verifyToken(setupToken);
+  if (decoded.purpose !== 'two-factor-setup') {
+    return { user: null, viaSetupToken: false };
+  }
+
+  const user = await prisma.user.findUnique({ where: { id: decoded.userId } });
+  return { user, viaSetupToken: true, loginMethod: decoded.loginMethod };
+};
+
+/**
+ * Cek code TOTP dan pastikan code yang sama tidak dipakai dua kali
+ * @returns {Number|null} - Time step yang cocok
+ */
+const checkTotpCode = (user, code) => {
+  if (!user.twoFactorSecret) {
+    return null;
+  }
+
+  const step = verifyTotpCode(user.twoFactorSecret, code);
+
+  if (step === null || (user.twoFactorLastUsedStep !== null && step <= user.twoFactorLastUsedStep)) {
+    return null;
+  }
+
+  return step;
+};
+
+/**
+ * Pakai code TOTP atau recovery code (juga dipakai konfirmasi hapus akun)
+ * Update-nya bersyarat (step harus lebih baru dari step terakhir, daftar recovery code belum berubah
+ * sejak dibaca) supaya dua request paralel tidak bisa memakai code yang sama
+ * @param {Object} user - User dari database
+ * @param {Object} credentials - { code, recoveryCode }, code TOTP diutamakan
+ * @param {Object} data - Field lain yang ikut di-update kalau code valid
+ * @returns {Boolean}
+ */
+export const consumeSecondFactor = async (user, { code, recoveryCode }, data = {}) => {
+  if (code) {
+    const step = checkTotpCode(user, code);
+
+    if (step === null) {
+      return false;
+    }
+
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { lt: step } }]
+      },
+      data: { twoFactorLastUsedStep: step, ...data }
+    });
+
+    return count === 1;
+  }
+
+  if (!recoveryCode) {
+    return false;
+  }
+
+  const hashed = hashRecoveryCode(recoveryCode);
+
+  if (!user.twoFactorRecoveryCodes.includes(hashed)) {
+    return false;
+  }
+
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      twoFactorRecoveryCodes: { has: hashed, equals: user.twoFactorRecoveryCodes }
+    },
+    data: {
+      twoFactorRecoveryCodes: user.twoFactorRecoveryCodes.filter(item => item !== hashed),
+      ...data
+    }
+  });
+
+  return count === 1;
+};
+
+/**
+ * Pakai challenge token login (hapus jti yang tersimpan di user secara atomic)
+ * @param {Object} decoded - Decoded challenge token
+ * @returns {Boolean} - false kalau challenge sudah pernah dipakai / digantikan login baru
+ */
+const consumeTwoFactorChallenge = async (decoded) => {
+  if (!decoded.jti) {
+    return false;
+  }
+
+  const { count } = await prisma.user.updateMany({
+    where: { id: decoded.userId, twoFactorChallengeId: decoded.jti },
+    data: { twoFactorChallengeId: null }
+  });
+
+  return count === 1;
+};
+
+/**
+ * POST /auth/2fa/setup
+ * Mulai enrollment 2FA: generate secret dan otpauth URI
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const { user } = await resolveEnrollingUser(req);
+
+    if (!user || !user.isActive) {
+      return errorResponse(res, 'Authentication required', 401);
+    }
+
+    if (user.twoFactorEnabled) {
+      return errorResponse(res, 'Two-factor authentication is already enabled', 400);
+    }
+
+    // Secret disimpan dulu, baru aktif setelah user konfirmasi code pertama
+    const secret = generateTotpSecret();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorSecret: secret }
+    });
+
+    return successResponse(res, {
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email)
+    }, 'Scan the QR code with your authenticator app, then confirm with a code');
+
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      return errorResponse(res, 'Invalid or expired setup token', 401);
+    }
+    console.error('2FA setup error:', error);
+    return errorResponse(res, 'Failed to start two-factor setup', 500);
+  }
+};
+
+/**
+ * POST /auth/2fa/enable
+ * Konfirmasi code pertama dan aktifkan 2FA
+ */
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return errorResponse(res, 'Verification code is required', 400);
+    }
+
+    const { user, viaSetupToken, loginMethod } = await resolveEnrollingUser(req);
+
+    if (!user || !user.isActive) {
+      return errorResponse(res, 'Authentication required', 401);
+    }
+
+    if (user.twoFactorEnabled) {
+      return errorResponse(res, 'Two-factor authentication is already enabled', 400);
+    }
+
+    if (!user.twoFactorSecret) {
+      return errorResponse(res, 'Two-factor setup has not been started', 400);
+    }
+
+    // Recovery codes hanya ditampilkan sekali, yang disimpan hanya hash-nya
+    const recoveryCodes = generateRecoveryCodes();
+
+    const enabled = await consumeSecondFactor(user, { code }, {
+      twoFactorEnabled: true,
+      twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode)
+    });
+
+    if (!enabled) {
+      return errorResponse(res, 'Invalid verification code', 400);
+    }
+
+    const updatedUser = await prisma.user.findUnique({ where: { id: user.id } });
+
+    await recordAuditLog(req, 'TWO_FACTOR_ENABLED', { actorId: user.id, targetType: 'USER', targetId: user.id });
+
+    // Enrollment dari login flow: langsung selesaikan login
+    if (viaSetupToken) {
+      const { accessToken, refreshToken, sessionId } = await issueAuthTokens(req, res, updatedUser, loginMethod);
+
+      await recordLoginSuccess(req, updatedUser, { loginMethod, sessionId, twoFactor: true });
+
+      return successResponse(res, {
+        recoveryCodes,
+        user: toPublicUser(updatedUser),
+        accessToken,
+        refreshToken
+      }, 'Two-factor authentication enabled. Login successful');
+    }
+
+    return successResponse(res, { recoveryCodes }, 'Two-factor authentication enabled');
+
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      return errorResponse(res, 'Invalid or expired setup token', 401);
+    }
+    console.error('2FA enable error:', error);
+    return errorResponse(res, 'Failed to enable two-factor authentication', 500);
+  }
+};
+
+/**
+ * POST /auth/2fa/verify
+ * Langkah kedua login: tukar challenge token + code dengan access/refresh token
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return errorResponse(res, 'Challenge token and code or recovery code are required', 400);
+    }
+
+    const decoded = verifyToken(challengeToken);
+
+    if (decoded.purpose !== 'two-factor-challenge') {
+      return errorResponse(res, 'Invalid or expired challenge token', 401);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId }
+    });
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return errorResponse(res, 'Invalid or expired challenge token', 401);
+    }
+
+    // Code TOTP / recovery code hanya bisa dipakai sekali
+    if (!(await consumeSecondFactor(user, { code, recoveryCode }))) {
+      await recordFailedAttempt(req, user.id);
+      await recordLoginFailure(req, code ? 'INVALID_TWO_FACTOR_CODE' : 'INVALID_RECOVERY_CODE', {
+        user,
+        loginMethod: decoded.loginMethod,
+        action: 'TWO_FACTOR_FAILED'
+      });
+      return errorResponse(res, code ? 'Invalid verification code' : 'Invalid recovery code', 401);
+    }
+
+    // Challenge token juga sekali pakai, dicek setelah code valid supaya salah ketik code tidak menghanguskannya
+    if (!(await consumeTwoFactorChallenge(decoded))) {
+      return errorResponse(res, 'Invalid or expired challenge token', 401);
+    }
+
+    await clearFailedAttempts(req, user.id);
+
+    const updatedUser = await prisma.user.findUnique({
+      where: { id: user.id }
+    });
+
+    const { accessToken, refreshToken, sessionId } = await issueAuthTokens(req, res, updatedUser, decoded.loginMethod);
+
+    await recordLoginSuccess(req, updatedUser, {
+      loginMethod: decoded.loginMethod,
+      sessionId,
+      twoFactor: true,
+      recoveryCodeUsed: Boolean(recoveryCode)
+    });
+
+    return successResponse(res, {
+      user: toPublicUser(updatedUser),
+      accessToken,
+      refreshToken,
+      ...(recoveryCode && { recoveryCodesRemaining: updatedUser.twoFactorRecoveryCodes.length })
+    }, 'Login successful');
+
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      return errorResponse(res, 'Invalid or expired challenge token', 401);
+    }
+    console.error('2FA verify error:', error);
+    return errorResponse(res, 'Two-factor verification failed', 500);
+  }
+};
+
+/**
+ * POST /auth/2fa/disable
+ * Matikan 2FA (butuh code TOTP atau recovery code, plus password kalau akun punya password)
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return errorResponse(res, 'Verification code or recovery code is required', 400);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    if (!user.twoFactorEnabled) {
+      return errorResponse(res, 'Two-factor authentication is not enabled', 400);
+    }
+
+    if (await isTwoFactorRequiredForRole(user.role)) {
+      return errorResponse(res, 'Two-factor authentication is required for your role', 403);
+    }
+
+    // Akun social login (tanpa password) cukup dengan code
+    if (user.password) {
+      if (!password) {
+        return errorResponse(res, 'Password is required', 400);
+      }
+
+      if (!(await comparePassword(password, user.password))) {
+        return errorResponse(res, 'Invalid password or verification code', 400);
+      }
+    }
+
+    const disabled = await consumeSecondFactor(user, { code, recoveryCode }, {
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorRecoveryCodes: [],
+      twoFactorLastUsedStep: null
+    });
+
+    if (!disabled) {
+      return errorResponse(res, 'Invalid password or verification code', 400);
+    }
+
+    await recordAuditLog(req, 'TWO_FACTOR_DISABLED', { targetType: 'USER', targetId: user.id });
+
+    return successResponse(res, null, 'Two-factor authentication disabled');
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    return errorResponse(res, 'Failed to disable two-factor authentication', 500);
+  }
+};
+
+/**
+ * POST /auth/2fa/recovery-codes
+ * Generate ulang recovery codes (code lama tidak berlaku lagi)
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return errorResponse(res, 'Verification code is required', 400);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    if (!user.twoFactorEnabled) {
+      return errorResponse(res, 'Two-factor authentication is not enabled', 400);
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    const regenerated = await consumeSecondFactor(user, { code }, {
+      twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode)
+    });
+
+    if (!regenerated) {
+      return errorResponse(res, 'Invalid verification code', 400);
+    }
+
+    await recordAuditLog(req, 'RECOVERY_CODES_REGENERATED', { targetType: 'USER', targetId: user.id });
+
+    return successResponse(res, { recoveryCodes }, 'Recovery codes regenerated');
+
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    return errorResponse(res, 'Failed to regenerate recovery codes', 500);
+  }
+};
+
+/**
+ * GET /admin/two-factor-policy
+ * Lihat role mana saja yang wajib 2FA (admin only)
+ */
+export const getTwoFactorPolicy = async (req, res) => {
+  try {
+    const policies = await prisma.roleSecurityPolicy.findMany();
+
+    const result = ROLES.map(role => ({
+      role,
+      requireTwoFactor: Boolean(policies.find(policy => policy.role === role)?.requireTwoFactor)
+    }));
+
+    return successResponse(res, { policies: result }, 'Two-factor policy retrieved successfully');
+
+  } catch (error) {
+    console.error('Get 2FA policy error:', error);
+    return errorResponse(res, 'Failed to retrieve two-factor policy', 500);
+  }
+};
+
+/**
+ * PUT /admin/two-factor-policy/:role
+ * Wajibkan / tidak wajibkan 2FA untuk role tertentu (admin only)
+ */
+export const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { requireTwoFactor } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return errorResponse(res, 'Invalid role', 400);
+    }
+
+    if (typeof requireTwoFactor !== 'boolean') {
+      return errorResponse(res, 'requireTwoFactor must be a boolean', 400);
+    }
+
+    const previous = await prisma.roleSecurityPolicy.findUnique({ where: { role } });
+
+    const policy = await prisma.roleSecurityPolicy.upsert({
+      where: { role },
+      update: { requireTwoFactor },
+      create: { role, requireTwoFactor }
+    });
+
+    await recordAuditLog(req, 'TWO_FACTOR_POLICY_UPDATED', {
+      targetType: 'ROLE',
+      targetId: role,
+      metadata: { changes: diffChanges({ requireTwoFactor: Boolean(previous?.requireTwoFactor) }, { requireTwoFactor }) }
+    });
+
+    return successResponse(res, { policy }, 'Two-factor policy updated successfully');
+
+  } catch (error) {
+    console.error('Update 2FA policy error:', error);
+    return errorResponse(res, 'Failed to update two-factor policy', 500);
+  }
+};
@@ -1,8 +1,48 @@
 import prisma from '../config/database.js';
 import { hashPassword, comparePassword } from '../utils/password.js';
-import { successResponse, errorResponse, validateEmail, validatePassword } from '../utils/helpers.js';
+import { successResponse, errorResponse, validateEmail } from '../utils/helpers.js';
+import { revokeAllSessions } from '../utils/authTokens.js';
+import { bumpTokenVersion } from '../utils/tokenRevocation.js';
+import { unlockAccount } from '../middlewares/bruteForce.js';
+import { validatePasswordPolicy, recordPasswordHistory } from '../utils/passwordPolicy.js';
+import { can } from '../utils/permissions.js';
+import { recordAuditLog, diffChanges } from '../utils/auditLog.js';
+import { deletionGraceDays, purgeUser } from '../utils/accountDeletion.js';
+import { buildUserDataExport, collectUploadedFiles } from '../utils/dataExport.js';
+import { createZip } from '../utils/zip.js';
+import { sendAccountDeletionScheduledEmail, sendVerificationEmail } from '../utils/mailer.js';
+import { generateEmailVerificationToken } from '../utils/jwt.js';
+import {
+  AVATAR_MAX_SIZE_MB,
+  detectImageType,
+  renderAvatar,
+  storeAvatar,
+  withAvatarRenditions,
+  deleteAvatarFiles
+} from '../utils/avatars.js';
+import {
+  MAX_RECORDS_PER_USER,
+  MAX_PROFILE_LINKS,
+  validateExperience,
+  validateEducation,
+  withLegacyNoteFields
+} from '../utils/profileRecords.js';
+import { consumeSecondFactor } from './twoFactorController.js';
 import multer from 'multer';
-import path from 'path';
+
+const PHONE_PATTERN = /^\+?[\d\s().-]{6,30}$/;
+
+const isHttpUrl = (value) => {
+  if (typeof value !== 'string' || value.length > 500) {
+    return false;
+  }
+
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
 
 /**
  * GET /users
@@ -81,9 +121,8 @@ export const getUserById = async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Cek apakah user bisa akses profile ini
-    // Admin bisa akses semua, user biasa hanya bisa akses profile sendiri
-    if (req.user.role !== 'ADMIN' && req.user.id !== id) {
+    // Cek apakah user bisa akses profile ini (lihat utils/permissions.js)
+    if (!can(req.user, 'user:read', { id })) {
       return errorResponse(res, 'Access denied', 403);
     }
 
@@ -106,7 +145,7 @@ export const getUserById = async (req, res) => {
       return errorResponse(res, 'User not found', 404);
     }
 
-    return successResponse(res, { user }, 'User retrieved successfully');
+    return successResponse(res, { user: withAvatarRenditions(user) }, 'User retrieved successfully');
 
   } catch (error) {
     console.error('Get user by ID error:', error);
@@ -124,7 +163,7 @@ export const updateUser = async (req, res) => {
     const { name, username, email, role, isActive } = req.body;
 
     // Cek permission
-    if (req.user.role !== 'ADMIN' && req.user.id !== id) {
+    if (!can(req.user, 'user:update', { id })) {
       return errorResponse(res, 'Access denied', 403);
     }
 
@@ -135,8 +174,8 @@ export const updateUser = async (req, res) => {
       updateData.email = email;
     }
 
-    // Hanya admin yang bisa update role dan isActive
-    if (req.user.role === 'ADMIN') {
+    // Hanya yang punya permission user:manage yang bisa update role dan isActive
+    if (can(req.user, 'user:manage')) {
       if (role) updateData.role = role;
       if (typeof isActive === 'boolean') updateData.isActive = isActive;
     }
@@ -163,12 +202,34 @@ export const updateUser = async (req, res) => {
       }
     }
 
+    // Data sebelum update, untuk diff di audit log
+    const previousUser = await prisma.user.findUnique({
+      where: { id },
+      select: { name: true, username: true, email: true, role: true, isActive: true }
+    });
+
+    if (!previousUser) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    // Email baru harus diverifikasi ulang oleh pemiliknya
+    const emailChanged = Boolean(updateData.email) && updateData.email !== previousUser.email;
+    const verificationData = emailChanged
+      ? {
+        emailVerified: false,
+        emailVerifiedAt: null,
+        verificationToken: generateEmailVerificationToken(id),
+        verificationTokenExpiry: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
+      }
+      : {};
+
     const user = await prisma.user.update({
       where: { id },
-      data: updateData,
+      data: { ...updateData, ...verificationData },
       select: {
         id: true,
         email: true,
+        emailVerified: true,
         username: true,
         name: true,
         avatar: true,
@@ -178,6 +239,31 @@ export const updateUser = async (req, res) => {
       }
     });
 
+    const changes = diffChanges(previousUser, updateData);
+
+    if (Object.keys(changes).length) {
+      await recordAuditLog(req, changes.role ? 'USER_ROLE_CHANGED' : 'USER_UPDATED', {
+        targetType: 'USER',
+        targetId: id,
+        metadata: { changes }
+      });
+    }
+
+    // Akun dinonaktifkan: semua session dan access token langsung tidak berlaku
+    if (updateData.isActive === false) {
+      await revokeAllSessions(id, 'DEACTIVATED');
+      await bumpTokenVersion(id);
+    }
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user, verificationData.verificationToken);
+      } catch (error) {
+        // User tetap bisa minta kirim ulang lewat /auth/resend-verification
+        console.error('Send verification email error:', error);
+      }
+    }
+
     return successResponse(res, { user }, 'User updated successfully');
 
   } catch (error) {
@@ -197,8 +283,8 @@ export const deleteUser = async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Hanya admin yang bisa delete user
-    if (req.user.role !== 'ADMIN') {
+    // Hanya yang punya permission user:delete yang bisa delete user
+    if (!can(req.user, 'user:delete', { id })) {
       return errorResponse(res, 'Access denied', 403);
     }
 
@@ -207,8 +293,17 @@ export const deleteUser = async (req, res) => {
       return errorResponse(res, 'Cannot delete your own account', 400);
     }
 
-    await prisma.user.delete({
-      where: { id }
+    // Lamaran user dianonimkan (tetap ada untuk pipeline recruiter), file upload ikut dihapus
+    const deletedUser = await purgeUser(id);
+
+    if (!deletedUser) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    await recordAuditLog(req, 'USER_DELETED', {
+      targetType: 'USER',
+      targetId: id,
+      metadata: { email: deletedUser.email, role: deletedUser.role }
     });
 
     return successResponse(res, null, 'User deleted successfully');
@@ -222,6 +317,36 @@ export const deleteUser = async (req, res) => {
   }
 };
 
+/**
+ * POST /users/:id/unlock
+ * Buka lock akun setelah terlalu banyak percobaan login gagal (admin only)
+ */
+export const unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true, email: true }
+    });
+
+    if (!user) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    // Counter login dicatat per email, counter 2FA per user id
+    await unlockAccount([user.email, user.id]);
+
+    await recordAuditLog(req, 'USER_UNLOCKED', { targetType: 'USER', targetId: user.id });
+
+    return successResponse(res, null, 'User account unlocked successfully');
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    return errorResponse(res, 'Failed to unlock user', 500);
+  }
+};
+
 /**
  * GET /users/me
  * Ambil profil user yang sedang login
@@ -238,6 +363,10 @@ export const getMyProfile = async (req, res) => {
         avatar: true,
         role: true,
         isActive: true,
+        organization: {
+          select: { id: true, name: true }
+        },
+        deletionScheduledAt: true,
         createdAt: true,
         updatedAt: true,
       }
@@ -247,7 +376,11 @@ export const getMyProfile = async (req, res) => {
       return errorResponse(res, 'User not found', 404);
     }
 
-    return successResponse(res, { user }, 'Profile retrieved successfully');
+    return successResponse(res, {
+      user: withAvatarRenditions(user),
+      // Untuk banner "sedang login sebagai" di frontend
+      ...(req.impersonator && { impersonator: req.impersonator })
+    }, 'Profile retrieved successfully');
 
   } catch (error) {
     console.error('Get my profile error:', error);
@@ -255,6 +388,231 @@ export const getMyProfile = async (req, res) => {
   }
 };
 
+/**
+ * GET /users/me/logins
+ * Riwayat login user (berhasil & gagal)
+ */
+export const getMyLoginHistory = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    const take = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const where = { userId: req.user.id };
+
+    if (status === 'success' || status === 'failed') {
+      where.success = status === 'success';
+    }
+
+    const [logins, totalLogins] = await Promise.all([
+      prisma.loginEvent.findMany({
+        where,
+        skip: (currentPage - 1) * take,
+        take,
+        select: {
+          id: true,
+          success: true,
+          loginMethod: true,
+          failureReason: true,
+          ipAddress: true,
+          userAgent: true,
+          deviceName: true,
+          deviceType: true,
+          newDevice: true,
+          createdAt: true,
+        },
+        orderBy: {
+          createdAt: 'desc'
+        }
+      }),
+      prisma.loginEvent.count({ where })
+    ]);
+
+    const totalPages = Math.ceil(totalLogins / take);
+
+    return successResponse(res, {
+      logins,
+      pagination: {
+        currentPage,
+        totalPages,
+        totalLogins,
+        hasNextPage: currentPage < totalPages,
+        hasPrevPage: currentPage > 1
+      }
+    }, 'Login history retrieved successfully');
+
+  } catch (error) {
+    console.error('Get login history error:', error);
+    return errorResponse(res, 'Failed to retrieve login history', 500);
+  }
+};
+
+/**
+ * GET /users/me/export
+ * Download semua data pribadi user
+ * ?format=json (default) | zip (data.json + file upload: avatar, resume)
+ */
+export const exportMyData = async (req, res) => {
+  try {
+    const format = String(req.query.format || 'json').toLowerCase();
+
+    if (format !== 'json' && format !== 'zip') {
+      return errorResponse(res, 'Invalid format', 400, { allowedFormats: ['json', 'zip'] });
+    }
+
+    const data = await buildUserDataExport(req.user.id);
+
+    if (!data) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    const files = format === 'zip' ? await collectUploadedFiles(data) : [];
+
+    await recordAuditLog(req, 'DATA_EXPORTED', {
+      targetType: 'USER',
+      targetId: req.user.id,
+      metadata: { format, files: files.length }
+    });
+
+    const fileName = `betalentboard-export-${data.exportedAt.slice(0, 10)}`;
+    res.set('Cache-Control', 'no-store');
+
+    if (format === 'zip') {
+      const archive = createZip([
+        { name: 'data.json', data: JSON.stringify(data, null, 2) },
+        ...files
+      ]);
+
+      res.set('Content-Type', 'application/zip');
+      res.set('Content-Disposition', `attachment; filename="${fileName}.zip"`);
+      return res.send(archive);
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${fileName}.json"`);
+    return res.json(data);
+
+  } catch (error) {
+    console.error('Export my data error:', error);
+    return errorResponse(res, 'Failed to export data', 500);
+  }
+};
+
+/**
+ * DELETE /users/me
+ * Hapus akun sendiri: akun dijadwalkan dihapus permanen setelah grace period
+ * Konfirmasi dengan password (atau email untuk akun social login) dan code 2FA / recovery code kalau aktif
+ */
+export const deleteMyAccount = async (req, res) => {
+  try {
+    const { password, confirmEmail, code, recoveryCode } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    if (user.deletionScheduledAt) {
+      return errorResponse(res, 'Account deletion is already scheduled', 409, { deletionScheduledAt: user.deletionScheduledAt });
+    }
+
+    // Admin dihapus oleh admin lain supaya tidak ada sistem tanpa admin
+    if (user.role === 'ADMIN') {
+      return errorResponse(res, 'Admin accounts must be deleted by another admin', 403);
+    }
+
+    // Lowongan punya pelamar, jadi harus dihapus / dipindahkan dulu oleh pemiliknya
+    const ownedJobs = await prisma.job.count({ where: { ownerId: user.id } });
+
+    if (ownedJobs) {
+      return errorResponse(res, 'Delete your job postings before deleting your account', 409, { jobs: ownedJobs });
+    }
+
+    if (user.password) {
+      if (!password || !(await comparePassword(password, user.password))) {
+        return errorResponse(res, 'Password is incorrect', 400);
+      }
+    } else if (!confirmEmail || String(confirmEmail).trim().toLowerCase() !== user.email.toLowerCase()) {
+      return errorResponse(res, 'Please confirm your email address to delete your account', 400);
+    }
+
+    if (user.twoFactorEnabled && !code && !recoveryCode) {
+      return errorResponse(res, 'Verification code or recovery code is required', 400);
+    }
+
+    const deletionRequestedAt = new Date();
+    const deletionScheduledAt = new Date(deletionRequestedAt.getTime() + deletionGraceDays() * 24 * 60 * 60 * 1000);
+
+    if (user.twoFactorEnabled) {
+      // Code 2FA sekali pakai, jadwal penghapusan disimpan di update yang sama
+      const scheduled = await consumeSecondFactor(user, { code, recoveryCode }, { deletionRequestedAt, deletionScheduledAt });
+
+      if (!scheduled) {
+        await recordAuditLog(req, 'TWO_FACTOR_FAILED', {
+          targetType: 'USER',
+          targetId: user.id,
+          metadata: { reason: code ? 'INVALID_TWO_FACTOR_CODE' : 'INVALID_RECOVERY_CODE', context: 'ACCOUNT_DELETION' }
+        });
+        return errorResponse(res, code ? 'Invalid verification code' : 'Invalid recovery code', 400);
+      }
+    } else {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { deletionRequestedAt, deletionScheduledAt }
+      });
+    }
+
+    // Logout dari semua device, user masih bisa login lagi untuk membatalkan
+    await revokeAllSessions(user.id, 'ACCOUNT_DELETION');
+    await bumpTokenVersion(user.id);
+
+    await recordAuditLog(req, 'ACCOUNT_DELETION_REQUESTED', {
+      targetType: 'USER',
+      targetId: user.id,
+      metadata: { deletionScheduledAt }
+    });
+
+    await sendAccountDeletionScheduledEmail(user, deletionScheduledAt);
+
+    res.clearCookie('accessToken');
+    res.clearCookie('refreshToken');
+
+    return successResponse(res, { deletionScheduledAt }, 'Account scheduled for deletion. To keep your account, sign in and call POST /api/users/me/deletion/cancel before the scheduled date.');
+
+  } catch (error) {
+    console.error('Delete my account error:', error);
+    return errorResponse(res, 'Failed to delete account', 500);
+  }
+};
+
+/**
+ * POST /users/me/deletion/cancel
+ * Batalkan penghapusan akun selama grace period
+ */
+export const cancelMyAccountDeletion = async (req, res) => {
+  try {
+    const { count } = await prisma.user.updateMany({
+      where: { id: req.user.id, deletionScheduledAt: { not: null } },
+      data: { deletionRequestedAt: null, deletionScheduledAt: null }
+    });
+
+    if (!count) {
+      return errorResponse(res, 'Account is not scheduled for deletion', 400);
+    }
+
+    await recordAuditLog(req, 'ACCOUNT_DELETION_CANCELLED', { targetType: 'USER', targetId: req.user.id });
+
+    return successResponse(res, null, 'Account deletion cancelled');
+
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    return errorResponse(res, 'Failed to cancel account deletion', 500);
+  }
+};
+
 /**
  * PATCH /users/me/password
  * Ubah password dari profil sendiri
@@ -267,10 +625,6 @@ export const changeMyPassword = async (req, res) => {
       return errorResponse(res, 'Current password and new password are required', 400);
     }
 
-    if (!validatePassword(newPassword)) {
-      return errorResponse(res, 'New password must be at least 6 characters', 400);
-    }
-
     // Ambil user dengan password
     const user = await prisma.user.findUnique({
       where: { id: req.user.id }
@@ -287,18 +641,35 @@ export const changeMyPassword = async (req, res) => {
       return errorResponse(res, 'Current password is incorrect', 400);
     }
 
+    // Validasi password baru (termasuk riwayat password user)
+    const passwordCheck = await validatePasswordPolicy(newPassword, {
+      userId: user.id,
+      currentHash: user.password
+    });
+
+    if (!passwordCheck.valid) {
+      return errorResponse(res, 'New password does not meet the password policy', 400, { rules: passwordCheck.failedRules });
+    }
+
     // Hash new password
     const hashedNewPassword = await hashPassword(newPassword);
 
-    // Update password dan clear refresh token (logout dari semua device)
+    // Update password
     await prisma.user.update({
       where: { id: req.user.id },
       data: {
-        password: hashedNewPassword,
-        refreshToken: null
+        password: hashedNewPassword
       }
     });
 
+    await recordPasswordHistory(req.user.id, hashedNewPassword);
+
+    // Logout dari semua device dan invalidate access token lama
+    await revokeAllSessions(req.user.id, 'PASSWORD_CHANGED');
+    await bumpTokenVersion(req.user.id);
+
+    await recordAuditLog(req, 'PASSWORD_CHANGED', { targetType: 'USER', targetId: req.user.id });
+
     // Clear cookies
     res.clearCookie('accessToken');
     res.clearCookie('refreshToken');
@@ -317,7 +688,12 @@ export const changeMyPassword = async (req, res) => {
  */
 export const updateMyProfile = async (req, res) => {
   try {
-    const { name, username, bio, location, skills, experience, education, resume } = req.body;
+    const { name, username, bio, location, phone, links, skills, resume } = req.body;
+
+    // Riwayat kerja & pendidikan terstruktur ada di /users/me/experience dan /users/me/education,
+    // field teks lama (experience / education) masih diterima sebagai catatan
+    const experienceNote = req.body.experienceNote !== undefined ? req.body.experienceNote : req.body.experience;
+    const educationNote = req.body.educationNote !== undefined ? req.body.educationNote : req.body.education;
     
     // Prepare update data
     const updateData = {};
@@ -327,10 +703,63 @@ export const updateMyProfile = async (req, res) => {
     if (bio !== undefined) updateData.bio = bio;
     if (location !== undefined) updateData.location = location;
     if (skills !== undefined) updateData.skills = Array.isArray(skills) ? skills : [];
-    if (experience !== undefined) updateData.experience = experience;
-    if (education !== undefined) updateData.education = education;
+    if (experienceNote !== undefined) updateData.experienceNote = experienceNote;
+    if (educationNote !== undefined) updateData.educationNote = educationNote;
     if (resume !== undefined) updateData.resume = resume;
 
+    if (phone !== undefined) {
+      if (phone && !PHONE_PATTERN.test(String(phone).trim())) {
+        return errorResponse(res, 'Invalid phone number', 400);
+      }
+      updateData.phone = phone ? String(phone).trim() : null;
+    }
+
+    if (links !== undefined) {
+      const list = Array.isArray(links) ? links : [];
+
+      if (list.length > MAX_PROFILE_LINKS || !list.every(isHttpUrl)) {
+        return errorResponse(res, `links must be a list of at most ${MAX_PROFILE_LINKS} http(s) URLs`, 400);
+      }
+      updateData.links = list;
+    }
+
+    // Riwayat kerja & pendidikan baru (misal dari saran hasil parsing resume), ditambahkan ke record yang sudah ada
+    const newRecords = {};
+
+    for (const [field, validate, model] of [
+      ['experiences', validateExperience, 'experience'],
+      ['educations', validateEducation, 'education']
+    ]) {
+      if (req.body[field] === undefined) {
+        continue;
+      }
+
+      if (!Array.isArray(req.body[field])) {
+        return errorResponse(res, `${field} must be an array`, 400);
+      }
+
+      const fieldErrors = [];
+      const records = req.body[field].map((item, index) => {
+        const { data, errors } = validate(item || {});
+        fieldErrors.push(...errors.map(error => `${field}[${index}].${error}`));
+        return data;
+      });
+
+      if (fieldErrors.length) {
+        return errorResponse(res, `Invalid ${field}`, 400, { fields: fieldErrors });
+      }
+
+      const total = await prisma[model].count({ where: { userId: req.user.id } });
+
+      if (total + records.length > MAX_RECORDS_PER_USER) {
+        return errorResponse(res, `You can add at most ${MAX_RECORDS_PER_USER} ${model} entries`, 400);
+      }
+
+      if (records.length) {
+        newRecords[model] = records.map(record => ({ ...record, userId: req.user.id }));
+      }
+    }
+
     // Cek apakah username sudah dipakai user lain (jika username diubah)
     if (username) {
       const existingUser = await prisma.user.findFirst({
@@ -347,30 +776,35 @@ export const updateMyProfile = async (req, res) => {
       }
     }
 
-    // Update user profile
-    const updatedUser = await prisma.user.update({
-      where: { id: req.user.id },
-      data: updateData,
-      select: {
-        id: true,
-        email: true,
-        username: true,
-        name: true,
-        avatar: true,
-        bio: true,
-        location: true,
-        skills: true,
-        experience: true,
-        education: true,
-        resume: true,
-        role: true,
-        isActive: true,
-        createdAt: true,
-        updatedAt: true,
-      }
-    });
+    // Update user profile (record baru ikut di transaksi yang sama supaya tidak tersimpan setengah)
+    const [updatedUser] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id: req.user.id },
+        data: updateData,
+        select: {
+          id: true,
+          email: true,
+          username: true,
+          name: true,
+          avatar: true,
+          bio: true,
+          location: true,
+          phone: true,
+          links: true,
+          skills: true,
+          experienceNote: true,
+          educationNote: true,
+          resume: true,
+          role: true,
+          isActive: true,
+          createdAt: true,
+          updatedAt: true,
+        }
+      }),
+      ...Object.entries(newRecords).map(([model, data]) => prisma[model].createMany({ data }))
+    ]);
 
-    return successResponse(res, updatedUser, 'Profile updated successfully');
+    return successResponse(res, withAvatarRenditions(withLegacyNoteFields(updatedUser)), 'Profile updated successfully');
 
   } catch (error) {
     console.error('Update profile error:', error);
@@ -378,45 +812,60 @@ export const updateMyProfile = async (req, res) => {
   }
 };
 
-// Setup multer untuk upload avatar
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/avatars/');
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, req.user.id + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
-const fileFilter = (req, file, cb) => {
-  // Accept only image files
-  if (file.mimetype.startsWith('image/')) {
-    cb(null, true);
-  } else {
-    cb(new Error('Only image files are allowed!'), false);
-  }
-};
+/**
+ * Middleware upload avatar (field "avatar")
+ * File ditahan di memory, dicek dan diproses di updateMyAvatar sebelum disimpan
+ */
+export const avatarUpload = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: AVATAR_MAX_SIZE_MB * 1024 * 1024, files: 1 }
+  }).single('avatar');
+
+  upload(req, res, (error) => {
+    if (error?.code === 'LIMIT_FILE_SIZE') {
+      return errorResponse(res, `File too large. Maximum size is ${AVATAR_MAX_SIZE_MB}MB`, 400);
+    }
 
-export const upload = multer({ 
-  storage,
-  fileFilter,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
-  }
-});
+    if (error instanceof multer.MulterError) {
+      return errorResponse(res, 'Upload a single image in the "avatar" field', 400);
+    }
+
+    next(error);
+  });
+};
 
 /**
  * PATCH /users/me/avatar
- * Ubah foto profil
+ * Ubah foto profil: gambar di-crop persegi dan disimpan dalam beberapa ukuran WebP
  */
 export const updateMyAvatar = async (req, res) => {
+  let avatarPath = null;
+
   try {
     if (!req.file) {
       return errorResponse(res, 'Avatar image is required', 400);
     }
 
-    const avatarPath = `/uploads/avatars/${req.file.filename}`;
+    // Tipe dicek dari isi file, mimetype dari client tidak dipercaya
+    if (!detectImageType(req.file.buffer)) {
+      return errorResponse(res, 'Only JPG, PNG, GIF and WebP images are allowed', 400);
+    }
+
+    let renditions;
+
+    try {
+      renditions = await renderAvatar(req.file.buffer);
+    } catch (error) {
+      return errorResponse(res, 'Invalid or corrupted image file', 400);
+    }
+
+    const previous = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { avatar: true }
+    });
+
+    avatarPath = await storeAvatar(req.user.id, renditions);
 
     // Update avatar di database
     const user = await prisma.user.update({
@@ -432,10 +881,20 @@ export const updateMyAvatar = async (req, res) => {
       }
     });
 
-    return successResponse(res, { user }, 'Avatar updated successfully');
+    // File avatar lama dihapus setelah avatar baru tersimpan
+    if (previous?.avatar && previous.avatar !== avatarPath) {
+      await deleteAvatarFiles(previous.avatar);
+    }
+
+    return successResponse(res, { user: withAvatarRenditions(user) }, 'Avatar updated successfully');
 
   } catch (error) {
+    // File sudah tersimpan tapi database gagal diupdate
+    if (avatarPath) {
+      await deleteAvatarFiles(avatarPath);
+    }
+
     console.error('Update avatar error:', error);
     return errorResponse(res, 'Failed to update avatar', 500);
   }
-};
\ No newline at end of file
+};
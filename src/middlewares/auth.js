@@ -1,6 +1,64 @@
-import { verifyToken } from '../utils/jwt.js';
+import { verifyAccessToken } from '../utils/jwt.js';
 import { errorResponse } from '../utils/helpers.js';
 import prisma from '../config/database.js';
+import { isAccessTokenRevoked } from '../utils/tokenRevocation.js';
+import { getApiKeyFromRequest, findActiveApiKey, recordApiKeyUsage } from '../utils/apiKeys.js';
+import { hasPermission } from '../utils/permissions.js';
+import { findActiveImpersonator } from '../utils/impersonation.js';
+
+/**
+ * Validasi API key dari request (kalau ada) dan simpan ke req.apiKey
+ * @returns {Boolean} - False kalau request membawa API key yang invalid
+ */
+const loadApiKey = async (req) => {
+  if (req.apiKey) {
+    return true;
+  }
+
+  const key = getApiKeyFromRequest(req);
+
+  if (!key) {
+    return true;
+  }
+
+  const apiKey = await findActiveApiKey(key);
+
+  if (!apiKey) {
+    return false;
+  }
+
+  await recordApiKeyUsage(apiKey, req.ip);
+
+  const { user, keyHash, ...keyInfo } = apiKey;
+  req.apiKey = { ...keyInfo, user };
+  return true;
+};
+
+/**
+ * Route menerima API key hanya kalau ada authorize() dengan scope di route tersebut
+ * Endpoint lain (ganti password, 2FA, session, API key management) otomatis menolak API key
+ */
+const routeAcceptsApiKey = (req) => {
+  return Boolean(req.route?.stack?.some(layer => layer.handle.apiKeyScopes?.length));
+};
+
+/**
+ * Middleware global: validasi API key sebelum rate limit, supaya limit per key
+ * memakai key yang valid (key palsu tidak bisa dipakai untuk menghindari limit per IP)
+ * Tidak mengisi req.user, itu tetap tugas authenticate
+ */
+export const resolveApiKey = async (req, res, next) => {
+  try {
+    if (!(await loadApiKey(req))) {
+      return errorResponse(res, 'Invalid API key', 401);
+    }
+
+    next();
+  } catch (error) {
+    console.error('Resolve API key error:', error);
+    return errorResponse(res, 'Authentication failed', 401);
+  }
+};
 
 /**
  * Middleware untuk authenticate user
@@ -8,6 +66,20 @@ import prisma from '../config/database.js';
  */
 export const authenticate = async (req, res, next) => {
   try {
+    // API key (integrasi)
+    if (!(await loadApiKey(req))) {
+      return errorResponse(res, 'Invalid API key', 401);
+    }
+
+    if (req.apiKey) {
+      if (!routeAcceptsApiKey(req)) {
+        return errorResponse(res, 'API keys cannot be used for this endpoint', 403);
+      }
+
+      req.user = req.apiKey.user;
+      return next();
+    }
+
     // Ambil token dari header Authorization atau cookie
     let token = req.headers.authorization?.split(' ')[1]; // Bearer token
     
@@ -20,7 +92,7 @@ export const authenticate = async (req, res, next) => {
     }
 
     // Verify token
-    const decoded = verifyToken(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
     
     // Cari user di database
     const user = await prisma.user.findUnique({
@@ -32,6 +104,9 @@ export const authenticate = async (req, res, next) => {
         name: true,
         role: true,
         isActive: true,
+        emailVerified: true,
+        organizationId: true,
+        tokenVersion: true,
       }
     });
 
@@ -39,8 +114,28 @@ export const authenticate = async (req, res, next) => {
       return errorResponse(res, 'User not found or inactive', 401);
     }
 
-    // Simpan user info ke req object
-    req.user = user;
+    // Cek denylist (logout, ganti password, deaktivasi)
+    if (await isAccessTokenRevoked(decoded, user)) {
+      return errorResponse(res, 'Token has been revoked', 401);
+    }
+
+    // Impersonation token: req.user = user yang di-impersonate, req.impersonator = admin
+    let impersonator = null;
+
+    if (decoded.impersonatorId) {
+      impersonator = await findActiveImpersonator(decoded);
+
+      if (!impersonator) {
+        return errorResponse(res, 'Impersonation session has ended', 401);
+      }
+    }
+
+    // Simpan user info, session dan payload token ke req object
+    const { tokenVersion, ...currentUser } = user;
+    req.user = currentUser;
+    req.impersonator = impersonator;
+    req.sessionId = decoded.sid;
+    req.tokenPayload = decoded;
     next();
 
   } catch (error) {
@@ -55,19 +150,58 @@ export const authenticate = async (req, res, next) => {
 };
 
 /**
- * Middleware untuk authorize berdasarkan role
- * @param {Array} roles - Array of allowed roles
+ * Middleware untuk authorize berdasarkan permission (lihat utils/permissions.js)
+ * Permission dengan condition (misal job:update:own) lolos di sini, ownership dicek controller lewat can()
+ * @param {String} permission - Permission yang dibutuhkan, misal 'job:create'
+ * @param {String|Array} scopes - Scope API key yang dibutuhkan (kosong = endpoint tidak bisa diakses dengan API key)
  */
-export const authorize = (roles = []) => {
-  return (req, res, next) => {
+export const authorize = (permission, scopes = []) => {
+  const requiredScopes = [].concat(scopes);
+
+  const middleware = (req, res, next) => {
     if (!req.user) {
       return errorResponse(res, 'Authentication required', 401);
     }
 
-    if (roles.length && !roles.includes(req.user.role)) {
+    if (!hasPermission(req.user.role, permission)) {
       return errorResponse(res, 'Insufficient permissions', 403);
     }
 
+    if (req.apiKey) {
+      if (!requiredScopes.length) {
+        return errorResponse(res, 'API keys cannot be used for this endpoint', 403);
+      }
+
+      const missingScopes = requiredScopes.filter(scope => !req.apiKey.scopes.includes(scope));
+
+      if (missingScopes.length) {
+        return errorResponse(res, 'API key is missing required scope', 403, { requiredScopes: missingScopes });
+      }
+    }
+
+    next();
+  };
+
+  // Dibaca authenticate untuk menentukan apakah route menerima API key
+  middleware.apiKeyScopes = requiredScopes;
+  return middleware;
+};
+
+/**
+ * Middleware scope API key untuk endpoint public (tanpa authenticate)
+ * Request tanpa API key tetap lolos, request dengan API key (sudah divalidasi resolveApiKey) harus punya scope-nya
+ * @param {String|Array<String>} scopes - Scope API key yang dibutuhkan
+ */
+export const requireApiKeyScope = (scopes) => {
+  const requiredScopes = [].concat(scopes);
+
+  return (req, res, next) => {
+    const missingScopes = req.apiKey ? requiredScopes.filter(scope => !req.apiKey.scopes.includes(scope)) : [];
+
+    if (missingScopes.length) {
+      return errorResponse(res, 'API key is missing required scope', 403, { requiredScopes: missingScopes });
+    }
+
     next();
   };
 };
@@ -85,7 +219,7 @@ export const optionalAuth = async (req, res, next) => {
     }
 
     if (token) {
-      const decoded = verifyToken(token, process.env.JWT_SECRET);
+      const decoded = verifyAccessToken(token);
       const user = await prisma.user.findUnique({
         where: { id: decoded.userId },
         select: {
@@ -95,11 +229,20 @@ export const optionalAuth = async (req, res, next) => {
           name: true,
           role: true,
           isActive: true,
+          emailVerified: true,
+          organizationId: true,
+          tokenVersion: true,
         }
       });
 
-      if (user && user.isActive) {
-        req.user = user;
+      const impersonator = decoded.impersonatorId ? await findActiveImpersonator(decoded) : null;
+
+      if (user && user.isActive && !(await isAccessTokenRevoked(decoded, user)) && (!decoded.impersonatorId || impersonator)) {
+        const { tokenVersion, ...currentUser } = user;
+        req.user = currentUser;
+        req.impersonator = impersonator;
+        req.sessionId = decoded.sid;
+        req.tokenPayload = decoded;
       }
     }
 
@@ -108,4 +251,16 @@ export const optionalAuth = async (req, res, next) => {
     // Kalau error, tetap lanjut tanpa user
     next();
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Middleware untuk aksi sensitif yang tidak boleh dilakukan saat impersonation
+ * (ganti password, 2FA, API key, session, social login). Pasang setelah authenticate / optionalAuth
+ */
+export const blockImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return errorResponse(res, 'This action is not allowed while impersonating a user', 403);
+  }
+
+  next();
+};
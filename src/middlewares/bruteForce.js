@@ -0,0 +1,211 @@
+import { kvGet, kvSet, kvDel, kvIncr } from '../utils/kvStore.js';
+import { errorResponse } from '../utils/helpers.js';
+
+/**
+ * Brute-force protection
+ * Hitung percobaan gagal per IP dan per akun (email / user id),
+ * kasih delay yang makin lama, lalu lock sementara kalau terlalu banyak gagal
+ */
+
+const minutes = (value) => value * 60;
+
+const SCOPES = {
+  login: {
+    maxAccountAttempts: () => parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5'),
+    maxIpAttempts: () => parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS || '20'),
+    window: () => minutes(parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || '15')),
+    lockout: () => minutes(parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15')),
+    lockStatus: 423
+  },
+  'two-factor': {
+    maxAccountAttempts: () => 5,
+    maxIpAttempts: () => 20,
+    window: () => minutes(15),
+    lockout: () => minutes(15),
+    lockStatus: 423
+  },
+  'forgot-password': {
+    maxAccountAttempts: () => 3,
+    maxIpAttempts: () => 10,
+    window: () => minutes(60),
+    lockout: () => minutes(60),
+    lockStatus: 429
+  },
+  'reset-password': {
+    maxAccountAttempts: () => 5,
+    maxIpAttempts: () => 10,
+    window: () => minutes(15),
+    lockout: () => minutes(15),
+    lockStatus: 429
+  },
+  'magic-link': {
+    maxAccountAttempts: () => 3,
+    maxIpAttempts: () => 10,
+    window: () => minutes(60),
+    lockout: () => minutes(60),
+    lockStatus: 429
+  },
+  'magic-link-verify': {
+    maxAccountAttempts: () => 5,
+    maxIpAttempts: () => 10,
+    window: () => minutes(15),
+    lockout: () => minutes(15),
+    lockStatus: 429
+  }
+};
+
+const keys = (scope, { ip, account }) => ({
+  ip: `bf:${scope}:ip:${ip}`,
+  account: account ? `bf:${scope}:account:${account}` : null,
+  lock: account ? `bf:${scope}:lock:${account}` : null
+});
+
+const normalizeAccount = (account) => {
+  return account ? String(account).trim().toLowerCase() : null;
+};
+
+/**
+ * Delay progresif: 0s untuk 2 gagal pertama, lalu 1s, 2s, 4s... max 8s
+ */
+const progressiveDelay = (failures) => {
+  if (failures < 2) {
+    return 0;
+  }
+  return Math.min(1000 * 2 ** (failures - 2), 8000);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Middleware brute-force guard
+ * @param {String} scope - login, two-factor, forgot-password, reset-password, magic-link, magic-link-verify
+ * @param {Function} resolveAccount - (req) => identifier akun (email / user id), optional
+ */
+export const bruteForceGuard = (scope, resolveAccount = () => null) => {
+  const config = SCOPES[scope];
+
+  if (!config) {
+    throw new Error(`Unknown brute-force scope: ${scope}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const context = {
+        scope,
+        ip: req.ip,
+        account: normalizeAccount(resolveAccount(req))
+      };
+      const key = keys(scope, context);
+
+      // Akun sedang di-lock
+      if (key.lock) {
+        const lockedUntil = await kvGet(key.lock);
+
+        if (lockedUntil && parseInt(lockedUntil) > Date.now()) {
+          const retryAfter = Math.ceil((parseInt(lockedUntil) - Date.now()) / 1000);
+          res.set('Retry-After', String(retryAfter));
+
+          return errorResponse(
+            res,
+            config.lockStatus === 423
+              ? `Account temporarily locked due to too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes`
+              : `Too many attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes`,
+            config.lockStatus,
+            { retryAfter }
+          );
+        }
+      }
+
+      // Terlalu banyak gagal dari IP ini
+      const ipFailures = parseInt(await kvGet(key.ip)) || 0;
+
+      if (ipFailures >= config.maxIpAttempts()) {
+        const retryAfter = config.window();
+        res.set('Retry-After', String(retryAfter));
+
+        return errorResponse(res, 'Too many failed attempts from this IP. Please try again later', 429, { retryAfter });
+      }
+
+      // Delay progresif berdasarkan jumlah gagal sebelumnya
+      const accountFailures = key.account ? parseInt(await kvGet(key.account)) || 0 : 0;
+      const delay = progressiveDelay(Math.max(accountFailures, ipFailures));
+
+      if (delay > 0) {
+        await sleep(delay);
+      }
+
+      req.bruteForce = context;
+      next();
+
+    } catch (error) {
+      console.error('Brute-force guard error:', error);
+      next();
+    }
+  };
+};
+
+/**
+ * Catat percobaan gagal, lock akun kalau sudah melewati batas
+ * @param {Object} req - Express request (setelah bruteForceGuard)
+ * @param {String} account - Override identifier akun (optional)
+ */
+export const recordFailedAttempt = async (req, account) => {
+  if (!req.bruteForce) {
+    return;
+  }
+
+  const context = {
+    ...req.bruteForce,
+    account: normalizeAccount(account) || req.bruteForce.account
+  };
+  const config = SCOPES[context.scope];
+  const key = keys(context.scope, context);
+
+  await kvIncr(key.ip, config.window());
+
+  if (key.account) {
+    const failures = await kvIncr(key.account, config.window());
+
+    if (failures >= config.maxAccountAttempts()) {
+      await kvSet(key.lock, Date.now() + config.lockout() * 1000, config.lockout());
+      await kvDel(key.account);
+    }
+  }
+};
+
+/**
+ * Reset counter akun setelah berhasil (misal login sukses)
+ * @param {Object} req - Express request (setelah bruteForceGuard)
+ * @param {String} account - Override identifier akun (optional)
+ */
+export const clearFailedAttempts = async (req, account) => {
+  if (!req.bruteForce) {
+    return;
+  }
+
+  const key = keys(req.bruteForce.scope, {
+    ...req.bruteForce,
+    account: normalizeAccount(account) || req.bruteForce.account
+  });
+
+  if (key.account) {
+    await kvDel(key.account);
+  }
+};
+
+/**
+ * Buka lock akun secara manual (admin)
+ * @param {Array<String>} identifiers - Email dan/atau user id
+ */
+export const unlockAccount = async (identifiers) => {
+  const tasks = [];
+
+  for (const scope of Object.keys(SCOPES)) {
+    for (const identifier of identifiers.filter(Boolean)) {
+      const key = keys(scope, { account: normalizeAccount(identifier) });
+      tasks.push(kvDel(key.account), kvDel(key.lock));
+    }
+  }
+
+  await Promise.all(tasks);
+};
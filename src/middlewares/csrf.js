@@ -0,0 +1,48 @@
+import { errorResponse } from '../utils/helpers.js';
+import { getApiKeyFromRequest } from '../utils/apiKeys.js';
+import { verifyCsrfRequest } from '../utils/csrf.js';
+
+/**
+ * CSRF protection untuk request yang diautentikasi lewat cookie
+ * Browser mengirim cookie accessToken / refreshToken otomatis, termasuk dari form atau fetch di situs lain,
+ * jadi request yang mengubah data harus membawa header X-CSRF-Token (lihat utils/csrf.js)
+ *
+ * Request dengan header Authorization (Bearer token) atau API key tidak perlu CSRF token:
+ * header itu tidak pernah dikirim otomatis oleh browser, dan tidak bisa diset situs lain tanpa lolos CORS
+ */
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Callback OAuth (response_mode=form_post) memang datang dari situs provider, sudah dilindungi state cookie + PKCE
+const EXEMPT_PATHS = [
+  /^\/api\/auth\/oauth\/[^/]+\/callback\/?$/
+];
+
+const usesCookieAuth = (req) => {
+  if (req.headers.authorization || getApiKeyFromRequest(req)) {
+    return false;
+  }
+
+  return Boolean(req.cookies?.accessToken || req.cookies?.refreshToken);
+};
+
+/**
+ * Middleware global (mount setelah cookieParser)
+ */
+export const csrfProtection = (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method) || !usesCookieAuth(req)) {
+    return next();
+  }
+
+  const path = `${req.baseUrl}${req.path}`;
+
+  if (EXEMPT_PATHS.some(pattern => pattern.test(path))) {
+    return next();
+  }
+
+  if (!verifyCsrfRequest(req)) {
+    return errorResponse(res, 'Invalid or missing CSRF token', 403);
+  }
+
+  next();
+};
@@ -0,0 +1,90 @@
+import { kvSlidingWindowHit } from '../utils/kvStore.js';
+import { errorResponse } from '../utils/helpers.js';
+
+/**
+ * Rate limiting middleware (sliding window)
+ * Disimpan di Redis, fallback ke memory kalau Redis tidak tersedia
+ *
+ * Contoh per-route policy di file route:
+ *   router.get('/', rateLimit({ name: 'job-search', windowMs: 60 * 1000, max: 60 }), getAllJobs);
+ */
+
+/**
+ * Cara menentukan identitas client
+ * - ip     : berdasarkan IP
+ * - user   : berdasarkan user id (route harus pakai authenticate dulu), fallback ke IP
+ * - apiKey : berdasarkan API key yang sudah divalidasi (resolveApiKey), fallback ke IP
+ * - auto   : API key > user id > IP
+ */
+const KEY_RESOLVERS = {
+  ip: (req) => `ip:${req.ip}`,
+  user: (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`),
+  apiKey: (req) => (req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`),
+  auto: (req) => {
+    if (req.apiKey) {
+      return `key:${req.apiKey.id}`;
+    }
+    return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+  }
+};
+
+const isRateLimitEnabled = () => process.env.RATE_LIMIT_ENABLED !== 'false';
+
+/**
+ * Buat middleware rate limit
+ * @param {Object} options
+ * @param {String} options.name - Nama policy (dipakai sebagai prefix key)
+ * @param {Number} options.windowMs - Panjang window (ms)
+ * @param {Number} options.max - Maksimal request per window
+ * @param {String|Function} options.keyBy - ip | user | apiKey | auto, atau (req) => string
+ * @param {String} options.message - Pesan error saat limit tercapai
+ * @param {Function} options.skip - (req) => boolean, lewati rate limit untuk request tertentu
+ */
+export const rateLimit = ({
+  name = 'default',
+  windowMs = 60 * 1000,
+  max = 100,
+  keyBy = 'auto',
+  message = 'Too many requests, please try again later',
+  skip = () => false
+} = {}) => {
+  const resolveKey = typeof keyBy === 'function' ? keyBy : KEY_RESOLVERS[keyBy];
+
+  if (!resolveKey) {
+    throw new Error(`Unknown rate limit keyBy: ${keyBy}`);
+  }
+
+  return async (req, res, next) => {
+    if (!isRateLimitEnabled() || skip(req)) {
+      return next();
+    }
+
+    try {
+      const key = `rl:${name}:${resolveKey(req)}`;
+      const { count, resetMs } = await kvSlidingWindowHit(key, windowMs);
+
+      const remaining = Math.max(0, max - count);
+      const resetSeconds = Math.ceil(resetMs / 1000);
+
+      // Standard RateLimit headers (IETF draft)
+      res.set('RateLimit-Policy', `${max};w=${Math.ceil(windowMs / 1000)}`);
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(remaining));
+      res.set('RateLimit-Reset', String(resetSeconds));
+
+      if (count > max) {
+        res.set('Retry-After', String(resetSeconds));
+        return errorResponse(res, message, 429, { retryAfter: resetSeconds });
+      }
+
+      next();
+
+    } catch (error) {
+      // Kalau store error, jangan blok request
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+};
+
+export default rateLimit;
@@ -0,0 +1,485 @@
+import express from 'express';
+import {
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy
+} from '../controllers/twoFactorController.js';
+import { getPermissions, getAuditLogs } from '../controllers/adminController.js';
+import {
+  getRecruiterRequests,
+  approveRecruiterRequest,
+  rejectRecruiterRequest
+} from '../controllers/recruiterRequestController.js';
+import { authenticate, authorize } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// Semua route admin butuh login, permission dicek per route
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/admin/two-factor-policy:
+ *   get:
+ *     summary: Get two-factor policy per role
+ *     description: List which roles are required to use two-factor authentication (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor policy retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Two-factor policy retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     policies:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           role:
+ *                             type: string
+ *                             enum: [USER, ADMIN, RECRUITER]
+ *                           requireTwoFactor:
+ *                             type: boolean
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/two-factor-policy', authorize('security-policy:manage'), getTwoFactorPolicy);
+
+/**
+ * @swagger
+ * /api/admin/two-factor-policy/{role}:
+ *   put:
+ *     summary: Require two-factor authentication for a role
+ *     description: Users with this role must enroll in 2FA before they can log in (Admin only). Recorded in the audit log as TWO_FACTOR_POLICY_UPDATED
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [USER, ADMIN, RECRUITER]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requireTwoFactor
+ *             properties:
+ *               requireTwoFactor:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Two-factor policy updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.put('/two-factor-policy/:role', authorize('security-policy:manage'), updateTwoFactorPolicy);
+
+/**
+ * @swagger
+ * /api/admin/permissions:
+ *   get:
+ *     summary: Inspect the permission policy
+ *     description: |
+ *       Permissions per role, ownership conditions and the permissions behind each API key scope (Admin only).
+ *       Permissions look like `<resource>:<action>[:<condition>]`; a permission without a condition applies to every resource,
+ *       e.g. `job:update` (any job) vs `job:update:own` (only jobs the user owns).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [USER, ADMIN, RECRUITER]
+ *         description: Only show permissions for this role
+ *     responses:
+ *       200:
+ *         description: Permission policy retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Permission policy retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     roles:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           role:
+ *                             type: string
+ *                             example: RECRUITER
+ *                           permissions:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                             example: ["job:apply", "job:create", "job:update:own"]
+ *                     conditions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           condition:
+ *                             type: string
+ *                             example: own
+ *                           description:
+ *                             type: string
+ *                           resources:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                             example: ["job", "application", "user"]
+ *                     apiKeyScopes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           scope:
+ *                             type: string
+ *                             example: "jobs:write"
+ *                           permissions:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                             example: ["job:create", "job:update", "job:delete"]
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/permissions', authorize('permission-policy:read'), getPermissions);
+
+/**
+ * @swagger
+ * /api/admin/audit-logs:
+ *   get:
+ *     summary: Security audit log
+ *     description: |
+ *       Authentication and account events (logins, failed logins, password resets, role changes, deletions, impersonation, ...)
+ *       with actor, target, IP, user agent and metadata (Admin only). Use `format=csv` to export up to 10,000 matching rows.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Comma-separated actions, e.g. LOGIN_FAILED,USER_ROLE_CHANGED
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [USER, SESSION, API_KEY, ACCOUNT, RECRUITER_REQUEST]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ipAddress
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Audit logs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Audit logs retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     logs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AuditLog'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         currentPage:
+ *                           type: integer
+ *                         totalPages:
+ *                           type: integer
+ *                         totalLogs:
+ *                           type: integer
+ *                         hasNextPage:
+ *                           type: boolean
+ *                         hasPrevPage:
+ *                           type: boolean
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/audit-logs', authorize('audit-log:read'), getAuditLogs);
+
+/**
+ * @swagger
+ * /api/admin/recruiter-requests:
+ *   get:
+ *     summary: Recruiter request review queue
+ *     description: |
+ *       Requests from users asking for recruiter access (Admin only).
+ *       Pending requests are listed oldest first, reviewed ones newest first.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, APPROVED, REJECTED]
+ *           default: PENDING
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Recruiter requests retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Recruiter requests retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recruiterRequests:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/RecruiterRequest'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         currentPage:
+ *                           type: integer
+ *                         totalPages:
+ *                           type: integer
+ *                         totalRequests:
+ *                           type: integer
+ *                         hasNextPage:
+ *                           type: boolean
+ *                         hasPrevPage:
+ *                           type: boolean
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/recruiter-requests', authorize('recruiter-request:review'), getRecruiterRequests);
+
+/**
+ * @swagger
+ * /api/admin/recruiter-requests/{id}/approve:
+ *   post:
+ *     summary: Approve recruiter request
+ *     description: Upgrades the user's role to RECRUITER and notifies the user by email and real-time notification (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Optional note sent to the user
+ *     responses:
+ *       200:
+ *         description: Recruiter request approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Recruiter request approved"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recruiterRequest:
+ *                       $ref: '#/components/schemas/RecruiterRequest'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Request has already been reviewed
+ */
+router.post('/recruiter-requests/:id/approve', authorize('recruiter-request:review'), approveRecruiterRequest);
+
+/**
+ * @swagger
+ * /api/admin/recruiter-requests/{id}/reject:
+ *   post:
+ *     summary: Reject recruiter request
+ *     description: Rejects the request with a note that is sent to the user (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 example: "We could not verify that you work at this company"
+ *     responses:
+ *       200:
+ *         description: Recruiter request rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Recruiter request rejected"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recruiterRequest:
+ *                       $ref: '#/components/schemas/RecruiterRequest'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Request has already been reviewed
+ */
+router.post('/recruiter-requests/:id/reject', authorize('recruiter-request:review'), rejectRecruiterRequest);
+
+export default router;
@@ -2,12 +2,37 @@ import express from 'express';
 import { 
   register, 
   login, 
+  requestMagicLink,
+  verifyMagicLink,
   logout, 
   refreshToken, 
   forgotPassword, 
-  resetPassword 
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getSessions,
+  revokeSessionById,
+  getPasswordPolicyInfo,
+  getCsrfToken
 } from '../controllers/authController.js';
-import { authenticate, optionalAuth } from '../middlewares/auth.js';
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactorLogin,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} from '../controllers/twoFactorController.js';
+import {
+  getProviders,
+  startOAuth,
+  oauthCallback,
+  getLinkedAccounts,
+  unlinkAccount
+} from '../controllers/oauthController.js';
+import { authenticate, optionalAuth, blockImpersonation } from '../middlewares/auth.js';
+import { bruteForceGuard } from '../middlewares/bruteForce.js';
+import { rateLimit } from '../middlewares/rateLimit.js';
+import { decodeToken } from '../utils/jwt.js';
 
 const router = express.Router();
 
@@ -35,9 +60,9 @@ const router = express.Router();
  *                 example: user@example.com
  *               password:
  *                 type: string
- *                 minLength: 6
- *                 description: User password (minimum 6 characters)
- *                 example: password123
+ *                 minLength: 8
+ *                 description: User password (must satisfy the password policy, see GET /api/auth/password-policy)
+ *                 example: Password123
  *               name:
  *                 type: string
  *                 description: User full name
@@ -48,11 +73,23 @@ const router = express.Router();
  *                 example: johndoe
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User registered successfully. A verification link is sent to the email; the account cannot log in until it is verified.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Registration successful. Please verify your email"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
  *       400:
  *         description: Bad request - validation errors
  *         content:
@@ -72,8 +109,25 @@ const router = express.Router();
  *                   success: false
  *                   message: "Email already registered"
  *                   errors: null
+ *               weakPassword:
+ *                 summary: Password does not meet the policy
+ *                 value:
+ *                   success: false
+ *                   message: "Password does not meet the password policy"
+ *                   errors:
+ *                     rules:
+ *                       - rule: number
+ *                         message: "Password must contain a number"
+ *                       - rule: common
+ *                         message: "Password is too common, please choose another one"
+ *       429:
+ *         description: Rate limit exceeded (see RateLimit-* and Retry-After headers)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/register', register);
+router.post('/register', rateLimit({ name: 'register', windowMs: 60 * 60 * 1000, max: 10, keyBy: 'ip' }), register);
 
 /**
  * @swagger
@@ -103,7 +157,11 @@ router.post('/register', register);
  *                 example: password123
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: |
+ *           Login successful. If the account has two-factor authentication enabled, the response
+ *           contains `twoFactorRequired: true` and a `challengeToken` for `/api/auth/2fa/verify` instead of tokens.
+ *           If the user's role requires 2FA but it is not set up yet, the response contains
+ *           `twoFactorSetupRequired: true` and a `setupToken` for `/api/auth/2fa/setup` and `/api/auth/2fa/enable`.
  *         content:
  *           application/json:
  *             schema:
@@ -118,15 +176,149 @@ router.post('/register', register);
  *               success: false
  *               message: "Invalid email or password"
  *               errors: null
+ *       403:
+ *         description: Forbidden - email not verified yet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Please verify your email before logging in"
+ *               errors: null
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts (see Retry-After header)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Account temporarily locked due to too many failed attempts. Try again in 15 minutes"
+ *               errors:
+ *                 retryAfter: 900
+ *       429:
+ *         description: Too many attempts from this IP
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/login', bruteForceGuard('login', req => req.body?.email), login);
+
+/**
+ * @swagger
+ * /api/auth/magic-link:
+ *   post:
+ *     summary: Request a magic login link
+ *     description: |
+ *       Send a short-lived (15 minutes), single-use login link to the email address.
+ *       Only the most recently requested link works. The response is the same whether or not the email exists.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: User email address
+ *                 example: user@example.com
+ *     responses:
+ *       200:
+ *         description: Login link sent if the account exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "If email exists, a login link has been sent"
+ *               data: {}
+ *       400:
+ *         description: Email missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many login link requests for this email or IP (see Retry-After header)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  '/magic-link',
+  rateLimit({ name: 'magic-link', windowMs: 60 * 60 * 1000, max: 10, keyBy: 'ip' }),
+  bruteForceGuard('magic-link', req => req.body?.email),
+  requestMagicLink
+);
+
+/**
+ * @swagger
+ * /api/auth/magic-link/verify:
+ *   post:
+ *     summary: Log in with a magic link token
+ *     description: |
+ *       Exchange the token from the login link for access and refresh tokens (same response as `/api/auth/login`,
+ *       including the two-factor challenge when 2FA is enabled). Opening the link also verifies the email address.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the login link
+ *                 example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *     responses:
+ *       200:
+ *         description: Login successful (or two-factor step required)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Invalid, expired or already used magic link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Invalid or expired magic link"
+ *               errors: null
+ *       429:
+ *         description: Too many invalid attempts from this IP
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/login', login);
+router.post(
+  '/magic-link/verify',
+  rateLimit({ name: 'magic-link-verify', windowMs: 15 * 60 * 1000, max: 20, keyBy: 'ip' }),
+  bruteForceGuard('magic-link-verify'),
+  verifyMagicLink
+);
 
 /**
  * @swagger
  * /api/auth/logout:
  *   post:
  *     summary: Logout user
- *     description: Logout current user and invalidate refresh token
+ *     description: Logout current device by revoking its session. Other devices stay logged in.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -149,7 +341,9 @@ router.post('/logout', optionalAuth, logout);
  * /api/auth/refresh-token:
  *   post:
  *     summary: Refresh access token
- *     description: Get new access token using refresh token
+ *     description: |
+ *       Get new access token using refresh token. The refresh token is rotated on every call;
+ *       presenting an already-rotated refresh token revokes the whole session.
  *     tags: [Authentication]
  *     requestBody:
  *       required: false
@@ -194,6 +388,94 @@ router.post('/logout', optionalAuth, logout);
  */
 router.post('/refresh-token', refreshToken);
 
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     description: List devices where the current user is logged in
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Sessions retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           deviceName:
+ *                             type: string
+ *                             example: Chrome on Windows
+ *                           userAgent:
+ *                             type: string
+ *                           ipAddress:
+ *                             type: string
+ *                             example: 203.0.113.10
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                           lastUsedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           expiresAt:
+ *                             type: string
+ *                             format: date-time
+ *                           current:
+ *                             type: boolean
+ *                             description: True for the session making this request
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/sessions', authenticate, getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Log out a specific device. Its refresh token stops working immediately.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/sessions/:id', authenticate, blockImpersonation, revokeSessionById);
+
 /**
  * @swagger
  * /api/auth/forgot-password:
@@ -226,8 +508,14 @@ router.post('/refresh-token', refreshToken);
  *               success: true
  *               message: "If email exists, reset link has been sent"
  *               data: null
+ *       429:
+ *         description: Too many reset requests for this email or IP
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/forgot-password', forgotPassword);
+router.post('/forgot-password', bruteForceGuard('forgot-password', req => req.body?.email), forgotPassword);
 
 /**
  * @swagger
@@ -252,9 +540,9 @@ router.post('/forgot-password', forgotPassword);
  *                 example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
  *               newPassword:
  *                 type: string
- *                 minLength: 6
- *                 description: New password (minimum 6 characters)
- *                 example: newpassword123
+ *                 minLength: 8
+ *                 description: New password (must satisfy the password policy and not match recent passwords)
+ *                 example: NewPassword123
  *     responses:
  *       200:
  *         description: Password reset successfully
@@ -267,12 +555,713 @@ router.post('/forgot-password', forgotPassword);
  *               message: "Password reset successful"
  *               data: null
  *       400:
- *         description: Invalid or expired reset token
+ *         description: Invalid or expired reset token, or password does not meet the policy (see errors.rules)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many invalid reset attempts from this IP
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/reset-password', bruteForceGuard('reset-password'), resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify email address
+ *     description: Confirm user email using the single-use verification token sent after registration
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Verification token from email
+ *                 example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Email verified successfully"
+ *               data: null
+ *       400:
+ *         description: Invalid, expired or already used verification token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/verify-email', verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Resend email verification link
+ *     description: Issue a new verification token. Previously issued tokens stop working.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: User email address
+ *                 example: user@example.com
+ *     responses:
+ *       200:
+ *         description: Verification email sent if the account needs it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "If account needs verification, a new link has been sent"
+ *               data: null
+ *       429:
+ *         description: Rate limit exceeded (see RateLimit-* and Retry-After headers)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/resend-verification', rateLimit({ name: 'resend-verification', windowMs: 60 * 60 * 1000, max: 5, keyBy: 'ip' }), resendVerification);
+
+/**
+ * @swagger
+ * /api/auth/password-policy:
+ *   get:
+ *     summary: Get password policy
+ *     description: Rules applied to new passwords on register, reset password and change password
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Active password policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Password policy retrieved"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     minLength:
+ *                       type: integer
+ *                       example: 8
+ *                     requireUppercase:
+ *                       type: boolean
+ *                       example: true
+ *                     requireLowercase:
+ *                       type: boolean
+ *                       example: true
+ *                     requireNumber:
+ *                       type: boolean
+ *                       example: true
+ *                     requireSymbol:
+ *                       type: boolean
+ *                       example: false
+ *                     historySize:
+ *                       type: integer
+ *                       description: Number of previous passwords that cannot be reused
+ *                       example: 5
+ *                     rejectCommon:
+ *                       type: boolean
+ *                       example: true
+ */
+router.get('/password-policy', getPasswordPolicyInfo);
+
+/**
+ * @swagger
+ * /api/auth/csrf-token:
+ *   get:
+ *     summary: Get CSRF token
+ *     description: |
+ *       Returns a CSRF token and sets it in the `csrfToken` cookie (reused while the cookie is valid).
+ *       Requests authenticated with the `accessToken` / `refreshToken` cookies must send this token
+ *       in the `X-CSRF-Token` header on POST, PUT, PATCH and DELETE, otherwise they are rejected with 403.
+ *       Requests using an `Authorization` Bearer token or an API key are exempt.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: CSRF token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "CSRF token retrieved"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     csrfToken:
+ *                       type: string
+ *                       example: "q3Jx0bW2m1m8c7b5K0Qy1y2W3Z0S5m9h3o1K6d2f8aA.Xk2p1b7pQ9s6W3t0eR4yZ8uV5cN1mJ2hG7fD3sA9kL0"
+ *                     headerName:
+ *                       type: string
+ *                       example: "X-CSRF-Token"
+ */
+router.get('/csrf-token', getCsrfToken);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: |
+ *       Generate a new TOTP secret and otpauth URI (render it as a QR code).
+ *       Call with a bearer token, or with the `setupToken` returned by login when the role requires 2FA.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               setupToken:
+ *                 type: string
+ *                 description: Setup token from login (when not authenticated)
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Scan the QR code with your authenticator app, then confirm with a code"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       example: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *                     otpauthUri:
+ *                       type: string
+ *                       example: otpauth://totp/BETalentBoard%3Auser%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=BETalentBoard
+ *       400:
+ *         description: Two-factor authentication already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/2fa/setup', optionalAuth, blockImpersonation, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm and enable two-factor authentication
+ *     description: |
+ *       Confirm the first code from the authenticator app. Returns recovery codes (shown only once).
+ *       When called with a `setupToken`, the login is completed and access/refresh tokens are returned as well.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               setupToken:
+ *                 type: string
+ *                 description: Setup token from login (when not authenticated)
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Invalid code or setup not started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/2fa/enable', optionalAuth, blockImpersonation, enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete login with a two-factor code
+ *     description: Exchange the `challengeToken` from login plus a TOTP code (or a single-use recovery code) for access and refresh tokens. The challenge token can only be exchanged once; a wrong code does not use it up
+ *     tags: [Two-Factor Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "a1b2c-3d4e5"
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Invalid code or expired challenge token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       423:
+ *         description: Account temporarily locked after too many invalid codes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many attempts from this IP
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/2fa/verify', bruteForceGuard('two-factor', req => decodeToken(req.body?.challengeToken)?.userId), verifyTwoFactorLogin);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: |
+ *       Requires a TOTP code or a recovery code. The password is required too when the account has one
+ *       (accounts created through social login have no password and only need the code).
+ *       Not allowed when the user's role requires 2FA
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: Required when the account has a password
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Used when code is not sent
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Invalid password or code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Two-factor authentication is required for this role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/2fa/disable', authenticate, blockImpersonation, disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Invalidates all previous recovery codes
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Invalid code or 2FA not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/2fa/recovery-codes', authenticate, blockImpersonation, regenerateRecoveryCodes);
+
+// Rate limit untuk flow social login (start + callback)
+const oauthRateLimit = rateLimit({ name: 'oauth', windowMs: 15 * 60 * 1000, max: 30, keyBy: 'ip' });
+
+/**
+ * @swagger
+ * /api/auth/oauth/providers:
+ *   get:
+ *     summary: List social login providers
+ *     description: Providers enabled with OAUTH_PROVIDERS and fully configured
+ *     tags: [Social Login]
+ *     responses:
+ *       200:
+ *         description: Enabled providers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "OAuth providers retrieved"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     providers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                             example: google
+ *                           displayName:
+ *                             type: string
+ *                             example: Google
+ */
+router.get('/oauth/providers', getProviders);
+
+/**
+ * @swagger
+ * /api/auth/oauth/accounts:
+ *   get:
+ *     summary: List linked social accounts
+ *     tags: [Social Login]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked accounts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Linked accounts retrieved"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     accounts:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           provider:
+ *                             type: string
+ *                             example: github
+ *                           email:
+ *                             type: string
+ *                             example: user@example.com
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/oauth/accounts', authenticate, getLinkedAccounts);
+
+/**
+ * @swagger
+ * /api/auth/oauth/accounts/{provider}:
+ *   delete:
+ *     summary: Unlink a social account
+ *     description: Not allowed when it is the last sign-in method of an account without a password
+ *     tags: [Social Login]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: google
+ *     responses:
+ *       200:
+ *         description: Account unlinked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Last sign-in method, set a password first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Linked account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/oauth/accounts/:provider', authenticate, blockImpersonation, unlinkAccount);
+
+/**
+ * @swagger
+ * /api/auth/oauth/{provider}:
+ *   get:
+ *     summary: Start social login
+ *     description: |
+ *       Start the authorization code flow with PKCE and redirect to the provider.
+ *       Pass `link=true` with a bearer token (or auth cookie) to link the provider account to the logged-in user.
+ *       Pass `redirect=false` to receive the authorization URL as JSON instead of a 302 redirect.
+ *     tags: [Social Login]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: google
+ *       - in: query
+ *         name: link
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: redirect
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *     responses:
+ *       200:
+ *         description: Authorization URL (when redirect=false)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Redirect the user to the authorization URL"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     authorizationUrl:
+ *                       type: string
+ *                     state:
+ *                       type: string
+ *       302:
+ *         description: Redirect to the provider authorization page
+ *       401:
+ *         description: Linking requires authentication
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Provider not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/oauth/:provider', oauthRateLimit, optionalAuth, blockImpersonation, startOAuth);
+
+/**
+ * @swagger
+ * /api/auth/oauth/{provider}/callback:
+ *   get:
+ *     summary: Social login callback
+ *     description: |
+ *       Redirect target registered at the provider. Exchanges the code, then logs in, creates the account
+ *       or links it to an existing user with the same verified email. Response is the same as `/api/auth/login`
+ *       (including the two-factor challenge when 2FA is enabled). Must be called from the browser that started the flow.
+ *     tags: [Social Login]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, or account linked (link flow)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Invalid state, missing code, or unverified provider email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Provider rejected the code or the id_token is invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Provider account already linked to another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   post:
+ *     summary: Social login callback (frontend relay)
+ *     description: Same as the GET callback, for frontends that receive the redirect and forward `code` and `state` in the body
+ *     tags: [Social Login]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - state
+ *             properties:
+ *               code:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, or account linked (link flow)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Invalid state or missing code
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/reset-password', resetPassword);
+router.get('/oauth/:provider/callback', oauthRateLimit, oauthCallback);
+router.post('/oauth/:provider/callback', oauthRateLimit, oauthCallback);
 
 export default router;
\ No newline at end of file
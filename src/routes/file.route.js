@@ -0,0 +1,55 @@
+import express from 'express';
+import { serveFile } from '../controllers/fileController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /files/{key}:
+ *   get:
+ *     summary: Get uploaded file
+ *     description: |
+ *       Serves a file from the storage driver. Public files (avatars) need no authentication, other files
+ *       (resumes) need the signed link returned by their download endpoint, which expires after
+ *       STORAGE_SIGNED_URL_EXPIRES_SECONDS (default 300). With the s3 driver the response is a redirect
+ *       to a presigned URL on the bucket.
+ *     tags: [Files]
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         description: Storage key, for example avatars/{userId}/{file}.png
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: expires
+ *         description: Signed link expiry (Unix timestamp in seconds)
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: name
+ *         description: Download file name (part of the signature)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: signature
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: File content
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       302:
+ *         description: Redirect to a presigned URL (s3 driver)
+ *       403:
+ *         description: Missing, invalid or expired signature
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/*', serveFile);
+
+export default router;
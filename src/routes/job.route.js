@@ -9,7 +9,8 @@ import {
   getJobApplicants,
   updateApplicationStatus
 } from '../controllers/jobController.js';
-import { authenticate, authorize } from '../middlewares/auth.js';
+import { authenticate, authorize, requireApiKeyScope } from '../middlewares/auth.js';
+import { rateLimit } from '../middlewares/rateLimit.js';
 
 const router = express.Router();
 
@@ -18,8 +19,11 @@ const router = express.Router();
  * /api/jobs:
  *   get:
  *     summary: Get all jobs with search and filter
- *     description: Browse all available jobs with pagination, search, and filtering options
+ *     description: Browse all available jobs with pagination, search, and filtering options. Public; requests with an API key need scope `jobs:read` and are rate limited per key
  *     tags: [Jobs]
+ *     security:
+ *       - {}
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -97,16 +101,25 @@ const router = express.Router();
  *                         totalPages:
  *                           type: integer
  *                           example: 5
+ *       429:
+ *         description: Rate limit exceeded (see RateLimit-* and Retry-After headers)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/', getAllJobs);
+router.get('/', requireApiKeyScope('jobs:read'), rateLimit({ name: 'job-search', windowMs: 60 * 1000, max: 60, keyBy: 'apiKey' }), getAllJobs);
 
 /**
  * @swagger
  * /api/jobs/{jobId}:
  *   get:
  *     summary: Get job details by ID
- *     description: Retrieve detailed information about a specific job
+ *     description: Retrieve detailed information about a specific job. Public; requests with an API key need scope `jobs:read`
  *     tags: [Jobs]
+ *     security:
+ *       - {}
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: jobId
@@ -137,17 +150,18 @@ router.get('/', getAllJobs);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/:jobId', getJobById);
+router.get('/:jobId', requireApiKeyScope('jobs:read'), getJobById);
 
 /**
  * @swagger
  * /api/jobs:
  *   post:
  *     summary: Create a new job posting
- *     description: Create a new job (Recruiter or Admin only)
+ *     description: Create a new job (Recruiter or Admin only) (API key scope `jobs:write`)
  *     tags: [Jobs]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -215,23 +229,24 @@ router.get('/:jobId', getJobById);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       403:
- *         description: Forbidden - Recruiter role required
+ *         description: Forbidden - Recruiter role required, or account deletion is scheduled
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/', authenticate, authorize(['RECRUITER', 'ADMIN']), createJob);
+router.post('/', authenticate, authorize('job:create', 'jobs:write'), createJob);
 
 /**
  * @swagger
  * /api/jobs/{jobId}:
  *   put:
  *     summary: Update job posting
- *     description: Update an existing job (Owner or Admin only)
+ *     description: Update an existing job (Owner or Admin only) (API key scope `jobs:write`)
  *     tags: [Jobs]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: jobId
@@ -297,17 +312,18 @@ router.post('/', authenticate, authorize(['RECRUITER', 'ADMIN']), createJob);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.put('/:jobId', authenticate, authorize(['RECRUITER', 'ADMIN']), updateJob);
+router.put('/:jobId', authenticate, authorize('job:update', 'jobs:write'), updateJob);
 
 /**
  * @swagger
  * /api/jobs/{jobId}:
  *   delete:
  *     summary: Delete job posting
- *     description: Delete a job posting (Owner or Admin only)
+ *     description: Delete a job posting (Owner or Admin only) (API key scope `jobs:write`)
  *     tags: [Jobs]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: jobId
@@ -335,7 +351,7 @@ router.put('/:jobId', authenticate, authorize(['RECRUITER', 'ADMIN']), updateJob
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete('/:jobId', authenticate, authorize(['RECRUITER', 'ADMIN']), deleteJob);
+router.delete('/:jobId', authenticate, authorize('job:delete', 'jobs:write'), deleteJob);
 
 /**
  * @swagger
@@ -363,8 +379,13 @@ router.delete('/:jobId', authenticate, authorize(['RECRUITER', 'ADMIN']), delete
  *               coverLetter:
  *                 type: string
  *                 example: "I am very interested in this position because..."
+ *               resumeId:
+ *                 type: string
+ *                 description: Uploaded resume version to attach (defaults to the latest uploaded resume)
+ *                 example: clresume123
  *               resume:
  *                 type: string
+ *                 description: External resume URL (legacy)
  *                 example: "https://example.com/resume.pdf"
  *     responses:
  *       201:
@@ -399,24 +420,46 @@ router.delete('/:jobId', authenticate, authorize(['RECRUITER', 'ADMIN']), delete
  *                 value:
  *                   success: false
  *                   message: "This job is no longer accepting applications"
+ *       403:
+ *         description: Forbidden - email not verified yet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Please verify your email before applying for jobs"
  *       404:
  *         description: Job not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded (see RateLimit-* and Retry-After headers)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/:jobId/apply', authenticate, applyJob);
+router.post(
+  '/:jobId/apply',
+  authenticate,
+  authorize('job:apply'),
+  rateLimit({ name: 'job-apply', windowMs: 60 * 60 * 1000, max: 20, keyBy: 'user', message: 'Too many applications, please try again later' }),
+  applyJob
+);
 
 /**
  * @swagger
  * /api/jobs/{jobId}/applicants:
  *   get:
  *     summary: Get job applicants
- *     description: Get list of applicants for a job (Job owner or Admin only)
+ *     description: Get list of applicants for a job (Job owner or Admin only) (API key scope `applications:read`)
  *     tags: [Job Applications]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: jobId
@@ -430,9 +473,24 @@ router.post('/:jobId/apply', authenticate, applyJob);
  *           type: string
  *           enum: [PENDING, REVIEWED, ACCEPTED, REJECTED]
  *         description: Filter by application status
+ *       - in: query
+ *         name: minYearsExperience
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Minimum total years of work experience (overlapping positions are counted once)
+ *       - in: query
+ *         name: degree
+ *         schema:
+ *           type: string
+ *           enum: [HIGH_SCHOOL, DIPLOMA, BACHELOR, MASTER, DOCTORATE]
+ *         description: Minimum completed degree
  *     responses:
  *       200:
- *         description: Applicants retrieved successfully
+ *         description: |
+ *           Applicants retrieved successfully. Each applicant includes their experience and education
+ *           records plus yearsOfExperience and highestDegree. Anonymized applications are excluded
+ *           when filtering by experience or degree.
  *         content:
  *           application/json:
  *             schema:
@@ -476,17 +534,18 @@ router.post('/:jobId/apply', authenticate, applyJob);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/:jobId/applicants', authenticate, authorize(['RECRUITER', 'ADMIN']), getJobApplicants);
+router.get('/:jobId/applicants', authenticate, authorize('application:view', 'applications:read'), getJobApplicants);
 
 /**
  * @swagger
  * /api/jobs/{jobId}/applicants/{applicationId}:
  *   patch:
  *     summary: Update application status
- *     description: Update the status of a job application (Job owner or Admin only). Publishes APPLICATION_STATUS_CHANGED event to Redis.
+ *     description: Update the status of a job application (Job owner or Admin only). Publishes APPLICATION_STATUS_CHANGED event to Redis. (API key scope `applications:write`)
  *     tags: [Job Applications]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: jobId
@@ -548,6 +607,6 @@ router.get('/:jobId/applicants', authenticate, authorize(['RECRUITER', 'ADMIN'])
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.patch('/:jobId/applicants/:applicationId', authenticate, authorize(['RECRUITER', 'ADMIN']), updateApplicationStatus);
+router.patch('/:jobId/applicants/:applicationId', authenticate, authorize('application:update', 'applications:write'), updateApplicationStatus);
 
 export default router;
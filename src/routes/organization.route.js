@@ -0,0 +1,345 @@
+import express from 'express';
+import {
+  createOrganization,
+  getMyOrganization,
+  getInvitations,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  acceptInvitation
+} from '../controllers/organizationController.js';
+import { authenticate, authorize, blockImpersonation } from '../middlewares/auth.js';
+import { rateLimit } from '../middlewares/rateLimit.js';
+
+const router = express.Router();
+
+// Semua route organization butuh login
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/organizations:
+ *   post:
+ *     summary: Create organization
+ *     description: |
+ *       Create a hiring team organization for a recruiter who does not belong to one yet
+ *       (an approved recruiter request creates one automatically).
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Acme Corp
+ *               website:
+ *                 type: string
+ *                 example: https://acme.com
+ *     responses:
+ *       201:
+ *         description: Organization created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Organization created successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     organization:
+ *                       $ref: '#/components/schemas/Organization'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       409:
+ *         description: User already belongs to an organization
+ */
+router.post('/', authorize('organization:create'), createOrganization);
+
+/**
+ * @swagger
+ * /api/organizations/me:
+ *   get:
+ *     summary: Get my organization
+ *     description: The organization of the current user with its members
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organization retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Organization retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     organization:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/Organization'
+ *                         - type: object
+ *                           properties:
+ *                             members:
+ *                               type: array
+ *                               items:
+ *                                 $ref: '#/components/schemas/User'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: User does not belong to an organization
+ */
+router.get('/me', getMyOrganization);
+
+/**
+ * @swagger
+ * /api/organizations/me/invitations:
+ *   get:
+ *     summary: List pending invitations
+ *     description: Invitations that were not accepted or revoked yet, including expired ones that can be resent
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Invitations retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invitations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/OrganizationInvitation'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: User does not belong to an organization
+ *   post:
+ *     summary: Invite a colleague
+ *     description: |
+ *       Sends an invitation email with a single-use link. The invited user joins the organization
+ *       and gets the RECRUITER role when they accept. Invitations expire after
+ *       ORGANIZATION_INVITE_EXPIRES_DAYS days (default 7).
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: colleague@acme.com
+ *     responses:
+ *       201:
+ *         description: Invitation sent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Invitation sent successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invitation:
+ *                       $ref: '#/components/schemas/OrganizationInvitation'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       409:
+ *         description: The email already has a pending invitation
+ *       429:
+ *         description: Rate limit exceeded (see RateLimit-* and Retry-After headers)
+ */
+router.get('/me/invitations', authorize('organization:invite'), getInvitations);
+router.post(
+  '/me/invitations',
+  authorize('organization:invite'),
+  rateLimit({ name: 'organization-invite', windowMs: 60 * 60 * 1000, max: 30, keyBy: 'user' }),
+  createInvitation
+);
+
+/**
+ * @swagger
+ * /api/organizations/me/invitations/{id}/resend:
+ *   post:
+ *     summary: Resend invitation
+ *     description: Sends the invitation again with a new link and expiry; the previous link stops working
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation resent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Invitation resent successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invitation:
+ *                       $ref: '#/components/schemas/OrganizationInvitation'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       429:
+ *         description: Invitation was sent less than a minute ago
+ */
+router.post('/me/invitations/:id/resend', authorize('organization:invite'), resendInvitation);
+
+/**
+ * @swagger
+ * /api/organizations/me/invitations/{id}:
+ *   delete:
+ *     summary: Revoke invitation
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/me/invitations/:id', authorize('organization:invite'), revokeInvitation);
+
+/**
+ * @swagger
+ * /api/organizations/invitations/accept:
+ *   post:
+ *     summary: Accept invitation
+ *     description: |
+ *       Joins the organization from the invitation link. The current user must be signed in with the
+ *       invited email address. Users with the USER role become RECRUITER.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the invitation link
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Invitation accepted"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     organization:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         name:
+ *                           type: string
+ *                     role:
+ *                       type: string
+ *                       example: RECRUITER
+ *       400:
+ *         description: Invalid or expired invitation
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Invitation was sent to a different email address
+ *       409:
+ *         description: User already belongs to an organization
+ */
+router.post('/invitations/accept', blockImpersonation, acceptInvitation);
+
+export default router;
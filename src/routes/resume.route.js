@@ -0,0 +1,38 @@
+import express from 'express';
+import { downloadResume } from '../controllers/resumeController.js';
+import { authenticate, authorize } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/resumes/{id}/download:
+ *   get:
+ *     summary: Download resume
+ *     description: |
+ *       Downloads an uploaded resume file. Allowed for the candidate who uploaded it, recruiters who own
+ *       a job the candidate applied to, and admins (API key scope `applications:read`).
+ *       Responds with a redirect to a short-lived signed link to the file (see GET /files/{key}).
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the signed file link (the file is sent as an attachment)
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/download', authenticate, authorize('resume:read', 'applications:read'), downloadResume);
+
+export default router;
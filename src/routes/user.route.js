@@ -8,9 +8,29 @@ import {
   updateMyProfile,
   changeMyPassword,
   updateMyAvatar,
-  upload
+  unlockUser,
+  getMyLoginHistory,
+  exportMyData,
+  deleteMyAccount,
+  cancelMyAccountDeletion,
+  avatarUpload
 } from '../controllers/userController.js';
-import { authenticate, authorize } from '../middlewares/auth.js';
+import { getMyApiKeys, createMyApiKey, revokeMyApiKey } from '../controllers/apiKeyController.js';
+import { impersonateUser, stopImpersonation } from '../controllers/impersonationController.js';
+import { submitRecruiterRequest, getMyRecruiterRequest } from '../controllers/recruiterRequestController.js';
+import {
+  getMyExperiences,
+  createMyExperience,
+  updateMyExperience,
+  deleteMyExperience,
+  getMyEducations,
+  createMyEducation,
+  updateMyEducation,
+  deleteMyEducation
+} from '../controllers/profileRecordController.js';
+import { resumeUpload, uploadMyResume, getMyResumes } from '../controllers/resumeController.js';
+import { authenticate, authorize, blockImpersonation } from '../middlewares/auth.js';
+import { rateLimit } from '../middlewares/rateLimit.js';
 
 const router = express.Router();
 
@@ -80,27 +100,793 @@ router.get('/me', authenticate, getMyProfile);
  *                 type: string
  *                 description: User location
  *                 example: Jakarta, Indonesia
+ *               phone:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Phone number (digits, spaces, +, -, . and parentheses, max 30 characters)
+ *                 example: +62 812-3456-7890
+ *               links:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Up to 10 http(s) URLs (portfolio, LinkedIn, GitHub)
+ *                 example: ["https://github.com/johndoe"]
  *               skills:
  *                 type: array
  *                 items:
  *                   type: string
  *                 description: User skills
  *                 example: ["JavaScript", "Node.js", "React", "PostgreSQL"]
- *               experience:
+ *               experiences:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ExperienceInput'
+ *                 description: New experience entries to add (e.g. accepted from resume profileSuggestions), existing entries are kept
+ *               educations:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/EducationInput'
+ *                 description: New education entries to add (e.g. accepted from resume profileSuggestions), existing entries are kept
+ *               experienceNote:
  *                 type: string
- *                 description: User work experience
+ *                 description: Free-text experience note (legacy, use /api/users/me/experience for structured records; `experience` is accepted as an alias)
  *                 example: 5 years in software development
- *               education:
+ *               educationNote:
  *                 type: string
- *                 description: User education background
+ *                 description: Free-text education note (legacy, use /api/users/me/education for structured records; `education` is accepted as an alias)
  *                 example: Computer Science, University XYZ
  *               resume:
  *                 type: string
- *                 description: URL to user resume file
- *                 example: https://example.com/resume.pdf
+ *                 description: URL to user resume file
+ *                 example: https://example.com/resume.pdf
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Profile updated successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Bad request - username already taken, invalid phone / links, invalid experiences / educations or too many entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/me', authenticate, updateMyProfile);
+
+/**
+ * @swagger
+ * /api/users/me/password:
+ *   patch:
+ *     summary: Change user password
+ *     description: Change the password of the currently authenticated user
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 description: Current password
+ *                 example: oldpassword123
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *                 description: New password (must satisfy the password policy and not match recent passwords)
+ *                 example: NewPassword123
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Bad request - current password incorrect or new password does not meet the policy (see errors.rules)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.patch('/me/password', authenticate, blockImpersonation, changeMyPassword);
+
+/**
+ * @swagger
+ * /api/users/me/logins:
+ *   get:
+ *     summary: Get my login history
+ *     description: |
+ *       Successful and failed logins to your account with IP, user agent and device.
+ *       `newDevice` marks the first successful login from a device (browser + OS + device type);
+ *       those logins also trigger a `user.login.new_device` notification.
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [success, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Login history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Login history retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     logins:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           success:
+ *                             type: boolean
+ *                           loginMethod:
+ *                             type: string
+ *                             example: PASSWORD
+ *                           failureReason:
+ *                             type: string
+ *                             nullable: true
+ *                             example: INVALID_PASSWORD
+ *                           ipAddress:
+ *                             type: string
+ *                             example: "203.0.113.10"
+ *                           userAgent:
+ *                             type: string
+ *                           deviceName:
+ *                             type: string
+ *                             example: "Chrome on Windows"
+ *                           deviceType:
+ *                             type: string
+ *                             example: desktop
+ *                           newDevice:
+ *                             type: boolean
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         currentPage:
+ *                           type: integer
+ *                         totalPages:
+ *                           type: integer
+ *                         totalLogins:
+ *                           type: integer
+ *                         hasNextPage:
+ *                           type: boolean
+ *                         hasPrevPage:
+ *                           type: boolean
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me/logins', authenticate, getMyLoginHistory);
+
+/**
+ * @swagger
+ * /api/users/me/export:
+ *   get:
+ *     summary: Export my personal data
+ *     description: |
+ *       Downloads everything stored about your account: profile, applications, job postings,
+ *       login history, sessions, linked accounts, API keys (metadata only) and recruiter requests.
+ *       Passwords, tokens and 2FA secrets are never included. The zip format also contains your
+ *       uploaded files (avatar and resumes). Limited to 5 exports per hour.
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, zip]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Data export (sent as an attachment)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 exportedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 profile:
+ *                   type: object
+ *                 applications:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 loginHistory:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 linkedAccounts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 apiKeys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 recruiterRequests:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid format
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not available while impersonating
+ *       429:
+ *         description: Rate limit exceeded (see RateLimit-* and Retry-After headers)
+ */
+router.get(
+  '/me/export',
+  authenticate,
+  blockImpersonation,
+  rateLimit({ name: 'data-export', windowMs: 60 * 60 * 1000, max: 5, keyBy: 'user' }),
+  exportMyData
+);
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   delete:
+ *     summary: Delete my account
+ *     description: |
+ *       Schedules your account for permanent deletion after ACCOUNT_DELETION_GRACE_DAYS days (default 30)
+ *       and signs you out of every device. Sign in again before the scheduled date and call
+ *       POST /api/users/me/deletion/cancel to keep your account.
+ *
+ *       When the grace period ends the account, sessions, API keys and uploaded files are deleted.
+ *       Your job applications stay visible to recruiters in anonymized form (no name, email,
+ *       cover letter or resume).
+ *
+ *       Confirm with your password, or with your email address if the account has no password
+ *       (social login). A 2FA code or recovery code is required when two-factor authentication is enabled.
+ *       Recruiters must delete their job postings first; admin accounts are deleted by another admin.
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               confirmEmail:
+ *                 type: string
+ *                 format: email
+ *                 description: Required instead of password for accounts without a password
+ *               code:
+ *                 type: string
+ *                 description: TOTP code, required when 2FA is enabled
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Used when code is not sent
+ *     responses:
+ *       200:
+ *         description: Account scheduled for deletion
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Account scheduled for deletion. To keep your account, sign in and call POST /api/users/me/deletion/cancel before the scheduled date."
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     deletionScheduledAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Incorrect password, email confirmation, verification code or recovery code
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Admin account, or not available while impersonating
+ *       409:
+ *         description: Deletion already scheduled, or the user still owns job postings
+ */
+router.delete('/me', authenticate, blockImpersonation, deleteMyAccount);
+
+/**
+ * @swagger
+ * /api/users/me/deletion/cancel:
+ *   post:
+ *     summary: Cancel account deletion
+ *     description: Keeps the account when it is still within the deletion grace period
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Account deletion cancelled
+ *       400:
+ *         description: Account is not scheduled for deletion
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not available while impersonating
+ */
+router.post('/me/deletion/cancel', authenticate, blockImpersonation, cancelMyAccountDeletion);
+
+/**
+ * @swagger
+ * /api/users/me/recruiter-request:
+ *   get:
+ *     summary: Get my recruiter request
+ *     description: Latest recruiter access request of the current user (null if none)
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Recruiter request retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Recruiter request retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recruiterRequest:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         companyName:
+ *                           type: string
+ *                         companyWebsite:
+ *                           type: string
+ *                           nullable: true
+ *                         jobTitle:
+ *                           type: string
+ *                           nullable: true
+ *                         message:
+ *                           type: string
+ *                           nullable: true
+ *                         status:
+ *                           type: string
+ *                           enum: [PENDING, APPROVED, REJECTED]
+ *                         reviewNote:
+ *                           type: string
+ *                           nullable: true
+ *                         reviewedAt:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *                         createdAt:
+ *                           type: string
+ *                           format: date-time
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Request recruiter access
+ *     description: |
+ *       Submit company details to become a recruiter. The request is reviewed by an admin;
+ *       on approval the role changes to RECRUITER and the user is notified.
+ *       Requires a verified email and the USER role. If a company website is given, the account
+ *       email domain is compared with the website domain (required when RECRUITER_REQUIRE_WORK_EMAIL=true).
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - companyName
+ *             properties:
+ *               companyName:
+ *                 type: string
+ *                 example: Acme Corp
+ *               companyWebsite:
+ *                 type: string
+ *                 example: https://acme.com
+ *               jobTitle:
+ *                 type: string
+ *                 example: HR Manager
+ *               message:
+ *                 type: string
+ *                 example: We are hiring backend engineers in Jakarta
+ *     responses:
+ *       201:
+ *         description: Recruiter request submitted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Recruiter request submitted"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recruiterRequest:
+ *                       $ref: '#/components/schemas/RecruiterRequest'
+ *       400:
+ *         description: Missing company name, invalid website, email domain mismatch or user is not a USER
+ *       403:
+ *         description: Email not verified
+ *       409:
+ *         description: A pending request already exists
+ */
+router.get('/me/recruiter-request', authenticate, getMyRecruiterRequest);
+router.post('/me/recruiter-request', authenticate, submitRecruiterRequest);
+
+/**
+ * @swagger
+ * /api/users/me/experience:
+ *   get:
+ *     summary: List my work experience
+ *     description: Current positions first, then newest first. Includes total years of experience (overlapping positions are counted once).
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Experience retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Experience retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     experiences:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Experience'
+ *                     yearsOfExperience:
+ *                       type: number
+ *                       example: 4.5
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     summary: Add work experience
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ExperienceInput'
+ *     responses:
+ *       201:
+ *         description: Experience added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Experience added successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     experience:
+ *                       $ref: '#/components/schemas/Experience'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/me/experience', authenticate, getMyExperiences);
+router.post('/me/experience', authenticate, createMyExperience);
+
+/**
+ * @swagger
+ * /api/users/me/experience/{id}:
+ *   put:
+ *     summary: Update work experience
+ *     description: Only the fields that are sent are changed. Setting isCurrent to true clears endDate.
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ExperienceInput'
+ *     responses:
+ *       200:
+ *         description: Experience updated successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     summary: Delete work experience
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Experience deleted successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/me/experience/:id', authenticate, updateMyExperience);
+router.delete('/me/experience/:id', authenticate, deleteMyExperience);
+
+/**
+ * @swagger
+ * /api/users/me/education:
+ *   get:
+ *     summary: List my education
+ *     description: Current studies first, then newest first. Includes the highest completed degree.
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Education retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Education retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     educations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Education'
+ *                     highestDegree:
+ *                       type: string
+ *                       nullable: true
+ *                       example: BACHELOR
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     summary: Add education
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EducationInput'
+ *     responses:
+ *       201:
+ *         description: Education added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Education added successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     education:
+ *                       $ref: '#/components/schemas/Education'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/me/education', authenticate, getMyEducations);
+router.post('/me/education', authenticate, createMyEducation);
+
+/**
+ * @swagger
+ * /api/users/me/education/{id}:
+ *   put:
+ *     summary: Update education
+ *     description: Only the fields that are sent are changed. Setting isCurrent to true clears endDate.
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EducationInput'
+ *     responses:
+ *       200:
+ *         description: Education updated successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     summary: Delete education
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Education deleted successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/me/education/:id', authenticate, updateMyEducation);
+router.delete('/me/education/:id', authenticate, deleteMyEducation);
+
+/**
+ * @swagger
+ * /api/users/me/avatar:
+ *   patch:
+ *     summary: Update user avatar
+ *     description: |
+ *       Upload and update the avatar image of the currently authenticated user (max 5MB).
+ *       The image type is checked from the file content, metadata (EXIF) is removed and the image is
+ *       center-cropped to a square and stored as 64, 128 and 512 px WebP renditions.
+ *       The previous avatar files are deleted.
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               avatar:
+ *                 type: string
+ *                 format: binary
+ *                 description: Avatar image file (JPEG, PNG, GIF or WebP)
  *     responses:
  *       200:
- *         description: Profile updated successfully
+ *         description: Avatar updated successfully
  *         content:
  *           application/json:
  *             schema:
@@ -111,97 +897,197 @@ router.get('/me', authenticate, getMyProfile);
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Profile updated successfully"
+ *                   example: "Avatar updated successfully"
  *                 data:
- *                   $ref: '#/components/schemas/User'
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
  *       400:
- *         description: Bad request - username already taken
+ *         description: Bad request - missing, too large, unsupported or corrupted image
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       401:
- *         description: Unauthorized - invalid or missing token
+ *         description: Unauthorized
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.put('/me', authenticate, updateMyProfile);
+router.patch('/me/avatar', authenticate, avatarUpload, updateMyAvatar);
 
 /**
  * @swagger
- * /api/users/me/password:
- *   patch:
- *     summary: Change user password
- *     description: Change the password of the currently authenticated user
- *     tags: [User Profile]
+ * /api/users/me/resume:
+ *   get:
+ *     summary: List my resume versions
+ *     description: Uploaded resume versions, newest first. The newest version is the current resume.
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Resumes retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Resumes retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     currentResume:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/Resume'
+ *                       nullable: true
+ *                     resumes:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Resume'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     summary: Upload resume
+ *     description: |
+ *       Uploads a PDF or DOCX resume as a new version (max RESUME_MAX_SIZE_MB, default 5MB). The file type is
+ *       checked from the file content. Files are stored privately and can only be downloaded through
+ *       /api/resumes/{id}/download. Only the newest RESUME_MAX_VERSIONS versions (default 10) are kept,
+ *       versions attached to applications are never removed. New applications use the newest version.
+ *
+ *       The resume text is extracted and parsed on the server (no external service) into profileSuggestions:
+ *       contact info, location, skills, experience and education the user can review and accept through
+ *       PUT /api/users/me. The profile itself is not changed by the upload.
+ *     tags: [Resumes]
  *     security:
  *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
- *         application/json:
+ *         multipart/form-data:
  *           schema:
  *             type: object
  *             required:
- *               - currentPassword
- *               - newPassword
+ *               - resume
  *             properties:
- *               currentPassword:
- *                 type: string
- *                 description: Current password
- *                 example: oldpassword123
- *               newPassword:
+ *               resume:
  *                 type: string
- *                 minLength: 6
- *                 description: New password (minimum 6 characters)
- *                 example: newpassword123
+ *                 format: binary
+ *                 description: PDF or DOCX file
  *     responses:
- *       200:
- *         description: Password changed successfully
+ *       201:
+ *         description: Resume uploaded successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/SuccessResponse'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Resume uploaded successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     resume:
+ *                       $ref: '#/components/schemas/Resume'
+ *                     profileSuggestions:
+ *                       $ref: '#/components/schemas/ProfileSuggestions'
+ *       200:
+ *         description: The file is identical to the current resume, no new version was created (profileSuggestions are still returned)
  *       400:
- *         description: Bad request - current password incorrect
+ *         description: Missing file, unsupported file type or file too large
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/me/resume', authenticate, getMyResumes);
+router.post('/me/resume', authenticate, resumeUpload, uploadMyResume);
+
+/**
+ * @swagger
+ * /api/users/me/api-keys:
+ *   get:
+ *     summary: List my API keys
+ *     description: API keys of the current user (the key itself is never returned again after creation)
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "API keys retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     apiKeys:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ApiKey'
+ *                     availableScopes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["jobs:read", "jobs:write", "applications:read", "applications:write"]
  *       401:
  *         description: Unauthorized
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- */
-router.patch('/me/password', authenticate, changeMyPassword);
-
-/**
- * @swagger
- * /api/users/me/avatar:
- *   patch:
- *     summary: Update user avatar
- *     description: Upload and update the avatar image of the currently authenticated user
+ *   post:
+ *     summary: Create an API key
+ *     description: |
+ *       Create a personal API key for integrations. Send it as `X-API-Key: btb_...` (or `Authorization: Bearer btb_...`).
+ *       The key is only shown in this response. Scopes are limited by your role.
  *     tags: [User Profile]
  *     security:
  *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
- *         multipart/form-data:
+ *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - name
+ *               - scopes
  *             properties:
- *               avatar:
+ *               name:
  *                 type: string
- *                 format: binary
- *                 description: Avatar image file (jpg, jpeg, png, gif)
+ *                 example: ATS sync
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [jobs:read, jobs:write, applications:read, applications:write]
+ *                 example: ["jobs:write", "applications:read"]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 description: Optional expiry, no expiry when omitted
  *     responses:
- *       200:
- *         description: Avatar updated successfully
+ *       201:
+ *         description: API key created
  *         content:
  *           application/json:
  *             schema:
@@ -212,27 +1098,54 @@ router.patch('/me/password', authenticate, changeMyPassword);
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Avatar updated successfully"
+ *                   example: "API key created. Copy it now, it will not be shown again"
  *                 data:
  *                   type: object
  *                   properties:
- *                     avatarUrl:
+ *                     apiKey:
+ *                       $ref: '#/components/schemas/ApiKey'
+ *                     key:
  *                       type: string
- *                       example: "/uploads/avatars/1234567890-avatar.jpg"
+ *                       example: btb_Jx8v0c2Q...
  *       400:
- *         description: Bad request - invalid file
+ *         description: Missing name, invalid scopes for your role, or too many active keys
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *       401:
- *         description: Unauthorized
+ */
+router.get('/me/api-keys', authenticate, getMyApiKeys);
+router.post('/me/api-keys', authenticate, blockImpersonation, createMyApiKey);
+
+/**
+ * @swagger
+ * /api/users/me/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: API key not found or already revoked
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.patch('/me/avatar', authenticate, upload.single('avatar'), updateMyAvatar);
+router.delete('/me/api-keys/:id', authenticate, blockImpersonation, revokeMyApiKey);
 
 /**
  * @swagger
@@ -314,7 +1227,7 @@ router.patch('/me/avatar', authenticate, upload.single('avatar'), updateMyAvatar
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/', authenticate, authorize(['ADMIN']), getAllUsers);
+router.get('/', authenticate, authorize('user:list'), getAllUsers);
 
 /**
  * @swagger
@@ -368,14 +1281,14 @@ router.get('/', authenticate, authorize(['ADMIN']), getAllUsers);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/:id', authenticate, authorize(['ADMIN']), getUserById);
+router.get('/:id', authenticate, authorize('user:read'), getUserById);
 
 /**
  * @swagger
  * /api/users/{id}:
  *   put:
  *     summary: Update user by ID (Admin only)
- *     description: Update user information by ID (requires admin role)
+ *     description: Update user information by ID (requires admin role). Changing the email resets emailVerified and sends a new verification email to the new address
  *     tags: [User Management]
  *     security:
  *       - bearerAuth: []
@@ -453,7 +1366,7 @@ router.get('/:id', authenticate, authorize(['ADMIN']), getUserById);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.put('/:id', authenticate, authorize(['ADMIN']), updateUser);
+router.put('/:id', authenticate, authorize('user:update'), updateUser);
 
 /**
  * @swagger
@@ -502,6 +1415,134 @@ router.put('/:id', authenticate, authorize(['ADMIN']), updateUser);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete('/:id', authenticate, authorize(['ADMIN']), deleteUser);
+router.delete('/:id', authenticate, authorize('user:delete'), deleteUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock user account
+ *     description: Clear failed login attempts and remove a temporary lockout (Admin only)
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User account unlocked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/unlock', authenticate, authorize('user:unlock'), unlockUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/impersonate:
+ *   post:
+ *     summary: Impersonate a user
+ *     description: |
+ *       Issue a short-lived access token (default 15 minutes, no refresh token) to act as this user for support (Admin only).
+ *       The token carries the admin's id; start and stop are recorded in the impersonation log.
+ *       Sensitive actions (password change, 2FA, API keys, sessions, social login) are blocked while impersonating.
+ *       The token is only returned in the response body, not as a cookie. Admins cannot be impersonated.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Support ticket #1234"
+ *     responses:
+ *       201:
+ *         description: Impersonation started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     accessToken:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     impersonationId:
+ *                       type: string
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Cannot impersonate yourself or a deactivated user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/impersonate', authenticate, blockImpersonation, authorize('user:impersonate'), impersonateUser);
+
+/**
+ * @swagger
+ * /api/users/impersonation/stop:
+ *   post:
+ *     summary: Stop impersonating
+ *     description: End the impersonation; call it with the impersonation token. The token is revoked immediately.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Impersonation stopped
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Not an impersonation token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/impersonation/stop', authenticate, stopImpersonation);
 
 export default router;
\ No newline at end of file
@@ -9,11 +9,20 @@ import swaggerSpec from './config/swagger.js';
 
 // Import Redis
 import { connectRedis, disconnectRedis } from './config/redis.js';
+import { rateLimit } from './middlewares/rateLimit.js';
+import { resolveApiKey } from './middlewares/auth.js';
+import { csrfProtection } from './middlewares/csrf.js';
+import { initSigningKeys, getPublicJwks } from './utils/signingKeys.js';
+import { startAccountPurgeJob } from './utils/accountDeletion.js';
 
 // Import routes
 import authRoutes from './routes/auth.route.js';
 import userRoutes from './routes/user.route.js';
 import jobRoutes from './routes/job.route.js';
+import adminRoutes from './routes/admin.route.js';
+import organizationRoutes from './routes/organization.route.js';
+import resumeRoutes from './routes/resume.route.js';
+import fileRoutes from './routes/file.route.js';
 
 // Load .env
 dotenv.config();
@@ -25,18 +34,26 @@ const PORT = process.env.PORT || 5000;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Di belakang reverse proxy (Railway, Nginx), supaya req.ip adalah IP client asli
+const trustProxy = process.env.TRUST_PROXY || 'loopback';
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' ? true : trustProxy);
+
 // 🔧 Middleware Setup
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true, // Allow cookies
+  exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'],
 }));
 
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
-// Static files untuk avatar
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+// File upload dari storage driver (avatar public, file lain lewat signed URL)
+app.use('/files', fileRoutes);
+
+// Avatar lama yang di-upload sebelum ada storage driver
+app.use('/uploads/avatars', express.static(path.join(__dirname, '../uploads/avatars')));
 
 // Swagger Documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
@@ -56,10 +73,67 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
   }
 }));
 
+// Validasi API key (kalau ada) sebelum rate limit, supaya limit dihitung per key yang valid
+app.use('/api', resolveApiKey);
+
+// Global rate limit untuk semua endpoint API (per-route policy ada di file route)
+app.use('/api', rateLimit({
+  name: 'global',
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000'),
+  max: parseInt(process.env.RATE_LIMIT_MAX || '300'),
+  keyBy: 'apiKey'
+}));
+
+// CSRF protection untuk request yang memakai cookie auth (Bearer token & API key tidak perlu)
+app.use('/api', csrfProtection);
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/jobs', jobRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/resumes', resumeRoutes);
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: JSON Web Key Set
+ *     description: |
+ *       Public keys for verifying access tokens signed with RS256 / ES256 (match the token `kid` header).
+ *       Includes upcoming keys before they are used and retired keys until their tokens expire.
+ *       Empty when the server signs with HS256.
+ *     tags: [Health Check]
+ *     responses:
+ *       200:
+ *         description: JWK Set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       kid:
+ *                         type: string
+ *                       kty:
+ *                         type: string
+ *                         example: RSA
+ *                       alg:
+ *                         type: string
+ *                         example: RS256
+ *                       use:
+ *                         type: string
+ *                         example: sig
+ */
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getPublicJwks());
+});
 
 /**
  * @swagger
@@ -108,7 +182,12 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       users: '/api/users',
       jobs: '/api/jobs',
-      docs: '/api-docs'
+      admin: '/api/admin',
+      organizations: '/api/organizations',
+      resumes: '/api/resumes',
+      files: '/files',
+      docs: '/api-docs',
+      jwks: '/.well-known/jwks.json'
     }
   });
 });
@@ -133,13 +212,6 @@ app.use((error, req, res, next) => {
     });
   }
 
-  if (error.message === 'Only image files are allowed!') {
-    return res.status(400).json({
-      success: false,
-      message: 'Only image files are allowed for avatar upload'
-    });
-  }
-
   res.status(500).json({
     success: false,
     message: 'Internal server error',
@@ -165,9 +237,19 @@ process.on('SIGINT', async () => {
   process.exit(0);
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Server is running on http://localhost:${PORT}`);
-  console.log(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
\ No newline at end of file
+// Start server (key JWT harus siap sebelum menerima request)
+initSigningKeys()
+  .then(() => {
+    // Hapus permanen akun yang grace period penghapusannya sudah lewat
+    startAccountPurgeJob();
+
+    app.listen(PORT, () => {
+      console.log(`🚀 Server is running on http://localhost:${PORT}`);
+      console.log(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
+      console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+    });
+  })
+  .catch(err => {
+    console.error('Failed to initialize JWT signing keys:', err);
+    process.exit(1);
+  });
\ No newline at end of file
@@ -0,0 +1,185 @@
+import prisma from '../config/database.js';
+import { recordAuditLog } from './auditLog.js';
+import { deleteResumeFile } from './resumes.js';
+import { deleteAvatarFiles } from './avatars.js';
+import { getStorage, getKeyFromUrl, isUserKey } from '../config/storage.js';
+
+/**
+ * Account Deletion
+ * User bisa menghapus akunnya sendiri (DELETE /users/me): akun dijadwalkan dihapus setelah
+ * ACCOUNT_DELETION_GRACE_DAYS hari (default 30), selama itu user masih bisa login dan membatalkan
+ *
+ * Setelah grace period, job background menghapus akun permanen (purge):
+ * - Lamaran dianonimkan (applicant, cover letter & resume dihapus), status tetap ada untuk pipeline recruiter
+ * - Akun yang masih punya lowongan tidak di-purge (dicatat ACCOUNT_PURGE_SKIPPED), dicoba lagi di run berikutnya
+ * - User dihapus beserta session, API key, login history, linked account, dll (cascade)
+ * - File upload milik user (avatar, resume) dihapus dari storage, termasuk resume yang dilampirkan di lamaran
+ *   URL resume di profil / lamaran diisi client, jadi hanya storage key milik user sendiri yang ikut dihapus
+ *   (path /uploads lama tidak pernah dihapus berdasarkan URL dari client)
+ * Audit log tetap disimpan (tanpa foreign key) sebagai catatan keamanan
+ */
+
+let purgeTimer = null;
+
+// Job background tidak punya request, audit log dicatat tanpa IP & user agent
+const SYSTEM_REQUEST = { headers: {} };
+
+export const deletionGraceDays = () => parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '30');
+
+const purgeIntervalMs = () => parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES || '60') * 60 * 1000;
+
+/**
+ * Hapus user permanen: anonimkan lamaran, hapus user (cascade) dan file upload-nya
+ * Dipakai purge self-deletion dan admin delete user
+ * @param {String} userId - User ID
+ * @param {Object} options - { skipJobOwners }: jangan hapus user yang masih punya lowongan (purge self-deletion)
+ * @returns {Object|null} - User yang dihapus ({ id, email, role }), null kalau tidak ditemukan / dilewati
+ */
+export const purgeUser = async (userId, { skipJobOwners = false } = {}) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, role: true, avatar: true, resume: true }
+  });
+
+  if (!user) {
+    return null;
+  }
+
+  // Lowongan ikut terhapus (cascade) beserta lamaran kandidat lain, jadi purge dilewati
+  // sampai pemiliknya menghapus lowongan tersebut
+  if (skipJobOwners) {
+    const ownedJobs = await prisma.job.count({ where: { ownerId: userId } });
+
+    if (ownedJobs) {
+      console.error(`Purge account skipped (${userId}): user still owns ${ownedJobs} job(s)`);
+
+      await recordAuditLog(SYSTEM_REQUEST, 'ACCOUNT_PURGE_SKIPPED', {
+        actorId: null,
+        targetType: 'USER',
+        targetId: userId,
+        metadata: { reason: 'OWNS_JOBS', jobs: ownedJobs }
+      });
+
+      return null;
+    }
+  }
+
+  const [applications, resumes] = await Promise.all([
+    prisma.jobApplication.findMany({
+      where: { applicantId: userId },
+      select: { resume: true }
+    }),
+    prisma.resume.findMany({
+      where: { userId },
+      select: { storageKey: true }
+    })
+  ]);
+
+  try {
+    await prisma.$transaction([
+      prisma.jobApplication.updateMany({
+        where: { applicantId: userId },
+        data: {
+          applicantId: null,
+          coverLetter: null,
+          resume: null,
+          resumeId: null,
+          anonymizedAt: new Date()
+        }
+      }),
+      prisma.user.delete({ where: { id: userId } })
+    ]);
+  } catch (error) {
+    // Sudah dihapus duluan (request lain / instance lain)
+    if (error.code === 'P2025') {
+      return null;
+    }
+    throw error;
+  }
+
+  // File dihapus setelah data di database berhasil dihapus
+  const urls = [user.resume, ...applications.map(application => application.resume)];
+  const storageKeys = urls.map(getKeyFromUrl).filter(key => key && isUserKey(key, userId));
+
+  await Promise.all([...new Set(storageKeys)].map(async (key) => {
+    try {
+      await getStorage().delete(key);
+    } catch (error) {
+      console.error(`Delete file error (${key}):`, error);
+    }
+  }));
+
+  // Avatar dihapus semua ukurannya (termasuk avatar lama di folder uploads)
+  await deleteAvatarFiles(user.avatar);
+
+  // Record resume ikut terhapus (cascade), file-nya dihapus di sini
+  await Promise.all(resumes.map(resume => deleteResumeFile(resume.storageKey)));
+
+  const { avatar, resume, ...deletedUser } = user;
+  return deletedUser;
+};
+
+/**
+ * Purge semua akun yang grace period-nya sudah lewat
+ * @returns {Number} - Jumlah akun yang dihapus
+ */
+export const purgeDueAccounts = async () => {
+  const dueUsers = await prisma.user.findMany({
+    where: { deletionScheduledAt: { lte: new Date() } },
+    select: { id: true, role: true, deletionRequestedAt: true }
+  });
+
+  let purged = 0;
+
+  for (const dueUser of dueUsers) {
+    try {
+      if (await purgeUser(dueUser.id, { skipJobOwners: true })) {
+        purged++;
+
+        await recordAuditLog(SYSTEM_REQUEST, 'ACCOUNT_PURGED', {
+          actorId: null,
+          targetType: 'USER',
+          targetId: dueUser.id,
+          metadata: { role: dueUser.role, deletionRequestedAt: dueUser.deletionRequestedAt }
+        });
+      }
+    } catch (error) {
+      console.error(`Purge account error (${dueUser.id}):`, error);
+    }
+  }
+
+  return purged;
+};
+
+/**
+ * Jalankan purge berkala (setiap ACCOUNT_PURGE_INTERVAL_MINUTES, default 60 menit)
+ * Aman dijalankan di beberapa instance: user yang sudah dihapus instance lain dilewati
+ */
+export const startAccountPurgeJob = () => {
+  if (purgeTimer) {
+    return;
+  }
+
+  const run = async () => {
+    try {
+      const purged = await purgeDueAccounts();
+
+      if (purged) {
+        console.log(`Purged ${purged} deleted account(s)`);
+      }
+    } catch (error) {
+      console.error('Account purge error:', error);
+    }
+  };
+
+  purgeTimer = setInterval(run, purgeIntervalMs());
+  purgeTimer.unref();
+  run();
+};
+
+export default {
+  deletionGraceDays,
+  purgeUser,
+  purgeDueAccounts,
+  startAccountPurgeJob
+};
@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import { hashToken } from './authTokens.js';
+import { hasPermission } from './permissions.js';
+
+/**
+ * Personal API Keys
+ * Untuk integrasi (misal sync ATS) tanpa login pakai password
+ * Format key: btb_<random>, yang disimpan di database hanya hash SHA-256 dan prefix untuk ditampilkan
+ */
+
+export const API_KEY_PREFIX = 'btb_';
+
+/**
+ * Scope yang tersedia dan permission yang harus dimiliki role untuk membuat key dengan scope tersebut
+ * (lihat utils/permissions.js)
+ */
+export const API_KEY_SCOPES = {
+  'jobs:read': [],
+  'jobs:write': ['job:create', 'job:update', 'job:delete'],
+  'applications:read': ['application:view'],
+  'applications:write': ['application:update']
+};
+
+// lastUsedAt cukup di-update sekali per menit, supaya tidak write ke database setiap request
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+/**
+ * Scope yang boleh dipakai user dengan role tertentu
+ * @param {String} role - Role user
+ * @returns {Array<String>}
+ */
+export const getScopesForRole = (role) => {
+  return Object.keys(API_KEY_SCOPES).filter(scope => {
+    return API_KEY_SCOPES[scope].every(permission => hasPermission(role, permission));
+  });
+};
+
+/**
+ * Generate API key baru
+ * @returns {Object} - { key, prefix, keyHash } key hanya ditampilkan sekali ke user
+ */
+export const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  return {
+    key,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    keyHash: hashToken(key)
+  };
+};
+
+/**
+ * Ambil API key dari request: header X-API-Key, atau Authorization: Bearer btb_...
+ * @param {Object} req - Express request
+ * @returns {String|null}
+ */
+export const getApiKeyFromRequest = (req) => {
+  const headerKey = req.headers['x-api-key'];
+
+  if (headerKey) {
+    return String(headerKey);
+  }
+
+  const bearer = req.headers.authorization?.split(' ')[1];
+  return bearer?.startsWith(API_KEY_PREFIX) ? bearer : null;
+};
+
+/**
+ * Cari API key yang masih berlaku beserta pemiliknya
+ * @param {String} key - API key dari request
+ * @returns {Object|null} - API key (include user), null kalau invalid / revoked / expired
+ */
+export const findActiveApiKey = async (key) => {
+  if (!key?.startsWith(API_KEY_PREFIX)) {
+    return null;
+  }
+
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashToken(key) },
+    include: {
+      user: {
+        select: {
+          id: true,
+          email: true,
+          username: true,
+          name: true,
+          role: true,
+          isActive: true,
+          emailVerified: true,
+          organizationId: true,
+        }
+      }
+    }
+  });
+
+  if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= new Date()) || !apiKey.user.isActive) {
+    return null;
+  }
+
+  return apiKey;
+};
+
+/**
+ * Catat pemakaian API key (last-used timestamp & IP)
+ * @param {Object} apiKey - API key dari findActiveApiKey()
+ * @param {String} ipAddress - IP client
+ */
+export const recordApiKeyUsage = async (apiKey, ipAddress) => {
+  const now = new Date();
+
+  if (apiKey.lastUsedAt && now - apiKey.lastUsedAt < LAST_USED_THROTTLE_MS) {
+    return;
+  }
+
+  try {
+    await prisma.apiKey.update({
+      where: { id: apiKey.id },
+      data: { lastUsedAt: now, lastUsedIp: ipAddress }
+    });
+  } catch (error) {
+    console.error('Record API key usage error:', error);
+  }
+};
+
+export default {
+  API_KEY_SCOPES,
+  getScopesForRole,
+  generateApiKey,
+  getApiKeyFromRequest,
+  findActiveApiKey,
+  recordApiKeyUsage
+};
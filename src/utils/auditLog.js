@@ -0,0 +1,111 @@
+import prisma from '../config/database.js';
+import { getRequestMetadata } from './device.js';
+
+/**
+ * Security Audit Log
+ * Mencatat event autentikasi dan perubahan akun: siapa (actor), melakukan apa (action),
+ * ke siapa / apa (target), dari mana (IP & user agent), plus metadata (misal diff perubahan)
+ * Tidak pakai foreign key ke users supaya log tetap ada walaupun user dihapus
+ */
+
+export const AUDIT_ACTIONS = [
+  'REGISTER',
+  'LOGIN',
+  'LOGIN_FAILED',
+  'LOGOUT',
+  'REFRESH_TOKEN_REUSE',
+  'SESSION_REVOKED',
+  'EMAIL_VERIFIED',
+  'PASSWORD_RESET_REQUESTED',
+  'PASSWORD_RESET',
+  'PASSWORD_CHANGED',
+  'TWO_FACTOR_ENABLED',
+  'TWO_FACTOR_DISABLED',
+  'TWO_FACTOR_FAILED',
+  'RECOVERY_CODES_REGENERATED',
+  'TWO_FACTOR_POLICY_UPDATED',
+  'ACCOUNT_LINKED',
+  'ACCOUNT_UNLINKED',
+  'ACCOUNT_MERGED',
+  'API_KEY_CREATED',
+  'API_KEY_REVOKED',
+  'USER_UPDATED',
+  'USER_ROLE_CHANGED',
+  'USER_DELETED',
+  'USER_UNLOCKED',
+  'IMPERSONATION_STARTED',
+  'IMPERSONATION_ENDED',
+  'RECRUITER_REQUEST_SUBMITTED',
+  'RECRUITER_REQUEST_APPROVED',
+  'RECRUITER_REQUEST_REJECTED',
+  'ORGANIZATION_CREATED',
+  'ORGANIZATION_INVITATION_SENT',
+  'ORGANIZATION_INVITATION_RESENT',
+  'ORGANIZATION_INVITATION_REVOKED',
+  'ORGANIZATION_INVITATION_ACCEPTED',
+  'DATA_EXPORTED',
+  'ACCOUNT_DELETION_REQUESTED',
+  'ACCOUNT_DELETION_CANCELLED',
+  'ACCOUNT_PURGED',
+  'ACCOUNT_PURGE_SKIPPED'
+];
+
+/**
+ * Catat audit log
+ * Gagal menulis log tidak boleh menggagalkan request (cukup di-log ke console)
+ * @param {Object} req - Express request (actor, impersonator, IP & user agent)
+ * @param {String} action - Salah satu AUDIT_ACTIONS
+ * @param {Object} details - { actorId, targetType, targetId, metadata }
+ *                           actorId default req.user.id (null untuk request anonim, misal login gagal)
+ */
+export const recordAuditLog = async (req, action, { actorId, targetType = null, targetId = null, metadata = null } = {}) => {
+  try {
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+
+    await prisma.auditLog.create({
+      data: {
+        action,
+        actorId: actorId !== undefined ? actorId : (req.user?.id || null),
+        impersonatorId: req.impersonator?.id || null,
+        targetType,
+        targetId,
+        ipAddress,
+        userAgent,
+        metadata: metadata || undefined
+      }
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error);
+  }
+};
+
+/**
+ * Diff field yang berubah, untuk metadata audit log
+ * @param {Object} before - Data sebelum update
+ * @param {Object} after - Data yang di-update
+ * @returns {Object} - { field: { from, to } }, hanya field yang berubah
+ */
+export const diffChanges = (before, after) => {
+  const changes = {};
+
+  Object.keys(after).forEach(field => {
+    if (after[field] === undefined) {
+      return;
+    }
+
+    const from = before?.[field] ?? null;
+    const to = after[field] ?? null;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  });
+
+  return changes;
+};
+
+export default {
+  AUDIT_ACTIONS,
+  recordAuditLog,
+  diffChanges
+};
@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import prisma from '../config/database.js';
+import { generateAccessToken, generateRefreshToken } from './jwt.js';
+import { getRequestMetadata } from './device.js';
+import { revokeSessionAccessTokens } from './tokenRevocation.js';
+import { withAvatarRenditions } from './avatars.js';
+
+/**
+ * Hash refresh token sebelum disimpan ke database
+ * @param {String} token - Refresh token
+ * @returns {String} - SHA-256 hash
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Generate pasangan token untuk session dan set cookies
+ */
+const signTokens = (res, userId, sessionId, tokenVersion = 0) => {
+  const accessToken = generateAccessToken({ userId, sid: sessionId, ver: tokenVersion });
+  const refreshToken = generateRefreshToken({ userId, sid: sessionId });
+
+  // Set cookies
+  res.cookie('accessToken', accessToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: 15 * 60 * 1000, // 15 minutes
+  });
+
+  res.cookie('refreshToken', refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+  });
+
+  return {
+    accessToken,
+    refreshToken,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(jwt.decode(refreshToken).exp * 1000),
+  };
+};
+
+/**
+ * Buat session baru (login dari device baru), lalu generate token dan set cookies
+ * @param {Object} req - Express request (untuk metadata device & IP)
+ * @param {Object} res - Express response
+ * @param {Object} user - User yang login
+ * @param {String} loginMethod - Cara login (PASSWORD, MAGIC_LINK, OAUTH), disimpan di session untuk audit
+ * @returns {Object} - { accessToken, refreshToken, sessionId }
+ */
+export const issueAuthTokens = async (req, res, user, loginMethod = 'PASSWORD') => {
+  const sessionId = crypto.randomUUID();
+  const { accessToken, refreshToken, refreshTokenHash, expiresAt } = signTokens(res, user.id, sessionId, user.tokenVersion);
+
+  await prisma.session.create({
+    data: {
+      id: sessionId,
+      userId: user.id,
+      refreshTokenHash,
+      expiresAt,
+      loginMethod,
+      ...getRequestMetadata(req),
+    }
+  });
+
+  return { accessToken, refreshToken, sessionId };
+};
+
+/**
+ * Rotasi refresh token dalam session yang sama
+ * Hanya berhasil kalau refresh token lama masih yang terbaru di session ini
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} session - Session dari database (include user)
+ * @param {String} previousTokenHash - Hash refresh token yang dipakai
+ * @returns {Object|null} - Token baru, atau null kalau token lama sudah dirotasi duluan
+ */
+export const rotateAuthTokens = async (req, res, session, previousTokenHash) => {
+  const { accessToken, refreshToken, refreshTokenHash, expiresAt } = signTokens(res, session.userId, session.id, session.user?.tokenVersion);
+  const { ipAddress, userAgent, deviceName } = getRequestMetadata(req);
+
+  // Conditional update: cegah dua request memakai refresh token yang sama
+  const { count } = await prisma.session.updateMany({
+    where: {
+      id: session.id,
+      refreshTokenHash: previousTokenHash,
+      revokedAt: null
+    },
+    data: {
+      refreshTokenHash,
+      expiresAt,
+      ipAddress,
+      userAgent,
+      deviceName,
+      lastUsedAt: new Date()
+    }
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  return { accessToken, refreshToken, sessionId: session.id };
+};
+
+/**
+ * Revoke satu session (seluruh rotation family)
+ * @param {String} sessionId - Session ID
+ * @param {String} reason - Alasan revoke
+ */
+export const revokeSession = async (sessionId, reason) => {
+  await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  // Access token dari session ini juga langsung tidak berlaku
+  await revokeSessionAccessTokens(sessionId);
+};
+
+/**
+ * Revoke semua session user (logout dari semua device)
+ * @param {String} userId - User ID
+ * @param {String} reason - Alasan revoke
+ */
+export const revokeAllSessions = async (userId, reason) => {
+  const sessions = await prisma.session.findMany({
+    where: { userId, revokedAt: null },
+    select: { id: true }
+  });
+
+  await prisma.session.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  await Promise.all(sessions.map(session => revokeSessionAccessTokens(session.id)));
+};
+
+/**
+ * Buang field rahasia dari user sebelum dikirim ke client
+ * @param {Object} user - User dari database
+ * @returns {Object} - User tanpa password dan token internal, plus URL semua ukuran avatar
+ */
+export const toPublicUser = (user) => {
+  const {
+    password,
+    resetToken,
+    resetTokenExpiry,
+    verificationToken,
+    verificationTokenExpiry,
+    magicLinkToken,
+    magicLinkTokenExpiry,
+    twoFactorSecret,
+    twoFactorRecoveryCodes,
+    twoFactorLastUsedStep,
+    twoFactorChallengeId,
+    tokenVersion,
+    ...publicUser
+  } = user;
+
+  return withAvatarRenditions(publicUser);
+};
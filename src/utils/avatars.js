@@ -0,0 +1,182 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { getStorage, getPublicUrl, getKeyFromUrl } from '../config/storage.js';
+
+/**
+ * Avatar Images
+ * Setiap upload diproses server: tipe dicek dari magic bytes, orientasi EXIF diterapkan lalu semua metadata
+ * (EXIF, GPS, ICC) dibuang, gambar di-crop persegi dari tengah dan disimpan dalam beberapa ukuran WebP:
+ * avatars/<userId>/<avatarId>/<size>.webp
+ *
+ * User.avatar berisi URL ukuran terbesar, URL ukuran lain diturunkan dari path-nya (getAvatarRenditions)
+ */
+
+export const AVATAR_SIZES = {
+  small: 64,
+  medium: 128,
+  large: 512
+};
+
+export const AVATAR_MAX_SIZE_MB = 5;
+
+// Tolak gambar raksasa (decompression bomb) sebelum di-decode
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+const RENDITION_PATTERN = /^(avatars\/[^/]+\/[^/]+)\/\d+\.webp$/;
+
+/**
+ * Deteksi tipe gambar dari isi file
+ * @param {Buffer} buffer - Isi file
+ * @returns {String|null} - jpeg, png, gif, webp atau null
+ */
+export const detectImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+
+  const header = buffer.toString('latin1', 0, 12);
+
+  if (header.startsWith('GIF87a') || header.startsWith('GIF89a')) {
+    return 'gif';
+  }
+
+  if (header.startsWith('RIFF') && header.slice(8) === 'WEBP') {
+    return 'webp';
+  }
+
+  return null;
+};
+
+/**
+ * Buat semua ukuran avatar (persegi, WebP, tanpa metadata)
+ * GIF animasi hanya diambil frame pertama
+ * @param {Buffer} buffer - File gambar yang sudah dicek detectImageType()
+ * @returns {Object} - { small: Buffer, medium: Buffer, large: Buffer }
+ * @throws Kalau gambar rusak / tidak bisa di-decode
+ */
+export const renderAvatar = async (buffer) => {
+  // rotate() tanpa argumen memutar sesuai EXIF orientation, output sharp tidak membawa metadata
+  const image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, failOn: 'error' }).rotate();
+
+  const renditions = await Promise.all(Object.entries(AVATAR_SIZES).map(async ([name, size]) => [
+    name,
+    await image
+      .clone()
+      .resize(size, size, { fit: 'cover', position: 'centre' })
+      .webp({ quality: 82 })
+      .toBuffer()
+  ]));
+
+  return Object.fromEntries(renditions);
+};
+
+/**
+ * Simpan semua ukuran avatar ke storage
+ * @param {String} userId - Pemilik avatar
+ * @param {Object} renditions - Hasil renderAvatar()
+ * @returns {String} - URL avatar (ukuran terbesar) untuk disimpan di User.avatar
+ */
+export const storeAvatar = async (userId, renditions) => {
+  const baseKey = `avatars/${userId}/${crypto.randomUUID()}`;
+
+  await Promise.all(Object.entries(AVATAR_SIZES).map(([name, size]) =>
+    getStorage().put(`${baseKey}/${size}.webp`, renditions[name], { contentType: 'image/webp' })
+  ));
+
+  return getPublicUrl(`${baseKey}/${AVATAR_SIZES.large}.webp`);
+};
+
+/**
+ * URL semua ukuran avatar
+ * Avatar lama (sebelum ada rendition) atau dari social login memakai URL yang sama untuk semua ukuran
+ * @param {String|null} avatarUrl - User.avatar
+ * @returns {Object|null} - { small, medium, large }
+ */
+export const getAvatarRenditions = (avatarUrl) => {
+  if (!avatarUrl) {
+    return null;
+  }
+
+  const baseKey = RENDITION_PATTERN.exec(getKeyFromUrl(avatarUrl) || '')?.[1];
+
+  return Object.fromEntries(Object.entries(AVATAR_SIZES).map(([name, size]) => [
+    name,
+    baseKey ? getPublicUrl(`${baseKey}/${size}.webp`) : avatarUrl
+  ]));
+};
+
+/**
+ * Tambahkan avatarRenditions ke user untuk response profil
+ */
+export const withAvatarRenditions = (user) => user && ({
+  ...user,
+  avatarRenditions: getAvatarRenditions(user.avatar)
+});
+
+/**
+ * Path file avatar lama yang di-upload sebelum ada storage driver (/uploads/avatars/...)
+ * Hanya untuk User.avatar (ditulis server saat upload), bukan URL lain yang diisi client
+ * @param {String|null} avatarUrl - User.avatar
+ * @returns {String|null} - Null untuk URL lain atau path di luar folder uploads/avatars
+ */
+export const getLegacyAvatarPath = (avatarUrl) => {
+  if (!avatarUrl?.startsWith('/uploads/avatars/')) {
+    return null;
+  }
+
+  const avatarsRoot = path.resolve('uploads/avatars');
+  const filePath = path.resolve(avatarUrl.slice(1));
+
+  return filePath.startsWith(avatarsRoot + path.sep) ? filePath : null;
+};
+
+/**
+ * Hapus file avatar (semua ukuran), dipakai saat avatar diganti dan akun dihapus
+ * URL eksternal diabaikan, gagal hapus hanya di-log
+ * @param {String|null} avatarUrl - User.avatar
+ */
+export const deleteAvatarFiles = async (avatarUrl) => {
+  const key = getKeyFromUrl(avatarUrl);
+
+  try {
+    if (key) {
+      const baseKey = RENDITION_PATTERN.exec(key)?.[1];
+      const keys = baseKey ? Object.values(AVATAR_SIZES).map(size => `${baseKey}/${size}.webp`) : [key];
+
+      await Promise.all(keys.map(fileKey => getStorage().delete(fileKey)));
+      return;
+    }
+
+    const legacyPath = getLegacyAvatarPath(avatarUrl);
+
+    if (legacyPath) {
+      await fs.promises.unlink(legacyPath);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Delete avatar error (${avatarUrl}):`, error);
+    }
+  }
+};
+
+export default {
+  AVATAR_SIZES,
+  AVATAR_MAX_SIZE_MB,
+  detectImageType,
+  renderAvatar,
+  storeAvatar,
+  getAvatarRenditions,
+  withAvatarRenditions,
+  getLegacyAvatarPath,
+  deleteAvatarFiles
+};
@@ -0,0 +1,124 @@
+import crypto from 'crypto';
+
+/**
+ * CSRF Token (double-submit cookie)
+ * Token dikirim ke client lewat cookie csrfToken dan body response GET /api/auth/csrf-token,
+ * lalu harus dikirim balik di header X-CSRF-Token untuk request yang memakai cookie auth.
+ * Situs lain tidak bisa membaca cookie maupun response kita, jadi tidak bisa mengisi header yang cocok
+ *
+ * Format token: <random>.<hmac>, signature memastikan hanya token buatan server yang diterima
+ */
+
+export const CSRF_COOKIE_NAME = 'csrfToken';
+export const CSRF_HEADER_NAME = 'X-CSRF-Token';
+
+const CSRF_COOKIE_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days, sama dengan refresh token
+
+let fallbackSecret = null;
+
+/**
+ * Secret untuk sign token: CSRF_SECRET, fallback ke JWT_SECRET
+ * Kalau dua-duanya kosong (misal RS256 tanpa JWT_SECRET), pakai secret random per proses
+ */
+const csrfSecret = () => {
+  const secret = process.env.CSRF_SECRET || process.env.JWT_SECRET;
+
+  if (secret) {
+    return secret;
+  }
+
+  if (!fallbackSecret) {
+    console.warn('CSRF_SECRET is not set, using a per-process secret (tokens will not work across instances or restarts)');
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+  }
+
+  return fallbackSecret;
+};
+
+const sign = (value) => crypto.createHmac('sha256', csrfSecret()).update(value).digest('base64url');
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Generate CSRF token baru
+ * @returns {String}
+ */
+export const generateCsrfToken = () => {
+  const value = crypto.randomBytes(32).toString('base64url');
+  return `${value}.${sign(value)}`;
+};
+
+/**
+ * Cek signature token
+ * @param {String} token - CSRF token
+ * @returns {Boolean}
+ */
+export const isValidCsrfToken = (token) => {
+  if (typeof token !== 'string') {
+    return false;
+  }
+
+  const [value, signature, ...rest] = token.split('.');
+
+  if (!value || !signature || rest.length) {
+    return false;
+  }
+
+  return safeEqual(signature, sign(value));
+};
+
+/**
+ * Cek double-submit: header X-CSRF-Token harus sama dengan cookie csrfToken dan signature-nya valid
+ * @param {Object} req - Express request
+ * @returns {Boolean}
+ */
+export const verifyCsrfRequest = (req) => {
+  const cookieToken = req.cookies?.[CSRF_COOKIE_NAME];
+  const headerToken = req.get(CSRF_HEADER_NAME);
+
+  if (!cookieToken || !headerToken) {
+    return false;
+  }
+
+  return safeEqual(String(headerToken), String(cookieToken)) && isValidCsrfToken(cookieToken);
+};
+
+/**
+ * Ambil CSRF token dari cookie kalau masih valid, kalau tidak buat baru dan set cookie
+ * Token yang sama dipakai ulang supaya beberapa tab tidak saling menimpa
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {String}
+ */
+export const issueCsrfToken = (req, res) => {
+  const existing = req.cookies?.[CSRF_COOKIE_NAME];
+
+  if (isValidCsrfToken(existing)) {
+    return existing;
+  }
+
+  const token = generateCsrfToken();
+
+  // Bukan httpOnly: frontend di domain yang sama boleh membaca token langsung dari cookie
+  res.cookie(CSRF_COOKIE_NAME, token, {
+    httpOnly: false,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: CSRF_COOKIE_MAX_AGE,
+  });
+
+  return token;
+};
+
+export default {
+  CSRF_COOKIE_NAME,
+  CSRF_HEADER_NAME,
+  generateCsrfToken,
+  isValidCsrfToken,
+  verifyCsrfRequest,
+  issueCsrfToken
+};
@@ -0,0 +1,221 @@
+import fs from 'fs';
+import path from 'path';
+import prisma from '../config/database.js';
+import { getLegacyAvatarPath } from './avatars.js';
+import { withLegacyNoteFields } from './profileRecords.js';
+import { readResumeFile } from './resumes.js';
+import { getStorage, getKeyFromUrl, isUserKey } from '../config/storage.js';
+
+/**
+ * Personal Data Export
+ * Kumpulkan semua data pribadi user (GET /users/me/export)
+ * Secret tidak pernah ikut di-export: password hash, token, secret 2FA, hash API key / refresh token
+ */
+
+const LOGIN_HISTORY_LIMIT = 1000;
+
+/**
+ * Kumpulkan data user
+ * @param {String} userId - User ID
+ * @returns {Object|null} - Data export, null kalau user tidak ditemukan
+ */
+export const buildUserDataExport = async (userId) => {
+  const profile = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      email: true,
+      username: true,
+      name: true,
+      avatar: true,
+      role: true,
+      isActive: true,
+      emailVerified: true,
+      emailVerifiedAt: true,
+      bio: true,
+      location: true,
+      phone: true,
+      links: true,
+      skills: true,
+      experienceNote: true,
+      educationNote: true,
+      resume: true,
+      twoFactorEnabled: true,
+      organization: {
+        select: { id: true, name: true }
+      },
+      deletionRequestedAt: true,
+      deletionScheduledAt: true,
+      createdAt: true,
+      updatedAt: true
+    }
+  });
+
+  if (!profile) {
+    return null;
+  }
+
+  const [experiences, educations, resumes, applications, jobs, loginHistory, sessions, linkedAccounts, apiKeys, recruiterRequests] = await Promise.all([
+    prisma.experience.findMany({
+      where: { userId },
+      orderBy: { startDate: 'desc' }
+    }),
+    prisma.education.findMany({
+      where: { userId },
+      orderBy: { startDate: 'desc' }
+    }),
+    prisma.resume.findMany({
+      where: { userId },
+      select: { id: true, version: true, fileName: true, mimeType: true, size: true, storageKey: true, createdAt: true },
+      orderBy: { version: 'desc' }
+    }),
+    prisma.jobApplication.findMany({
+      where: { applicantId: userId },
+      select: {
+        id: true,
+        coverLetter: true,
+        resume: true,
+        resumeId: true,
+        status: true,
+        appliedAt: true,
+        updatedAt: true,
+        job: {
+          select: { id: true, title: true, company: true, location: true }
+        }
+      },
+      orderBy: { appliedAt: 'desc' }
+    }),
+    prisma.job.findMany({
+      where: { ownerId: userId },
+      select: {
+        id: true,
+        title: true,
+        company: true,
+        status: true,
+        createdAt: true,
+        _count: { select: { applications: true } }
+      },
+      orderBy: { createdAt: 'desc' }
+    }),
+    prisma.loginEvent.findMany({
+      where: { userId },
+      select: {
+        success: true,
+        loginMethod: true,
+        failureReason: true,
+        ipAddress: true,
+        userAgent: true,
+        deviceName: true,
+        newDevice: true,
+        createdAt: true
+      },
+      take: LOGIN_HISTORY_LIMIT,
+      orderBy: { createdAt: 'desc' }
+    }),
+    prisma.session.findMany({
+      where: { userId },
+      select: {
+        deviceName: true,
+        ipAddress: true,
+        loginMethod: true,
+        createdAt: true,
+        lastUsedAt: true,
+        revokedAt: true
+      },
+      orderBy: { createdAt: 'desc' }
+    }),
+    prisma.account.findMany({
+      where: { userId },
+      select: { provider: true, email: true, createdAt: true }
+    }),
+    prisma.apiKey.findMany({
+      where: { userId },
+      select: { name: true, prefix: true, scopes: true, lastUsedAt: true, expiresAt: true, revokedAt: true, createdAt: true }
+    }),
+    prisma.recruiterRequest.findMany({
+      where: { userId },
+      select: { companyName: true, companyWebsite: true, jobTitle: true, message: true, status: true, reviewNote: true, createdAt: true }
+    })
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: withLegacyNoteFields(profile),
+    experiences,
+    educations,
+    resumes: resumes.map(({ storageKey, ...resume }) => resume),
+    applications,
+    jobs,
+    loginHistory,
+    sessions,
+    linkedAccounts,
+    apiKeys,
+    recruiterRequests
+  };
+};
+
+/**
+ * File milik user (avatar, resume profil & resume di lamaran, resume yang di-upload) untuk dimasukkan ke ZIP
+ * @param {Object} data - Hasil buildUserDataExport()
+ * @returns {Array<Object>} - [{ name, data }] file yang sudah tidak ada dilewati
+ */
+export const collectUploadedFiles = async (data) => {
+  const urls = [
+    data.profile.avatar,
+    data.profile.resume,
+    ...data.applications.map(application => application.resume)
+  ];
+
+  const files = [];
+
+  const storageKeys = urls.map(getKeyFromUrl).filter(key => key && isUserKey(key, data.profile.id));
+
+  for (const key of new Set(storageKeys)) {
+    const content = await getStorage().get(key);
+
+    if (content) {
+      files.push({ name: `files/${key}`, data: content });
+    }
+  }
+
+  // Avatar lama (sebelum ada storage driver) masih di folder uploads; URL resume yang diisi client
+  // tidak pernah dibaca dari disk supaya tidak bisa menunjuk file user lain
+  const legacyAvatarPath = getLegacyAvatarPath(data.profile.avatar);
+
+  if (legacyAvatarPath) {
+    try {
+      files.push({
+        name: `files/avatars/${path.basename(legacyAvatarPath)}`,
+        data: await fs.promises.readFile(legacyAvatarPath)
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  // Resume yang di-upload (versi resume, bukan URL di profil)
+  const resumes = await prisma.resume.findMany({
+    where: { id: { in: data.resumes.map(resume => resume.id) } },
+    select: { version: true, fileName: true, storageKey: true }
+  });
+
+  for (const resume of resumes) {
+    const content = await readResumeFile(resume.storageKey);
+
+    if (content) {
+      files.push({
+        name: `files/resumes/v${resume.version}-${path.basename(resume.fileName).replace(/[\\/:*?"<>|]/g, '_')}`,
+        data: content
+      });
+    }
+  }
+
+  return files;
+};
+
+export default {
+  buildUserDataExport,
+  collectUploadedFiles
+};
@@ -0,0 +1,68 @@
+/**
+ * Device helpers
+ * Parsing user agent secara kasar, cukup untuk ditampilkan ke user
+ */
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Safari', /Safari\//],
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/],
+];
+
+/**
+ * Ambil nama browser & OS dari user agent
+ * @param {String} userAgent - Header User-Agent
+ * @returns {Object} - { browser, os, deviceType }
+ */
+export const parseUserAgent = (userAgent = '') => {
+  const ua = userAgent || '';
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(ua))?.[0] || 'Unknown browser';
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(ua))?.[0] || 'Unknown OS';
+
+  let deviceType = 'desktop';
+  if (/iPad|Tablet/.test(ua)) {
+    deviceType = 'tablet';
+  } else if (/Mobi|iPhone|Android/.test(ua)) {
+    deviceType = 'mobile';
+  } else if (!ua) {
+    deviceType = 'unknown';
+  }
+
+  return { browser, os, deviceType };
+};
+
+/**
+ * Nama device yang mudah dibaca, contoh: "Chrome on Windows"
+ * @param {String} userAgent - Header User-Agent
+ * @returns {String}
+ */
+export const describeDevice = (userAgent) => {
+  const { browser, os } = parseUserAgent(userAgent);
+  return `${browser} on ${os}`;
+};
+
+/**
+ * Ambil metadata request untuk session / log
+ * @param {Object} req - Express request
+ * @returns {Object} - { userAgent, ipAddress, deviceName }
+ */
+export const getRequestMetadata = (req) => {
+  const userAgent = req.headers['user-agent'] || null;
+
+  return {
+    userAgent,
+    ipAddress: req.ip || null,
+    deviceName: describeDevice(userAgent),
+  };
+};
@@ -0,0 +1,252 @@
+/**
+ * Email Templates
+ * Setiap template return { subject, html, text }
+ */
+
+const escapeHtml = (value = '') => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Layout HTML dasar untuk semua email
+ */
+const layout = (title, bodyHtml) => {
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; color: #333; background: #f6f6f6; padding: 24px;">
+    <div style="max-width: 560px; margin: 0 auto; background: #fff; padding: 24px; border-radius: 8px;">
+      <h2 style="color: #2e7d2e; margin-top: 0;">${escapeHtml(title)}</h2>
+      ${bodyHtml}
+      <p style="font-size: 12px; color: #999; margin-top: 32px;">BETalentBoard</p>
+    </div>
+  </body>
+</html>`;
+};
+
+const button = (url, label) => {
+  return `<p><a href="${escapeHtml(url)}" style="display: inline-block; background: #2e7d2e; color: #fff; padding: 10px 18px; border-radius: 4px; text-decoration: none;">${escapeHtml(label)}</a></p>`;
+};
+
+/**
+ * Email reset password
+ * @param {Object} data - { name, resetUrl, expiresIn }
+ */
+const passwordReset = ({ name, resetUrl, expiresIn = '1 hour' }) => {
+  const greeting = `Hi ${name || 'there'},`;
+
+  return {
+    subject: 'Reset your BETalentBoard password',
+    html: layout('Reset your password', `
+      <p>${escapeHtml(greeting)}</p>
+      <p>We received a request to reset your password. Click the button below to choose a new one.</p>
+      ${button(resetUrl, 'Reset password')}
+      <p>This link expires in ${escapeHtml(expiresIn)}. If you did not request a password reset, you can ignore this email.</p>
+    `),
+    text: [
+      greeting,
+      '',
+      'We received a request to reset your password. Open the link below to choose a new one:',
+      resetUrl,
+      '',
+      `This link expires in ${expiresIn}. If you did not request a password reset, you can ignore this email.`
+    ].join('\n')
+  };
+};
+
+/**
+ * Email verifikasi alamat email
+ * @param {Object} data - { name, verifyUrl, expiresIn }
+ */
+const emailVerification = ({ name, verifyUrl, expiresIn = '24 hours' }) => {
+  const greeting = `Hi ${name || 'there'},`;
+
+  return {
+    subject: 'Verify your BETalentBoard email',
+    html: layout('Verify your email', `
+      <p>${escapeHtml(greeting)}</p>
+      <p>Thanks for signing up. Please confirm your email address to activate your account.</p>
+      ${button(verifyUrl, 'Verify email')}
+      <p>This link expires in ${escapeHtml(expiresIn)}.</p>
+    `),
+    text: [
+      greeting,
+      '',
+      'Thanks for signing up. Please confirm your email address to activate your account:',
+      verifyUrl,
+      '',
+      `This link expires in ${expiresIn}.`
+    ].join('\n')
+  };
+};
+
+/**
+ * Email magic link (login tanpa password)
+ * @param {Object} data - { name, loginUrl, expiresIn }
+ */
+const magicLink = ({ name, loginUrl, expiresIn = '15 minutes' }) => {
+  const greeting = `Hi ${name || 'there'},`;
+
+  return {
+    subject: 'Your BETalentBoard login link',
+    html: layout('Log in to BETalentBoard', `
+      <p>${escapeHtml(greeting)}</p>
+      <p>Click the button below to log in. No password needed.</p>
+      ${button(loginUrl, 'Log in')}
+      <p>This link expires in ${escapeHtml(expiresIn)} and can only be used once. If you did not request it, you can ignore this email.</p>
+    `),
+    text: [
+      greeting,
+      '',
+      'Open the link below to log in. No password needed:',
+      loginUrl,
+      '',
+      `This link expires in ${expiresIn} and can only be used once. If you did not request it, you can ignore this email.`
+    ].join('\n')
+  };
+};
+
+/**
+ * Email perubahan status lamaran
+ * @param {Object} data - { name, jobTitle, company, status, applicationsUrl }
+ */
+const applicationStatusChanged = ({ name, jobTitle, company, status, applicationsUrl }) => {
+  const greeting = `Hi ${name || 'there'},`;
+  const statusLabel = status.toLowerCase();
+  const position = company ? `${jobTitle} at ${company}` : jobTitle;
+
+  return {
+    subject: `Your application for ${jobTitle} has been ${statusLabel}`,
+    html: layout('Application status update', `
+      <p>${escapeHtml(greeting)}</p>
+      <p>Your application for <strong>${escapeHtml(position)}</strong> has been <strong>${escapeHtml(statusLabel)}</strong>.</p>
+      ${button(applicationsUrl, 'View my applications')}
+    `),
+    text: [
+      greeting,
+      '',
+      `Your application for ${position} has been ${statusLabel}.`,
+      '',
+      `View your applications: ${applicationsUrl}`
+    ].join('\n')
+  };
+};
+
+/**
+ * Email hasil review permintaan akses recruiter
+ * @param {Object} data - { name, companyName, approved, reviewNote, dashboardUrl }
+ */
+const recruiterRequestReviewed = ({ name, companyName, approved, reviewNote, dashboardUrl }) => {
+  const greeting = `Hi ${name || 'there'},`;
+  const result = approved
+    ? `Your request for recruiter access for ${companyName} has been approved. You can now post jobs and review applicants.`
+    : `Your request for recruiter access for ${companyName} has been rejected.`;
+
+  return {
+    subject: approved ? 'Your recruiter access has been approved' : 'Your recruiter access request was not approved',
+    html: layout('Recruiter access request', `
+      <p>${escapeHtml(greeting)}</p>
+      <p>${escapeHtml(result)}</p>
+      ${reviewNote ? `<p><strong>Note from our team:</strong> ${escapeHtml(reviewNote)}</p>` : ''}
+      ${button(dashboardUrl, approved ? 'Post a job' : 'Go to BETalentBoard')}
+    `),
+    text: [
+      greeting,
+      '',
+      result,
+      ...(reviewNote ? ['', `Note from our team: ${reviewNote}`] : []),
+      '',
+      dashboardUrl
+    ].join('\n')
+  };
+};
+
+/**
+ * Email undangan bergabung ke organization
+ * @param {Object} data - { inviterName, organizationName, acceptUrl, expiresIn }
+ */
+const organizationInvitation = ({ inviterName, organizationName, acceptUrl, expiresIn = '7 days' }) => {
+  const invitation = `${inviterName || 'A colleague'} invited you to join ${organizationName} on BETalentBoard as a recruiter.`;
+
+  return {
+    subject: `Join ${organizationName} on BETalentBoard`,
+    html: layout('You have been invited', `
+      <p>Hi there,</p>
+      <p>${escapeHtml(invitation)}</p>
+      ${button(acceptUrl, 'Accept invitation')}
+      <p>Sign in (or create an account) with this email address to accept. This invitation expires in ${escapeHtml(expiresIn)}.</p>
+    `),
+    text: [
+      'Hi there,',
+      '',
+      invitation,
+      '',
+      `Accept the invitation: ${acceptUrl}`,
+      '',
+      `Sign in (or create an account) with this email address to accept. This invitation expires in ${expiresIn}.`
+    ].join('\n')
+  };
+};
+
+/**
+ * Email konfirmasi penghapusan akun (masih bisa dibatalkan selama grace period)
+ * @param {Object} data - { name, deletionDate, loginUrl }
+ */
+const accountDeletionScheduled = ({ name, deletionDate, loginUrl }) => {
+  const greeting = `Hi ${name || 'there'},`;
+
+  return {
+    subject: 'Your BETalentBoard account is scheduled for deletion',
+    html: layout('Account deletion scheduled', `
+      <p>${escapeHtml(greeting)}</p>
+      <p>We received your request to delete your account. Your account and personal data will be permanently deleted on <strong>${escapeHtml(deletionDate)}</strong>.</p>
+      <p>Changed your mind? Sign in before that date and cancel the deletion from your account settings.</p>
+      ${button(loginUrl, 'Sign in')}
+      <p>If you did not request this, sign in and cancel the deletion, then change your password.</p>
+    `),
+    text: [
+      greeting,
+      '',
+      `We received your request to delete your account. Your account and personal data will be permanently deleted on ${deletionDate}.`,
+      '',
+      `Changed your mind? Sign in before that date and cancel the deletion from your account settings: ${loginUrl}`,
+      '',
+      'If you did not request this, sign in and cancel the deletion, then change your password.'
+    ].join('\n')
+  };
+};
+
+export const templates = {
+  passwordReset,
+  emailVerification,
+  magicLink,
+  applicationStatusChanged,
+  recruiterRequestReviewed,
+  organizationInvitation,
+  accountDeletionScheduled
+};
+
+/**
+ * Render template berdasarkan nama
+ * @param {string} name - Nama template
+ * @param {object} data - Data untuk template
+ */
+export const renderTemplate = (name, data) => {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return template(data);
+};
+
+export default renderTemplate;
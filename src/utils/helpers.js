@@ -17,6 +17,51 @@ export const errorResponse = (res, message = 'Error', statusCode = 500, errors =
   });
 };
 
+/**
+ * Ubah durasi format JWT ("15m", "7d", "3600") ke detik
+ * @param {String} value - Durasi
+ * @param {Number} fallbackSeconds - Dipakai kalau format tidak dikenali
+ * @returns {Number} - Durasi dalam detik
+ */
+export const durationToSeconds = (value, fallbackSeconds) => {
+  const units = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+  if (/^\d+$/.test(String(value))) {
+    return parseInt(value);
+  }
+
+  const match = /^(\d+)\s*([smhd])$/.exec(String(value));
+  return match ? parseInt(match[1]) * units[match[2]] : fallbackSeconds;
+};
+
+/**
+ * Ubah array of object ke CSV
+ * Nilai yang diawali =, +, - atau @ diberi prefix ' supaya tidak dieksekusi sebagai formula di spreadsheet
+ * @param {Array<Object>} rows - Data
+ * @param {Array<String>} columns - Nama kolom (urutan header)
+ * @returns {String} - CSV
+ */
+export const toCsv = (rows, columns) => {
+  const escape = (value) => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    let text = value instanceof Date ? value.toISOString() : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => escape(row[column])).join(','))
+  ].join('\r\n');
+};
+
 /**
  * Validation helper
  */
@@ -24,8 +69,3 @@ export const validateEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
   return emailRegex.test(email);
 };
-
-export const validatePassword = (password) => {
-  // Password minimal 6 karakter
-  return password && password.length >= 6;
-};
\ No newline at end of file
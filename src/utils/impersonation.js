@@ -0,0 +1,139 @@
+import prisma from '../config/database.js';
+import { generateImpersonationToken } from './jwt.js';
+import { getRequestMetadata } from './device.js';
+import { durationToSeconds } from './helpers.js';
+import { accessTokenLifetime, revokeAccessToken, revokeSessionAccessTokens } from './tokenRevocation.js';
+import { can } from './permissions.js';
+import { recordAuditLog } from './auditLog.js';
+
+/**
+ * Admin Impersonation
+ * Admin login sebagai user lain untuk support. Token berumur pendek, tanpa refresh token,
+ * berisi impersonatorId, dan setiap start/stop dicatat di tabel impersonations dan audit log
+ */
+
+/**
+ * Umur impersonation token dalam detik (IMPERSONATION_EXPIRES_IN, default 15 menit)
+ * Tidak boleh lebih lama dari access token biasa, supaya denylist session tetap berlaku sampai token expired
+ */
+export const impersonationLifetime = () => {
+  return Math.min(durationToSeconds(process.env.IMPERSONATION_EXPIRES_IN || '15m', 15 * 60), accessTokenLifetime());
+};
+
+/**
+ * Mulai impersonation dan generate token
+ * @param {Object} req - Express request (metadata IP & device)
+ * @param {Object} admin - Admin yang impersonate (berisi tokenVersion)
+ * @param {Object} targetUser - User yang di-impersonate (berisi tokenVersion)
+ * @param {String} reason - Alasan (misal nomor tiket support)
+ * @returns {Object} - { accessToken, impersonation }
+ */
+export const startImpersonation = async (req, admin, targetUser, reason = null) => {
+  const expiresIn = impersonationLifetime();
+  const { ipAddress, userAgent } = getRequestMetadata(req);
+
+  const impersonation = await prisma.impersonation.create({
+    data: {
+      adminId: admin.id,
+      targetUserId: targetUser.id,
+      reason,
+      ipAddress,
+      userAgent,
+      expiresAt: new Date(Date.now() + expiresIn * 1000)
+    }
+  });
+
+  const accessToken = generateImpersonationToken({
+    userId: targetUser.id,
+    sid: impersonation.id,
+    ver: targetUser.tokenVersion,
+    impersonatorId: admin.id,
+    impersonatorVer: admin.tokenVersion
+  }, expiresIn);
+
+  await recordAuditLog(req, 'IMPERSONATION_STARTED', {
+    actorId: admin.id,
+    targetType: 'USER',
+    targetId: targetUser.id,
+    metadata: { impersonationId: impersonation.id, reason, expiresAt: impersonation.expiresAt }
+  });
+
+  return { accessToken, impersonation };
+};
+
+/**
+ * Akhiri impersonation, token langsung tidak berlaku
+ * @param {Object} req - Express request dengan impersonation token (req.tokenPayload)
+ * @param {String} reason - STOPPED | LOGOUT
+ * @returns {Boolean} - False kalau impersonation sudah berakhir sebelumnya
+ */
+export const endImpersonation = async (req, reason) => {
+  const payload = req.tokenPayload;
+  const { count } = await prisma.impersonation.updateMany({
+    where: { id: payload.sid, endedAt: null },
+    data: { endedAt: new Date(), endedReason: reason }
+  });
+
+  await revokeSessionAccessTokens(payload.sid);
+  await revokeAccessToken(payload);
+
+  if (count > 0) {
+    await recordAuditLog(req, 'IMPERSONATION_ENDED', {
+      actorId: payload.impersonatorId,
+      targetType: 'USER',
+      targetId: payload.userId,
+      metadata: { impersonationId: payload.sid, reason }
+    });
+  }
+
+  return count > 0;
+};
+
+/**
+ * Validasi impersonation token terhadap database
+ * Impersonation harus masih berjalan, dan admin harus masih aktif dan masih boleh impersonate
+ * @param {Object} payload - Decoded access token dengan impersonatorId
+ * @returns {Object|null} - Admin yang impersonate, null kalau tidak valid lagi
+ */
+export const findActiveImpersonator = async (payload) => {
+  const impersonation = await prisma.impersonation.findUnique({
+    where: { id: payload.sid },
+    include: {
+      admin: {
+        select: {
+          id: true,
+          email: true,
+          name: true,
+          role: true,
+          isActive: true,
+          tokenVersion: true,
+        }
+      }
+    }
+  });
+
+  if (!impersonation
+    || impersonation.endedAt
+    || impersonation.expiresAt <= new Date()
+    || impersonation.targetUserId !== payload.userId
+    || impersonation.adminId !== payload.impersonatorId) {
+    return null;
+  }
+
+  const { admin } = impersonation;
+
+  // Admin ganti password / dinonaktifkan / kehilangan permission: impersonation ikut berhenti
+  if (!admin?.isActive || (payload.impersonatorVer ?? 0) < admin.tokenVersion || !can(admin, 'user:impersonate')) {
+    return null;
+  }
+
+  const { isActive, tokenVersion, ...impersonator } = admin;
+  return impersonator;
+};
+
+export default {
+  impersonationLifetime,
+  startImpersonation,
+  endImpersonation,
+  findActiveImpersonator
+};
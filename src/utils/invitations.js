@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+import { hashToken } from './authTokens.js';
+
+/**
+ * Organization Invitations
+ * Recruiter mengundang rekan satu perusahaan ke organization lewat email
+ * Token hanya dikirim lewat email, yang disimpan di database hanya hash SHA-256
+ * Invitation berlaku ORGANIZATION_INVITE_EXPIRES_DAYS hari (default 7), resend membuat token baru
+ */
+
+/**
+ * Lama invitation berlaku (hari)
+ */
+export const invitationLifetimeDays = () => parseInt(process.env.ORGANIZATION_INVITE_EXPIRES_DAYS || '7');
+
+/**
+ * Generate token invitation baru
+ * @returns {Object} - { token, tokenHash, expiresAt } token hanya dikirim lewat email
+ */
+export const generateInvitationToken = () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + invitationLifetimeDays() * 24 * 60 * 60 * 1000)
+  };
+};
+
+/**
+ * Status invitation untuk ditampilkan
+ * @param {Object} invitation - OrganizationInvitation dari database
+ * @returns {String} - PENDING, EXPIRED, ACCEPTED, REVOKED
+ */
+export const getInvitationStatus = (invitation) => {
+  if (invitation.acceptedAt) return 'ACCEPTED';
+  if (invitation.revokedAt) return 'REVOKED';
+  if (invitation.expiresAt <= new Date()) return 'EXPIRED';
+  return 'PENDING';
+};
+
+export default {
+  invitationLifetimeDays,
+  generateInvitationToken,
+  getInvitationStatus
+};
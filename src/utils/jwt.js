@@ -1,4 +1,38 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { isAsymmetricSigning, getActiveSigningKey, getVerificationKey } from './signingKeys.js';
+
+/**
+ * Dua jenis token:
+ * - access  : access token dan token sementara (reset, verifikasi email, magic link, 2FA)
+ * - refresh : refresh token
+ * HS256 (default) memakai JWT_SECRET / JWT_REFRESH_SECRET.
+ * RS256 / ES256 memakai key ring dari signingKeys.js (header berisi kid), refresh token
+ * dibedakan lewat claim type karena di-sign dengan key yang sama
+ */
+
+const hmacSecret = (kind) => (kind === 'refresh' ? process.env.JWT_REFRESH_SECRET : process.env.JWT_SECRET);
+
+/**
+ * Sign token sesuai algoritma yang aktif
+ * @param {Object} payload - Data yang mau disimpan di token
+ * @param {String} kind - access | refresh
+ * @param {Object} options - Options jsonwebtoken (expiresIn, jwtid)
+ */
+const signToken = (payload, kind, options) => {
+  if (!isAsymmetricSigning()) {
+    return jwt.sign(payload, hmacSecret(kind), options);
+  }
+
+  const key = getActiveSigningKey();
+
+  return jwt.sign(kind === 'refresh' ? { ...payload, type: 'refresh' } : payload, key.privateKey, {
+    ...options,
+    algorithm: key.algorithm,
+    keyid: key.kid,
+    issuer: process.env.JWT_ISSUER || 'betalentboard',
+  });
+};
 
 /**
  * Generate JWT Access Token
@@ -6,8 +40,9 @@ import jwt from 'jsonwebtoken';
  * @returns {String} - JWT token
  */
 export const generateAccessToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_SECRET, {
+  return signToken(payload, 'access', {
     expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    jwtid: crypto.randomUUID(), // Dipakai untuk revoke token tertentu (denylist)
   });
 };
 
@@ -17,19 +52,74 @@ export const generateAccessToken = (payload) => {
  * @returns {String} - JWT refresh token
  */
 export const generateRefreshToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
+  return signToken(payload, 'refresh', {
     expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+    jwtid: crypto.randomUUID(), // Setiap refresh token unik, meskipun dibuat di detik yang sama
   });
 };
 
 /**
  * Verify JWT Token
+ * Token HS256 lama tetap diterima selama JWT_SECRET / JWT_REFRESH_SECRET masih diisi,
+ * supaya user tidak logout massal saat pindah ke RS256 / ES256
  * @param {String} token - Token yang mau diverifikasi
- * @param {String} secret - Secret key
+ * @param {String} kind - access (default) | refresh
+ * @returns {Object} - Decoded payload
+ */
+export const verifyToken = (token, kind = 'access') => {
+  const header = jwt.decode(token, { complete: true })?.header;
+
+  if (!isAsymmetricSigning() || header?.alg === 'HS256') {
+    const secret = hmacSecret(kind);
+
+    if (!secret) {
+      throw new jwt.JsonWebTokenError('invalid signature');
+    }
+
+    return jwt.verify(token, secret, { algorithms: ['HS256'] });
+  }
+
+  const key = getVerificationKey(header?.kid);
+
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+
+  const decoded = jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
+
+  // Access token tidak boleh dipakai sebagai refresh token, dan sebaliknya
+  if ((kind === 'refresh') !== (decoded.type === 'refresh')) {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+
+  return decoded;
+};
+
+/**
+ * Verify access token untuk autentikasi request
+ * Token sementara (reset, verifikasi email, magic link, 2FA) di-sign dengan key yang sama,
+ * jadi pastikan token berasal dari session login dan bukan token dengan purpose lain
+ * @param {String} token - Access token
  * @returns {Object} - Decoded payload
  */
-export const verifyToken = (token, secret) => {
-  return jwt.verify(token, secret);
+export const verifyAccessToken = (token) => {
+  const decoded = verifyToken(token);
+
+  if (!decoded.sid || decoded.purpose) {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+
+  return decoded;
+};
+
+/**
+ * Decode JWT Token tanpa verifikasi signature
+ * Hanya untuk keperluan non-security (misal key rate limit), jangan dipakai untuk auth
+ * @param {String} token - Token
+ * @returns {Object|null} - Decoded payload
+ */
+export const decodeToken = (token) => {
+  return token ? jwt.decode(token) : null;
 };
 
 /**
@@ -38,7 +128,61 @@ export const verifyToken = (token, secret) => {
  * @returns {String} - Reset token
  */
 export const generateResetToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
+  return signToken({ userId }, 'access', {
     expiresIn: '1h', // Reset token expires dalam 1 jam
   });
-};
\ No newline at end of file
+};
+
+/**
+ * Generate Email Verification Token
+ * @param {String} userId - User ID
+ * @returns {String} - Verification token
+ */
+export const generateEmailVerificationToken = (userId) => {
+  return signToken({ userId, purpose: 'email-verification' }, 'access', {
+    expiresIn: '24h', // Verification token expires dalam 24 jam
+  });
+};
+
+/**
+ * Generate Magic Link Token
+ * Token login tanpa password, dikirim lewat email
+ * @param {String} userId - User ID
+ * @returns {String} - Magic link token
+ */
+export const generateMagicLinkToken = (userId) => {
+  return signToken({ userId, purpose: 'magic-link' }, 'access', {
+    expiresIn: '15m', // Magic link expires dalam 15 menit
+    jwtid: crypto.randomUUID(),
+  });
+};
+
+/**
+ * Generate Two-Factor Token
+ * Token sementara antara cek password dan cek code 2FA
+ * @param {String} userId - User ID
+ * @param {String} purpose - 'two-factor-challenge' atau 'two-factor-setup'
+ * @param {String} loginMethod - Cara login sebelum 2FA (PASSWORD, MAGIC_LINK, OAUTH)
+ * @param {String} jwtid - jti untuk token sekali pakai (challenge token)
+ * @returns {String} - Two-factor token
+ */
+export const generateTwoFactorToken = (userId, purpose, loginMethod = 'PASSWORD', jwtid = undefined) => {
+  return signToken({ userId, purpose, loginMethod }, 'access', {
+    expiresIn: '10m', // Harus selesai 2FA dalam 10 menit
+    ...(jwtid && { jwtid }),
+  });
+};
+
+/**
+ * Generate Impersonation Token
+ * Access token untuk admin yang login sebagai user lain, tanpa refresh token
+ * @param {Object} payload - { userId, sid, ver, impersonatorId, impersonatorVer }
+ * @param {Number} expiresIn - Umur token dalam detik
+ * @returns {String} - Impersonation access token
+ */
+export const generateImpersonationToken = (payload, expiresIn) => {
+  return signToken(payload, 'access', {
+    expiresIn,
+    jwtid: crypto.randomUUID(),
+  });
+};
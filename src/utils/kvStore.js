@@ -0,0 +1,181 @@
+import redisClient from '../config/redis.js';
+
+/**
+ * Key-value store untuk data sementara (denylist, counter, dll)
+ * Pakai Redis kalau terkoneksi, fallback ke memory kalau Redis tidak tersedia
+ * Catatan: fallback memory hanya berlaku di satu instance server
+ */
+
+const memory = new Map(); // key -> { value, expiresAt }
+
+const useRedis = () => redisClient.isReady;
+
+const readMemory = (key) => {
+  const entry = memory.get(key);
+
+  if (!entry) {
+    return null;
+  }
+
+  if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+    memory.delete(key);
+    return null;
+  }
+
+  return entry;
+};
+
+// Bersihkan key memory yang sudah expired secara berkala
+const sweepTimer = setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of memory) {
+    if (entry.expiresAt && entry.expiresAt <= now) {
+      memory.delete(key);
+    }
+  }
+}, 60 * 1000);
+sweepTimer.unref();
+
+/**
+ * Ambil value
+ * @param {string} key
+ * @returns {string|null}
+ */
+export const kvGet = async (key) => {
+  if (useRedis()) {
+    try {
+      return await redisClient.get(key);
+    } catch (error) {
+      console.error(`kvStore get ${key} error:`, error.message);
+    }
+  }
+
+  return readMemory(key)?.value ?? null;
+};
+
+/**
+ * Simpan value
+ * @param {string} key
+ * @param {string|number} value
+ * @param {number} ttlSeconds - Masa berlaku (detik), kosongkan untuk tanpa expiry
+ */
+export const kvSet = async (key, value, ttlSeconds) => {
+  const ttl = ttlSeconds ? Math.max(1, Math.ceil(ttlSeconds)) : null;
+
+  if (useRedis()) {
+    try {
+      await redisClient.set(key, String(value), ttl ? { expiration: { type: 'EX', value: ttl } } : undefined);
+      return;
+    } catch (error) {
+      console.error(`kvStore set ${key} error:`, error.message);
+    }
+  }
+
+  memory.set(key, {
+    value: String(value),
+    expiresAt: ttl ? Date.now() + ttl * 1000 : null
+  });
+};
+
+/**
+ * Hapus key
+ * @param {string} key
+ */
+export const kvDel = async (key) => {
+  if (useRedis()) {
+    try {
+      await redisClient.del(key);
+      return;
+    } catch (error) {
+      console.error(`kvStore del ${key} error:`, error.message);
+    }
+  }
+
+  memory.delete(key);
+};
+
+/**
+ * Cek apakah key ada
+ * @param {string} key
+ * @returns {boolean}
+ */
+export const kvExists = async (key) => {
+  return (await kvGet(key)) !== null;
+};
+
+/**
+ * Increment counter, set expiry saat counter baru dibuat
+ * @param {string} key
+ * @param {number} ttlSeconds - Masa berlaku counter (detik)
+ * @returns {number} - Nilai counter setelah increment
+ */
+export const kvIncr = async (key, ttlSeconds) => {
+  const ttl = ttlSeconds ? Math.max(1, Math.ceil(ttlSeconds)) : null;
+
+  if (useRedis()) {
+    try {
+      const value = await redisClient.incr(key);
+      if (value === 1 && ttl) {
+        await redisClient.expire(key, ttl);
+      }
+      return value;
+    } catch (error) {
+      console.error(`kvStore incr ${key} error:`, error.message);
+    }
+  }
+
+  const entry = readMemory(key);
+  const value = (entry ? parseInt(entry.value) || 0 : 0) + 1;
+
+  memory.set(key, {
+    value: String(value),
+    expiresAt: entry?.expiresAt ?? (ttl ? Date.now() + ttl * 1000 : null)
+  });
+
+  return value;
+};
+
+/**
+ * Catat satu hit di sliding window log dan hitung jumlah hit dalam window
+ * @param {string} key
+ * @param {number} windowMs - Panjang window (ms)
+ * @returns {Object} - { count, resetMs } resetMs = sisa waktu sampai hit tertua keluar dari window
+ */
+export const kvSlidingWindowHit = async (key, windowMs) => {
+  const now = Date.now();
+
+  if (useRedis()) {
+    try {
+      const member = `${now}-${Math.random().toString(36).slice(2)}`;
+      const [, , count, oldest] = await redisClient.multi()
+        .zRemRangeByScore(key, 0, now - windowMs)
+        .zAdd(key, { score: now, value: member })
+        .zCard(key)
+        .zRangeWithScores(key, 0, 0)
+        .pExpire(key, windowMs)
+        .exec();
+
+      const oldestScore = oldest?.[0]?.score ?? now;
+      return { count, resetMs: Math.max(0, oldestScore + windowMs - now) };
+    } catch (error) {
+      console.error(`kvStore sliding window ${key} error:`, error.message);
+    }
+  }
+
+  const entry = readMemory(key);
+  const hits = (entry?.hits || []).filter(timestamp => timestamp > now - windowMs);
+  hits.push(now);
+
+  memory.set(key, { hits, expiresAt: now + windowMs });
+
+  return { count: hits.length, resetMs: Math.max(0, hits[0] + windowMs - now) };
+};
+
+export default {
+  kvGet,
+  kvSet,
+  kvDel,
+  kvExists,
+  kvIncr,
+  kvSlidingWindowHit
+};
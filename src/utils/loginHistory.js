@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import { getRequestMetadata, parseUserAgent } from './device.js';
+import { recordAuditLog } from './auditLog.js';
+import { publishNewDeviceLogin } from './notificationPublisher.js';
+
+/**
+ * Login History
+ * Setiap login berhasil / gagal (untuk akun yang dikenal) dicatat dengan IP, user agent dan device,
+ * supaya user bisa lihat di mana akunnya dipakai (GET /users/me/logins)
+ * Login dari device yang belum pernah dipakai memicu notifikasi lewat notificationPublisher
+ */
+
+/**
+ * Fingerprint device (kasar): browser + OS + tipe device
+ * Sengaja tanpa versi browser supaya update browser tidak dianggap device baru
+ * @param {String} userAgent - Header User-Agent
+ * @returns {String} - SHA-256 hash
+ */
+export const getDeviceFingerprint = (userAgent) => {
+  const { browser, os, deviceType } = parseUserAgent(userAgent);
+  return crypto.createHash('sha256').update(`${browser}|${os}|${deviceType}`).digest('hex');
+};
+
+const createLoginEvent = async (req, userId, data) => {
+  const { ipAddress, userAgent, deviceName } = getRequestMetadata(req);
+
+  return prisma.loginEvent.create({
+    data: {
+      userId,
+      ipAddress,
+      userAgent,
+      deviceName,
+      deviceType: parseUserAgent(userAgent).deviceType,
+      deviceFingerprint: getDeviceFingerprint(userAgent),
+      ...data
+    }
+  });
+};
+
+/**
+ * Catat login berhasil (login history + audit log), kirim notifikasi kalau dari device baru
+ * @param {Object} req - Express request
+ * @param {Object} user - User yang login
+ * @param {Object} details - { loginMethod, sessionId, twoFactor, recoveryCodeUsed }
+ */
+export const recordLoginSuccess = async (req, user, { loginMethod, sessionId, twoFactor = false, recoveryCodeUsed = false }) => {
+  await recordAuditLog(req, 'LOGIN', {
+    actorId: user.id,
+    targetType: 'SESSION',
+    targetId: sessionId,
+    metadata: {
+      loginMethod,
+      ...(twoFactor && { twoFactor }),
+      ...(recoveryCodeUsed && { recoveryCodeUsed })
+    }
+  });
+
+  try {
+    const fingerprint = getDeviceFingerprint(req.headers['user-agent']);
+
+    // Login pertama kali bukan "device baru", belum ada device pembanding
+    const [previousLogins, knownDevice] = await Promise.all([
+      prisma.loginEvent.count({ where: { userId: user.id, success: true } }),
+      prisma.loginEvent.findFirst({
+        where: { userId: user.id, success: true, deviceFingerprint: fingerprint },
+        select: { id: true }
+      })
+    ]);
+
+    const newDevice = previousLogins > 0 && !knownDevice;
+
+    const loginEvent = await createLoginEvent(req, user.id, {
+      success: true,
+      loginMethod,
+      newDevice
+    });
+
+    if (newDevice) {
+      await publishNewDeviceLogin(user, loginEvent);
+    }
+  } catch (error) {
+    console.error('Record login history error:', error);
+  }
+};
+
+/**
+ * Catat login gagal (audit log + login history kalau akunnya dikenal)
+ * @param {Object} req - Express request
+ * @param {String} reason - UNKNOWN_EMAIL, INVALID_PASSWORD, ACCOUNT_DEACTIVATED, EMAIL_NOT_VERIFIED,
+ *                          INVALID_MAGIC_LINK, INVALID_TWO_FACTOR_CODE, INVALID_RECOVERY_CODE
+ * @param {Object} details - { user, email, loginMethod, action } action default LOGIN_FAILED
+ */
+export const recordLoginFailure = async (req, reason, { user = null, email = null, loginMethod = 'PASSWORD', action = 'LOGIN_FAILED' } = {}) => {
+  await recordAuditLog(req, action, {
+    actorId: null,
+    targetType: user ? 'USER' : null,
+    targetId: user?.id || null,
+    metadata: { reason, loginMethod, ...(email && { email }) }
+  });
+
+  if (!user) {
+    return;
+  }
+
+  try {
+    await createLoginEvent(req, user.id, {
+      success: false,
+      loginMethod,
+      failureReason: reason
+    });
+  } catch (error) {
+    console.error('Record login history error:', error);
+  }
+};
+
+export default {
+  getDeviceFingerprint,
+  recordLoginSuccess,
+  recordLoginFailure
+};
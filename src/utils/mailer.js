@@ -0,0 +1,145 @@
+import { getMailConfig, getMailTransport } from '../config/mail.js';
+import { renderTemplate } from './emailTemplates.js';
+
+/**
+ * Mailer
+ * Kirim email lewat transport yang aktif (smtp/console/file)
+ */
+
+const appUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+/**
+ * Kirim email
+ * @param {object} message - { to, subject, html, text }
+ * @returns {boolean} - True jika email berhasil dikirim
+ */
+export const sendMail = async ({ to, subject, html, text }) => {
+  try {
+    const transport = getMailTransport();
+
+    await transport.send({
+      from: getMailConfig().from,
+      to,
+      subject,
+      html,
+      text
+    });
+
+    return true;
+  } catch (error) {
+    console.error(`Error sending mail to ${to}:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Kirim email berdasarkan template
+ * @param {string} template - Nama template (lihat emailTemplates.js)
+ * @param {string} to - Alamat email tujuan
+ * @param {object} data - Data untuk template
+ */
+export const sendTemplateMail = async (template, to, data) => {
+  try {
+    const { subject, html, text } = renderTemplate(template, data);
+    return await sendMail({ to, subject, html, text });
+  } catch (error) {
+    console.error(`Error rendering mail template ${template}:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Kirim email reset password
+ */
+export const sendPasswordResetEmail = async (user, resetToken) => {
+  return await sendTemplateMail('passwordReset', user.email, {
+    name: user.name,
+    resetUrl: `${appUrl()}/reset-password?token=${encodeURIComponent(resetToken)}`,
+    expiresIn: '1 hour'
+  });
+};
+
+/**
+ * Kirim email verifikasi
+ */
+export const sendVerificationEmail = async (user, verificationToken) => {
+  return await sendTemplateMail('emailVerification', user.email, {
+    name: user.name,
+    verifyUrl: `${appUrl()}/verify-email?token=${encodeURIComponent(verificationToken)}`,
+    expiresIn: '24 hours'
+  });
+};
+
+/**
+ * Kirim email magic link (login tanpa password)
+ */
+export const sendMagicLinkEmail = async (user, magicLinkToken) => {
+  return await sendTemplateMail('magicLink', user.email, {
+    name: user.name,
+    loginUrl: `${appUrl()}/magic-link?token=${encodeURIComponent(magicLinkToken)}`,
+    expiresIn: '15 minutes'
+  });
+};
+
+/**
+ * Kirim email perubahan status lamaran ke applicant
+ */
+export const sendApplicationStatusEmail = async (job, applicant, newStatus) => {
+  return await sendTemplateMail('applicationStatusChanged', applicant.email, {
+    name: applicant.name,
+    jobTitle: job.title,
+    company: job.company,
+    status: newStatus,
+    applicationsUrl: `${appUrl()}/applications`
+  });
+};
+
+/**
+ * Kirim email hasil review permintaan akses recruiter
+ */
+export const sendRecruiterRequestReviewedEmail = async (user, recruiterRequest) => {
+  const approved = recruiterRequest.status === 'APPROVED';
+
+  return await sendTemplateMail('recruiterRequestReviewed', user.email, {
+    name: user.name,
+    companyName: recruiterRequest.companyName,
+    approved,
+    reviewNote: recruiterRequest.reviewNote,
+    dashboardUrl: approved ? `${appUrl()}/jobs/new` : appUrl()
+  });
+};
+
+/**
+ * Kirim email undangan organization
+ */
+export const sendOrganizationInvitationEmail = async (invitation, organization, inviter, token, expiresInDays) => {
+  return await sendTemplateMail('organizationInvitation', invitation.email, {
+    inviterName: inviter.name || inviter.email,
+    organizationName: organization.name,
+    acceptUrl: `${appUrl()}/invitations/accept?token=${encodeURIComponent(token)}`,
+    expiresIn: `${expiresInDays} day${expiresInDays === 1 ? '' : 's'}`
+  });
+};
+
+/**
+ * Kirim email konfirmasi penghapusan akun
+ */
+export const sendAccountDeletionScheduledEmail = async (user, deletionScheduledAt) => {
+  return await sendTemplateMail('accountDeletionScheduled', user.email, {
+    name: user.name,
+    deletionDate: deletionScheduledAt.toUTCString(),
+    loginUrl: `${appUrl()}/login`
+  });
+};
+
+export default {
+  sendMail,
+  sendTemplateMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendMagicLinkEmail,
+  sendApplicationStatusEmail,
+  sendRecruiterRequestReviewedEmail,
+  sendOrganizationInvitationEmail,
+  sendAccountDeletionScheduledEmail
+};
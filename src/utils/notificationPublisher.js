@@ -1,4 +1,5 @@
 import redisClient from '../config/redis.js';
+import { sendApplicationStatusEmail, sendRecruiterRequestReviewedEmail } from './mailer.js';
 
 /**
  * Notification Publisher
@@ -39,7 +40,9 @@ export const EVENTS = {
   JOB_UPDATED: 'job.updated',
   JOB_DELETED: 'job.deleted',
   JOB_APPLIED: 'job.applied',
-  APPLICATION_STATUS_CHANGED: 'application.status.changed'
+  APPLICATION_STATUS_CHANGED: 'application.status.changed',
+  NEW_DEVICE_LOGIN: 'user.login.new_device',
+  RECRUITER_REQUEST_REVIEWED: 'user.recruiter_request.reviewed'
 };
 
 /**
@@ -94,8 +97,12 @@ export const publishJobApplied = async (application, job, applicant) => {
 
 /**
  * Publish APPLICATION_STATUS_CHANGED event
+ * Sekaligus kirim email status lamaran ke applicant
  */
 export const publishApplicationStatusChanged = async (application, job, applicant, newStatus) => {
+  // Applicant juga dapat email, tidak hanya notifikasi real-time
+  await sendApplicationStatusEmail(job, applicant, newStatus);
+
   return await publishEvent(EVENTS.APPLICATION_STATUS_CHANGED, {
     event: 'APPLICATION_STATUS_CHANGED',
     applicationId: application.id,
@@ -119,10 +126,70 @@ export const publishApplicationStatusChanged = async (application, job, applican
   });
 };
 
+/**
+ * Publish NEW_DEVICE_LOGIN event
+ * Login dari device yang belum pernah dipakai user sebelumnya
+ */
+export const publishNewDeviceLogin = async (user, loginEvent) => {
+  return await publishEvent(EVENTS.NEW_DEVICE_LOGIN, {
+    event: 'NEW_DEVICE_LOGIN',
+    userId: user.id,
+    loginEventId: loginEvent.id,
+    deviceName: loginEvent.deviceName,
+    ipAddress: loginEvent.ipAddress,
+    loginMethod: loginEvent.loginMethod,
+    notification: {
+      type: 'SECURITY_ALERT',
+      title: 'New sign-in to your account',
+      message: `Your account was signed in from ${loginEvent.deviceName}${loginEvent.ipAddress ? ` (${loginEvent.ipAddress})` : ''}. If this wasn't you, change your password and sign out other sessions.`,
+      recipientId: user.id,
+      metadata: {
+        loginEventId: loginEvent.id,
+        deviceName: loginEvent.deviceName,
+        ipAddress: loginEvent.ipAddress,
+        loggedInAt: loginEvent.createdAt
+      }
+    }
+  });
+};
+
+/**
+ * Publish RECRUITER_REQUEST_REVIEWED event
+ * Sekaligus kirim email hasil review ke user
+ */
+export const publishRecruiterRequestReviewed = async (recruiterRequest, user) => {
+  const approved = recruiterRequest.status === 'APPROVED';
+
+  await sendRecruiterRequestReviewedEmail(user, recruiterRequest);
+
+  return await publishEvent(EVENTS.RECRUITER_REQUEST_REVIEWED, {
+    event: 'RECRUITER_REQUEST_REVIEWED',
+    recruiterRequestId: recruiterRequest.id,
+    userId: user.id,
+    companyName: recruiterRequest.companyName,
+    status: recruiterRequest.status,
+    notification: {
+      type: 'RECRUITER_REQUEST',
+      title: approved ? 'Recruiter access approved' : 'Recruiter access request rejected',
+      message: approved
+        ? `Your request for recruiter access for ${recruiterRequest.companyName} has been approved`
+        : `Your request for recruiter access for ${recruiterRequest.companyName} has been rejected`,
+      recipientId: user.id,
+      metadata: {
+        recruiterRequestId: recruiterRequest.id,
+        status: recruiterRequest.status,
+        reviewNote: recruiterRequest.reviewNote
+      }
+    }
+  });
+};
+
 export default {
   publishEvent,
   publishJobCreated,
   publishJobApplied,
   publishApplicationStatusChanged,
+  publishNewDeviceLogin,
+  publishRecruiterRequestReviewed,
   EVENTS
 };
@@ -0,0 +1,300 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+/**
+ * Generic OAuth2 / OpenID Connect client
+ * Authorization code flow + PKCE (S256), verifikasi id_token lewat JWKS provider
+ * Dipakai untuk semua provider di config/oauth.js
+ */
+
+const HTTP_TIMEOUT_MS = 10 * 1000;
+const CACHE_TTL_MS = 60 * 60 * 1000; // Discovery document & JWKS di-cache 1 jam
+
+const discoveryCache = new Map(); // issuer -> { value, expiresAt }
+const jwksCache = new Map(); // jwksUrl -> { value, expiresAt }
+
+/**
+ * Error dari provider / flow OAuth (state invalid, code ditolak, id_token invalid, dll)
+ */
+const oauthError = (message) => {
+  const error = new Error(message);
+  error.name = 'OAuthError';
+  return error;
+};
+
+const base64Url = (buffer) => buffer.toString('base64url');
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', 'User-Agent': 'BETalentBoard', ...options.headers },
+    signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+  });
+
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    throw oauthError(`OAuth provider request failed (${response.status}): ${body?.error_description || body?.error || url}`);
+  }
+
+  return body;
+};
+
+const cached = async (cache, key, loader) => {
+  const entry = cache.get(key);
+
+  if (entry && entry.expiresAt > Date.now()) {
+    return entry.value;
+  }
+
+  const value = await loader();
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+/**
+ * Generate PKCE code verifier dan code challenge (S256)
+ * @returns {Object} - { codeVerifier, codeChallenge }
+ */
+export const generatePkce = () => {
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Random string untuk state dan nonce
+ */
+export const generateRandomToken = () => base64Url(crypto.randomBytes(24));
+
+/**
+ * Lengkapi endpoint provider dari OIDC discovery document
+ * Endpoint yang diisi manual di env tetap dipakai (override)
+ * @param {Object} provider - Config dari getOAuthProvider()
+ * @returns {Object} - Provider dengan authorizationUrl, tokenUrl, userinfoUrl, jwksUrl, issuer
+ */
+export const resolveEndpoints = async (provider) => {
+  if (!provider.issuer || (provider.authorizationUrl && provider.tokenUrl && (!provider.oidc || provider.jwksUrl))) {
+    return provider;
+  }
+
+  const issuer = provider.issuer.replace(/\/$/, '');
+  const discovery = await cached(discoveryCache, issuer, () => {
+    return fetchJson(`${issuer}/.well-known/openid-configuration`);
+  });
+
+  return {
+    ...provider,
+    issuer: discovery.issuer || provider.issuer,
+    authorizationUrl: provider.authorizationUrl || discovery.authorization_endpoint,
+    tokenUrl: provider.tokenUrl || discovery.token_endpoint,
+    userinfoUrl: provider.userinfoUrl || discovery.userinfo_endpoint || null,
+    jwksUrl: provider.jwksUrl || discovery.jwks_uri || null
+  };
+};
+
+/**
+ * Buat URL authorization untuk redirect user ke provider
+ * @param {Object} provider - Provider (setelah resolveEndpoints)
+ * @param {Object} params - { state, nonce, codeChallenge }
+ * @returns {String} - Authorization URL
+ */
+export const buildAuthorizationUrl = (provider, { state, nonce, codeChallenge }) => {
+  const url = new URL(provider.authorizationUrl);
+
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', provider.redirectUri);
+  url.searchParams.set('scope', provider.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  if (provider.oidc) {
+    url.searchParams.set('nonce', nonce);
+  }
+
+  return url.toString();
+};
+
+/**
+ * Tukar authorization code dengan token dari provider
+ * @param {Object} provider - Provider (setelah resolveEndpoints)
+ * @param {Object} params - { code, codeVerifier }
+ * @returns {Object} - Token response (access_token, id_token, ...)
+ */
+export const exchangeCode = async (provider, { code, codeVerifier }) => {
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  if (provider.tokenAuthMethod === 'client_secret_basic') {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret || '')}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    form.set('client_id', provider.clientId);
+    if (provider.clientSecret) {
+      form.set('client_secret', provider.clientSecret);
+    }
+  }
+
+  const tokens = await fetchJson(provider.tokenUrl, {
+    method: 'POST',
+    headers,
+    body: form.toString()
+  });
+
+  // GitHub return 200 dengan field error kalau code invalid
+  if (!tokens?.access_token || tokens.error) {
+    throw oauthError(`OAuth token exchange failed: ${tokens?.error_description || tokens?.error || 'no access token'}`);
+  }
+
+  return tokens;
+};
+
+/**
+ * Ambil public key dari JWKS provider berdasarkan kid
+ */
+const getSigningKey = async (jwksUrl, kid) => {
+  const findKey = (jwks) => jwks.keys?.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+
+  let key = findKey(await cached(jwksCache, jwksUrl, () => fetchJson(jwksUrl)));
+
+  // Provider baru rotasi key: ambil ulang JWKS sekali
+  if (!key) {
+    jwksCache.delete(jwksUrl);
+    key = findKey(await cached(jwksCache, jwksUrl, () => fetchJson(jwksUrl)));
+  }
+
+  if (!key) {
+    throw oauthError('No matching signing key for id_token');
+  }
+
+  return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+/**
+ * Verifikasi id_token: signature (JWKS), issuer, audience, expiry dan nonce
+ * @param {Object} provider - Provider (setelah resolveEndpoints)
+ * @param {String} idToken - id_token dari token response
+ * @param {String} nonce - Nonce yang dikirim saat authorization
+ * @returns {Object} - Claims id_token
+ */
+export const verifyIdToken = async (provider, idToken, nonce) => {
+  if (!provider.jwksUrl) {
+    throw oauthError('Provider has no JWKS endpoint to verify id_token');
+  }
+
+  const header = jwt.decode(idToken, { complete: true })?.header;
+
+  if (!header) {
+    throw oauthError('Malformed id_token');
+  }
+
+  const key = await getSigningKey(provider.jwksUrl, header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'],
+      issuer: provider.issuer,
+      audience: provider.clientId,
+      clockTolerance: 60
+    });
+  } catch (error) {
+    throw oauthError(`Invalid id_token: ${error.message}`);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw oauthError('Invalid id_token: nonce mismatch');
+  }
+
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+    throw oauthError('Invalid id_token: authorized party mismatch');
+  }
+
+  return claims;
+};
+
+const isTrue = (value) => value === true || value === 'true';
+
+/**
+ * Profil GitHub (non-OIDC): user dari /user, email primary yang terverifikasi dari /user/emails
+ */
+const fetchGithubProfile = async (provider, accessToken) => {
+  const headers = { Authorization: `Bearer ${accessToken}`, Accept: 'application/vnd.github+json' };
+  const user = await fetchJson(provider.userinfoUrl, { headers });
+  const emails = provider.emailsUrl ? await fetchJson(provider.emailsUrl, { headers }) : [];
+  const primary = Array.isArray(emails) ? emails.find(item => item.primary) : null;
+
+  return {
+    providerAccountId: String(user.id),
+    email: primary?.email || user.email || null,
+    emailVerified: Boolean(primary?.verified),
+    name: user.name || user.login || null,
+    avatar: user.avatar_url || null
+  };
+};
+
+/**
+ * Ambil profil user yang sudah dinormalisasi dari token response
+ * @param {Object} provider - Provider (setelah resolveEndpoints)
+ * @param {Object} tokens - Token response dari exchangeCode()
+ * @param {String} nonce - Nonce dari authorization request
+ * @returns {Object} - { providerAccountId, email, emailVerified, name, avatar }
+ */
+export const fetchProfile = async (provider, tokens, nonce) => {
+  if (!provider.oidc) {
+    return fetchGithubProfile(provider, tokens.access_token);
+  }
+
+  if (!tokens.id_token) {
+    throw oauthError('Provider did not return an id_token');
+  }
+
+  let claims = await verifyIdToken(provider, tokens.id_token, nonce);
+
+  // Beberapa provider tidak menaruh email/profil di id_token, lengkapi dari userinfo
+  if (provider.userinfoUrl && (!claims.email || !claims.name)) {
+    const userinfo = await fetchJson(provider.userinfoUrl, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+
+    if (userinfo.sub !== claims.sub) {
+      throw oauthError('Userinfo subject does not match id_token');
+    }
+
+    // email_verified harus dari sumber yang sama dengan email-nya
+    const emailSource = claims.email ? claims : userinfo;
+
+    claims = {
+      ...userinfo,
+      ...claims,
+      email: emailSource.email,
+      email_verified: emailSource.email_verified
+    };
+  }
+
+  return {
+    providerAccountId: String(claims.sub),
+    email: claims.email || null,
+    emailVerified: isTrue(claims.email_verified),
+    name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null,
+    avatar: claims.picture || null
+  };
+};
+
+export default {
+  generatePkce,
+  generateRandomToken,
+  resolveEndpoints,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  fetchProfile
+};
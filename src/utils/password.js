@@ -17,5 +17,9 @@ export const hashPassword = async (password) => {
  * @returns {Boolean} - True jika password cocok
  */
 export const comparePassword = async (password, hashedPassword) => {
+  // Akun social login yang belum set password
+  if (!password || !hashedPassword) {
+    return false;
+  }
   return await bcrypt.compare(password, hashedPassword);
 };
\ No newline at end of file
@@ -0,0 +1,172 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import prisma from '../config/database.js';
+import { comparePassword } from './password.js';
+
+/**
+ * Password Policy
+ * Semua aturan bisa diatur lewat env:
+ * - PASSWORD_MIN_LENGTH (default 8)
+ * - PASSWORD_REQUIRE_UPPERCASE / LOWERCASE / NUMBER (default true)
+ * - PASSWORD_REQUIRE_SYMBOL (default false)
+ * - PASSWORD_HISTORY_SIZE: tidak boleh pakai N password terakhir (default 5, 0 = nonaktif)
+ * - PASSWORD_REJECT_COMMON: tolak password yang ada di daftar umum (default true)
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const COMMON_PASSWORDS_FILE = path.join(__dirname, '../data/common-passwords.txt');
+
+const envFlag = (name, defaultValue) => {
+  const value = process.env[name];
+  return value === undefined ? defaultValue : value === 'true';
+};
+
+/**
+ * Ambil policy aktif dari env
+ */
+export const getPasswordPolicy = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '8'),
+  requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireLowercase: envFlag('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireNumber: envFlag('PASSWORD_REQUIRE_NUMBER', true),
+  requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL', false),
+  historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE || '5'),
+  rejectCommon: envFlag('PASSWORD_REJECT_COMMON', true),
+});
+
+let commonPasswords = null;
+
+/**
+ * Daftar common password (di-load sekali dari file)
+ */
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    const content = fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8');
+
+    commonPasswords = new Set(
+      content
+        .split('\n')
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+
+  return commonPasswords;
+};
+
+/**
+ * Cek aturan yang tidak butuh database (panjang, jenis karakter, common password)
+ * @param {String} password - Password baru
+ * @returns {Array} - Daftar rule yang gagal: [{ rule, message }]
+ */
+export const checkPasswordStrength = (password) => {
+  const policy = getPasswordPolicy();
+  const failed = [];
+  const value = typeof password === 'string' ? password : '';
+
+  if (value.length < policy.minLength) {
+    failed.push({ rule: 'minLength', message: `Password must be at least ${policy.minLength} characters` });
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    failed.push({ rule: 'uppercase', message: 'Password must contain an uppercase letter' });
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    failed.push({ rule: 'lowercase', message: 'Password must contain a lowercase letter' });
+  }
+
+  if (policy.requireNumber && !/\d/.test(value)) {
+    failed.push({ rule: 'number', message: 'Password must contain a number' });
+  }
+
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    failed.push({ rule: 'symbol', message: 'Password must contain a symbol' });
+  }
+
+  if (policy.rejectCommon && getCommonPasswords().has(value.toLowerCase())) {
+    failed.push({ rule: 'common', message: 'Password is too common, please choose another one' });
+  }
+
+  return failed;
+};
+
+/**
+ * Cek apakah password pernah dipakai user (N password terakhir)
+ * @param {String} userId - User ID
+ * @param {String} password - Password baru
+ * @param {String} currentHash - Hash password user saat ini (optional)
+ * @returns {Boolean} - True jika password pernah dipakai
+ */
+export const isPasswordReused = async (userId, password, currentHash) => {
+  const { historySize } = getPasswordPolicy();
+
+  if (historySize <= 0) {
+    return false;
+  }
+
+  const history = await prisma.passwordHistory.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'desc' },
+    take: historySize,
+    select: { passwordHash: true }
+  });
+
+  const hashes = [...new Set([currentHash, ...history.map(item => item.passwordHash)].filter(Boolean))];
+
+  for (const hash of hashes) {
+    if (await comparePassword(password, hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Validasi password baru terhadap seluruh policy
+ * @param {String} password - Password baru
+ * @param {Object} options - { userId, currentHash } untuk cek riwayat password
+ * @returns {Object} - { valid, failedRules }
+ */
+export const validatePasswordPolicy = async (password, { userId, currentHash } = {}) => {
+  const failedRules = checkPasswordStrength(password);
+
+  if (userId && await isPasswordReused(userId, password, currentHash)) {
+    const { historySize } = getPasswordPolicy();
+    failedRules.push({ rule: 'history', message: `Password must not match any of your last ${historySize} passwords` });
+  }
+
+  return { valid: failedRules.length === 0, failedRules };
+};
+
+/**
+ * Simpan hash password ke riwayat, lalu buang riwayat yang lebih lama dari N
+ * @param {String} userId - User ID
+ * @param {String} passwordHash - Hash password yang baru diset
+ */
+export const recordPasswordHistory = async (userId, passwordHash) => {
+  const { historySize } = getPasswordPolicy();
+
+  if (historySize <= 0) {
+    return;
+  }
+
+  await prisma.passwordHistory.create({
+    data: { userId, passwordHash }
+  });
+
+  const outdated = await prisma.passwordHistory.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'desc' },
+    skip: historySize,
+    select: { id: true }
+  });
+
+  if (outdated.length) {
+    await prisma.passwordHistory.deleteMany({
+      where: { id: { in: outdated.map(item => item.id) } }
+    });
+  }
+};
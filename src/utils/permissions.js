@@ -0,0 +1,165 @@
+import { ROLES } from './securityPolicy.js';
+
+/**
+ * Permission Policy
+ * Satu tempat untuk menentukan siapa boleh melakukan apa
+ *
+ * Format permission: <resource>:<action>[:<condition>]
+ * - Tanpa condition (misal job:update) = berlaku untuk semua resource
+ * - Dengan condition (misal job:update:own) = hanya kalau ownership rule terpenuhi
+ *
+ * Route memakai authorize('<resource>:<action>') untuk cek awal lewat hasPermission (punya permission dengan
+ * condition apa pun), controller memanggil can(user, action, resource) setelah resource di-load dari database
+ */
+
+const USER_PERMISSIONS = [
+  'job:apply',
+  'resume:read:own'
+];
+
+const RECRUITER_PERMISSIONS = [
+  ...USER_PERMISSIONS,
+  'job:create',
+  'job:update:own',
+  'job:delete:own',
+  'application:view:job-owner',
+  'application:update:job-owner',
+  'resume:read:job-owner',
+  'organization:create',
+  'organization:invite'
+];
+
+const ADMIN_PERMISSIONS = [
+  'job:apply',
+  'job:create',
+  'job:update',
+  'job:delete',
+  'application:view',
+  'application:update',
+  'resume:read',
+  'organization:create',
+  'organization:invite',
+  'user:list',
+  'user:read',
+  'user:update',
+  'user:manage',
+  'user:delete',
+  'user:unlock',
+  'user:impersonate',
+  'security-policy:manage',
+  'permission-policy:read',
+  'audit-log:read',
+  'recruiter-request:review'
+];
+
+export const ROLE_PERMISSIONS = {
+  USER: USER_PERMISSIONS,
+  RECRUITER: RECRUITER_PERMISSIONS,
+  ADMIN: ADMIN_PERMISSIONS
+};
+
+/**
+ * Ownership rules per condition, per tipe resource
+ * Resource yang dikirim ke can() harus punya field yang dipakai rule-nya
+ */
+export const OWNERSHIP_RULES = {
+  own: {
+    description: 'User owns the resource',
+    resources: {
+      job: (user, job) => job.ownerId === user.id,
+      application: (user, application) => application.applicantId === user.id,
+      resume: (user, resume) => resume.userId === user.id,
+      user: (user, target) => target.id === user.id
+    }
+  },
+  'job-owner': {
+    description: 'User owns the job the application belongs to (application must include job), or a job the resume owner applied to (resume must include jobOwnerIds)',
+    resources: {
+      application: (user, application) => application.job?.ownerId === user.id,
+      resume: (user, resume) => Boolean(resume.jobOwnerIds?.includes(user.id))
+    }
+  }
+};
+
+const parsePermission = (permission) => {
+  const [resource, action, condition = null] = permission.split(':');
+  return { name: `${resource}:${action}`, resource, condition };
+};
+
+/**
+ * Permission yang dimiliki role
+ * @param {String} role - User role
+ * @returns {Array<String>}
+ */
+export const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Cek apakah role punya permission untuk action, dengan condition apa pun
+ * Hanya untuk cek awal sebelum resource di-load (middleware authorize, scope API key),
+ * bukan pengganti can() untuk resource tertentu
+ * @param {String} role - User role
+ * @param {String} action - <resource>:<action>, misal 'job:update'
+ * @returns {Boolean}
+ */
+export const hasPermission = (role, action) => {
+  return getRolePermissions(role).some(permission => parsePermission(permission).name === action);
+};
+
+/**
+ * Cek apakah user boleh melakukan action
+ * Permission dengan condition (misal job:update:own) hanya lolos kalau resource dikirim dan rule-nya terpenuhi;
+ * tanpa resource hasilnya false (fail closed), pakai hasPermission untuk cek level role
+ * @param {Object} user - User (minimal { id, role })
+ * @param {String} action - <resource>:<action>, misal 'job:update'
+ * @param {Object} resource - Resource dari database (wajib untuk permission dengan condition)
+ * @returns {Boolean}
+ */
+export const can = (user, action, resource = null) => {
+  if (!user) {
+    return false;
+  }
+
+  return getRolePermissions(user.role).some(permission => {
+    const { name, resource: resourceType, condition } = parsePermission(permission);
+
+    if (name !== action) {
+      return false;
+    }
+
+    if (!condition) {
+      return true;
+    }
+
+    if (!resource) {
+      return false;
+    }
+
+    const rule = OWNERSHIP_RULES[condition]?.resources[resourceType];
+    return Boolean(rule?.(user, resource));
+  });
+};
+
+/**
+ * Policy lengkap untuk ditampilkan ke admin
+ * @returns {Object} - { roles, conditions }
+ */
+export const getPermissionPolicy = () => ({
+  roles: ROLES.map(role => ({
+    role,
+    permissions: getRolePermissions(role)
+  })),
+  conditions: Object.entries(OWNERSHIP_RULES).map(([condition, rule]) => ({
+    condition,
+    description: rule.description,
+    resources: Object.keys(rule.resources)
+  }))
+});
+
+export default {
+  ROLE_PERMISSIONS,
+  OWNERSHIP_RULES,
+  getRolePermissions,
+  hasPermission,
+  can,
+  getPermissionPolicy
+};
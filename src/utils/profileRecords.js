@@ -0,0 +1,248 @@
+/**
+ * Profile Records
+ * Validasi riwayat kerja (Experience) dan pendidikan (Education) kandidat,
+ * plus ringkasan yang dipakai recruiter untuk filter pelamar (total tahun pengalaman, gelar tertinggi)
+ */
+
+// Urutan dari rendah ke tinggi, OTHER tidak ikut diurutkan
+export const DEGREE_LEVELS = ['HIGH_SCHOOL', 'DIPLOMA', 'BACHELOR', 'MASTER', 'DOCTORATE', 'OTHER'];
+const RANKED_DEGREES = DEGREE_LEVELS.filter(degree => degree !== 'OTHER');
+
+export const MAX_RECORDS_PER_USER = 50;
+
+// Batas link di profil (PUT /users/me), juga dipakai saran dari resume
+export const MAX_PROFILE_LINKS = 10;
+
+const SHORT_TEXT_MAX = 200;
+const DESCRIPTION_MAX = 5000;
+
+const EXPERIENCE_FIELDS = {
+  employer: { type: 'text', required: true, maxLength: SHORT_TEXT_MAX },
+  title: { type: 'text', required: true, maxLength: SHORT_TEXT_MAX },
+  location: { type: 'text', maxLength: SHORT_TEXT_MAX },
+  startDate: { type: 'date', required: true },
+  endDate: { type: 'date' },
+  isCurrent: { type: 'boolean' },
+  description: { type: 'text', maxLength: DESCRIPTION_MAX }
+};
+
+const EDUCATION_FIELDS = {
+  institution: { type: 'text', required: true, maxLength: SHORT_TEXT_MAX },
+  degree: { type: 'enum', values: DEGREE_LEVELS },
+  fieldOfStudy: { type: 'text', maxLength: SHORT_TEXT_MAX },
+  startDate: { type: 'date' },
+  endDate: { type: 'date' },
+  isCurrent: { type: 'boolean' },
+  description: { type: 'text', maxLength: DESCRIPTION_MAX }
+};
+
+/**
+ * Parse tanggal YYYY-MM atau YYYY-MM-DD (YYYY-MM dianggap tanggal 1)
+ * @returns {Date|undefined} - undefined kalau format tidak valid
+ */
+const parseDate = (value) => {
+  const match = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/.exec(String(value).trim());
+
+  if (!match) {
+    return undefined;
+  }
+
+  const [, year, month, day = '01'] = match;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+
+  // Tolak tanggal yang "meluap" seperti 2024-02-31
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+    return undefined;
+  }
+
+  return date;
+};
+
+const normalizeField = (field, rule, value, errors) => {
+  const isEmpty = value === null || (typeof value === 'string' && !value.trim());
+
+  if (isEmpty) {
+    if (rule.required) {
+      errors.push(`${field} is required`);
+    }
+    return rule.type === 'boolean' ? false : null;
+  }
+
+  switch (rule.type) {
+    case 'text': {
+      const text = String(value).trim();
+      if (text.length > rule.maxLength) {
+        errors.push(`${field} must be at most ${rule.maxLength} characters`);
+      }
+      return text;
+    }
+    case 'date': {
+      const date = parseDate(value);
+      if (!date) {
+        errors.push(`${field} must be a date in YYYY-MM or YYYY-MM-DD format`);
+      }
+      return date;
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${field} must be a boolean`);
+      }
+      return value === true;
+    case 'enum': {
+      const option = String(value).toUpperCase();
+      if (!rule.values.includes(option)) {
+        errors.push(`${field} must be one of: ${rule.values.join(', ')}`);
+      }
+      return option;
+    }
+    default:
+      return value;
+  }
+};
+
+/**
+ * Validasi input create / update (update parsial: field yang tidak dikirim tidak diubah)
+ * @param {Object} fields - Definisi field
+ * @param {Object} body - Request body
+ * @param {Object|null} existing - Record lama untuk update, null untuk create
+ * @returns {Object} - { data, errors }
+ */
+const validateRecord = (fields, body = {}, existing = null) => {
+  const data = {};
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(fields)) {
+    if (body[field] === undefined) {
+      if (!existing && rule.required) {
+        errors.push(`${field} is required`);
+      }
+      continue;
+    }
+
+    data[field] = normalizeField(field, rule, body[field], errors);
+  }
+
+  if (errors.length) {
+    return { data, errors };
+  }
+
+  const record = { ...existing, ...data };
+
+  // Posisi / studi yang masih berjalan tidak punya tanggal selesai
+  if (record.isCurrent && record.endDate) {
+    if (data.endDate) {
+      errors.push('endDate must be empty when isCurrent is true');
+    } else {
+      data.endDate = null;
+      record.endDate = null;
+    }
+  }
+
+  if (record.startDate && record.endDate && record.endDate < record.startDate) {
+    errors.push('endDate must not be before startDate');
+  }
+
+  return { data, errors };
+};
+
+/**
+ * @param {Object} body - Request body
+ * @param {Object|null} existing - Experience lama (update) atau null (create)
+ * @returns {Object} - { data, errors }
+ */
+export const validateExperience = (body, existing = null) => validateRecord(EXPERIENCE_FIELDS, body, existing);
+
+/**
+ * @param {Object} body - Request body
+ * @param {Object|null} existing - Education lama (update) atau null (create)
+ * @returns {Object} - { data, errors }
+ */
+export const validateEducation = (body, existing = null) => validateRecord(EDUCATION_FIELDS, body, existing);
+
+/**
+ * Total tahun pengalaman kerja, periode yang overlap hanya dihitung sekali
+ * Experience tanpa endDate yang bukan isCurrent tidak dihitung (lama kerjanya tidak diketahui)
+ * @param {Array<Object>} experiences - [{ startDate, endDate, isCurrent }]
+ * @param {Date} now
+ * @returns {Number} - Tahun, dibulatkan 1 angka di belakang koma
+ */
+export const calculateYearsOfExperience = (experiences = [], now = new Date()) => {
+  const periods = experiences
+    .filter(experience => experience.startDate && (experience.endDate || experience.isCurrent))
+    .map(experience => ({
+      start: new Date(experience.startDate).getTime(),
+      end: Math.min(experience.isCurrent ? now.getTime() : new Date(experience.endDate).getTime(), now.getTime())
+    }))
+    .filter(period => period.end > period.start)
+    .sort((a, b) => a.start - b.start);
+
+  let totalMs = 0;
+  let current = null;
+
+  for (const period of periods) {
+    if (current && period.start <= current.end) {
+      current.end = Math.max(current.end, period.end);
+      continue;
+    }
+
+    if (current) {
+      totalMs += current.end - current.start;
+    }
+    current = { ...period };
+  }
+
+  if (current) {
+    totalMs += current.end - current.start;
+  }
+
+  return Math.round(totalMs / (365.25 * 24 * 60 * 60 * 1000) * 10) / 10;
+};
+
+/**
+ * Gelar tertinggi yang sudah selesai (studi yang masih berjalan tidak dihitung)
+ * @param {Array<Object>} educations - [{ degree, isCurrent }]
+ * @returns {String|null}
+ */
+export const getHighestDegree = (educations = []) => {
+  const ranks = educations
+    .filter(education => !education.isCurrent)
+    .map(education => RANKED_DEGREES.indexOf(education.degree))
+    .filter(rank => rank >= 0);
+
+  return ranks.length ? RANKED_DEGREES[Math.max(...ranks)] : null;
+};
+
+/**
+ * Cek gelar memenuhi syarat minimum (untuk filter pelamar)
+ * @param {String|null} degree - Gelar tertinggi kandidat
+ * @param {String} minimum - Gelar minimum (selain OTHER)
+ * @returns {Boolean}
+ */
+export const meetsMinimumDegree = (degree, minimum) => {
+  return RANKED_DEGREES.indexOf(degree) >= RANKED_DEGREES.indexOf(minimum);
+};
+
+/**
+ * Tambahkan field lama experience / education (alias experienceNote / educationNote) ke response user
+ * Client lama masih membaca nama field sebelum riwayat terstruktur ditambahkan
+ * @param {Object} user - User dengan experienceNote / educationNote
+ * @returns {Object}
+ */
+export const withLegacyNoteFields = (user) => {
+  return {
+    ...user,
+    experience: user.experienceNote,
+    education: user.educationNote
+  };
+};
+
+export default {
+  DEGREE_LEVELS,
+  MAX_RECORDS_PER_USER,
+  validateExperience,
+  validateEducation,
+  calculateYearsOfExperience,
+  getHighestDegree,
+  meetsMinimumDegree,
+  withLegacyNoteFields
+};
@@ -0,0 +1,68 @@
+/**
+ * Recruiter Onboarding
+ * User dengan role USER bisa minta akses recruiter dengan data perusahaan, lalu di-review admin
+ *
+ * Cek email kerja: domain email user dibandingkan dengan domain website perusahaan
+ * (subdomain dihitung cocok, misal hr.acme.com untuk acme.com). Hasilnya disimpan untuk membantu admin;
+ * set RECRUITER_REQUIRE_WORK_EMAIL=true untuk menolak permintaan yang domainnya tidak cocok
+ */
+
+export const RECRUITER_REQUEST_STATUSES = ['PENDING', 'APPROVED', 'REJECTED'];
+
+export const isWorkEmailRequired = () => process.env.RECRUITER_REQUIRE_WORK_EMAIL === 'true';
+
+/**
+ * Ambil domain dari website perusahaan
+ * @param {String} website - URL atau domain, misal https://www.acme.com/careers atau acme.com
+ * @returns {String|null} - Domain tanpa www, null kalau tidak valid
+ */
+export const getCompanyDomain = (website) => {
+  if (!website) {
+    return null;
+  }
+
+  const value = String(website).trim();
+
+  try {
+    const { hostname } = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+    const domain = hostname.toLowerCase().replace(/^www\./, '');
+
+    return domain.includes('.') ? domain : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Domain dari alamat email
+ * @param {String} email
+ * @returns {String|null}
+ */
+export const getEmailDomain = (email) => {
+  const domain = String(email || '').split('@')[1];
+  return domain ? domain.toLowerCase() : null;
+};
+
+/**
+ * Cek apakah email memakai domain perusahaan (atau subdomain-nya)
+ * @param {String} email - Email user
+ * @param {String} companyDomain - Dari getCompanyDomain()
+ * @returns {Boolean}
+ */
+export const emailMatchesCompanyDomain = (email, companyDomain) => {
+  const emailDomain = getEmailDomain(email);
+
+  if (!emailDomain || !companyDomain) {
+    return false;
+  }
+
+  return emailDomain === companyDomain || emailDomain.endsWith(`.${companyDomain}`);
+};
+
+export default {
+  RECRUITER_REQUEST_STATUSES,
+  isWorkEmailRequired,
+  getCompanyDomain,
+  getEmailDomain,
+  emailMatchesCompanyDomain
+};
@@ -0,0 +1,572 @@
+import { readZipEntry } from './zip.js';
+import { RESUME_TYPES } from './resumes.js';
+import { MAX_PROFILE_LINKS, validateExperience, validateEducation } from './profileRecords.js';
+
+/**
+ * Resume Parser
+ * Ekstrak teks resume (PDF/DOCX) di server tanpa API eksternal, lalu petakan secara heuristik ke
+ * profil kandidat: kontak, lokasi, skills, riwayat kerja & pendidikan
+ *
+ * Hasilnya hanya saran (buildProfileSuggestions): user mereview lalu mengirim bagian yang disetujui
+ * ke PUT /users/me, tidak ada data profil yang diubah otomatis
+ */
+
+const MAX_PDF_PAGES = 10;
+const MAX_TEXT_LENGTH = 100 * 1000;
+const MAX_SKILLS = 30;
+const MAX_LINKS = 5;
+
+// Judul section resume (Inggris & Indonesia), dicocokkan dengan baris yang sudah di-lowercase
+const SECTION_HEADINGS = {
+  experience: [
+    'experience', 'work experience', 'professional experience', 'employment', 'employment history',
+    'work history', 'career history', 'pengalaman', 'pengalaman kerja', 'riwayat pekerjaan', 'riwayat kerja'
+  ],
+  education: [
+    'education', 'educational background', 'academic background', 'education and training',
+    'pendidikan', 'riwayat pendidikan', 'latar belakang pendidikan'
+  ],
+  skills: [
+    'skills', 'technical skills', 'key skills', 'core skills', 'core competencies', 'competencies',
+    'skills and tools', 'tech stack', 'technologies', 'keahlian', 'kemampuan', 'keterampilan'
+  ],
+  other: [
+    'summary', 'profile', 'professional summary', 'about me', 'objective', 'career objective', 'projects',
+    'certifications', 'certificates', 'licenses and certifications', 'languages', 'awards', 'achievements',
+    'interests', 'hobbies', 'references', 'volunteer', 'volunteering', 'organizations', 'publications',
+    'courses', 'training', 'contact', 'personal information', 'ringkasan', 'profil', 'tentang saya', 'proyek',
+    'sertifikasi', 'bahasa', 'penghargaan', 'organisasi', 'minat', 'referensi', 'kontak', 'data diri',
+    'informasi pribadi'
+  ]
+};
+
+// Skill umum yang dicari di seluruh teks, ditulis dengan kapitalisasi baku
+const KNOWN_SKILLS = [
+  'JavaScript', 'TypeScript', 'Python', 'Java', 'Kotlin', 'Swift', 'PHP', 'Ruby', 'Golang', 'Rust', 'C++', 'C#',
+  'Scala', 'Dart', 'SQL', 'HTML', 'CSS', 'Node.js', 'Express.js', 'NestJS', 'React', 'React Native', 'Next.js',
+  'Vue.js', 'Angular', 'Svelte', 'Flutter', 'Django', 'Flask', 'FastAPI', 'Spring Boot', 'Laravel',
+  'Ruby on Rails', '.NET', 'GraphQL', 'REST API', 'gRPC', 'PostgreSQL', 'MySQL', 'MongoDB', 'Redis',
+  'Elasticsearch', 'Kafka', 'RabbitMQ', 'Docker', 'Kubernetes', 'Terraform', 'AWS', 'Google Cloud', 'Azure',
+  'Linux', 'Git', 'CI/CD', 'Jenkins', 'Prisma', 'Tailwind CSS', 'Figma', 'Machine Learning', 'Deep Learning',
+  'TensorFlow', 'PyTorch', 'Pandas', 'Data Analysis', 'Power BI', 'Tableau', 'Microsoft Excel', 'Scrum', 'Agile',
+  'Project Management', 'Product Management', 'UI/UX', 'SEO', 'Digital Marketing', 'Communication',
+  'Leadership', 'Team Leadership', 'Problem Solving', 'Public Speaking'
+];
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, mei: 5, jun: 6, jul: 7, aug: 8, agu: 8, agt: 8,
+  sep: 9, oct: 10, okt: 10, nov: 11, dec: 12, des: 12
+};
+
+const MONTH_WORD = '(?:jan|feb|mar|apr|may|mei|jun|jul|aug|agu|agt|sep|oct|okt|nov|dec|des)[a-z]*\\.?';
+const DATE = `(?:${MONTH_WORD}\\s+\\d{4}|\\d{1,2}[/.]\\d{4}|\\d{4})`;
+const PRESENT = '(?:present|current|now|today|sekarang|saat ini)';
+const DATE_RANGE = new RegExp(`(${DATE})\\s*(?:-|–|—|to|until|till|s\\.?\\s?d\\.?|sampai)\\s*(${DATE}|${PRESENT})`, 'i');
+
+const BULLET = /^[-•·▪‣◦●*–]\s*/;
+const SEPARATORS = /\s*[|•·–—]\s*|\s+-\s+/;
+
+const JOB_TITLE_WORDS = /\b(engineer|developer|programmer|manager|intern|analyst|designer|lead|consultant|specialist|officer|staff|director|assistant|architect|scientist|administrator|coordinator|executive|head|founder|teacher|lecturer|researcher|supervisor|associate|trainee|magang)\b/i;
+
+const DEGREE_PATTERNS = [
+  ['DOCTORATE', /\b(ph\.?\s?d|doctorate|doctor of|doktor|s3)\b/i],
+  ['MASTER', /\b(master|magister|m\.?sc|mba|m\.eng|m\.kom|s2)\b/i],
+  ['BACHELOR', /\b(bachelor|sarjana|b\.?sc|b\.eng|b\.a\.|s1|s\.kom|s\.t\.|undergraduate)/i],
+  ['DIPLOMA', /\b(diploma|associate degree|d-?3|d-?4|ahli madya|a\.md)\b/i],
+  ['HIGH_SCHOOL', /\b(high school|senior high|secondary school|sma|smk|sman|smkn)\b/i]
+];
+
+const INSTITUTION = /\b(university|universitas|universiteit|universidad|institute|institut|college|polytechnic|politeknik|school|sekolah|academy|akademi|sma|smk|sman|smkn)\b/i;
+
+const EMAIL = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+const PHONE = /(?:\+?\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,5}(?:[\s.-]?\d{2,5}){1,4}/g;
+const URL_PATTERN = /\b(?:https?:\/\/[^\s|,;<>"]+|(?:www\.)?(?:linkedin\.com\/in|github\.com|gitlab\.com|behance\.net|dribbble\.com)\/[^\s|,;<>"]+)/gi;
+const LOCATION_LABEL = /^(?:location|address|alamat|domisili|lokasi|city|kota)\s*[:\-]\s*(.+)$/i;
+const LOCATION_SEGMENT = /^[A-Z][\p{L} .'-]{1,40},\s*[A-Z][\p{L} .'-]{1,40}$/u;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+const KNOWN_SKILL_PATTERNS = KNOWN_SKILLS.map(skill => ({
+  skill,
+  pattern: new RegExp(`(?<![\\w+#.])${escapeRegExp(skill)}(?![\\w+#])`, 'i')
+}));
+
+const decodeXmlEntities = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+/**
+ * Teks dari DOCX: paragraf (w:p) jadi baris, w:t berisi teks
+ */
+const extractDocxText = (buffer) => {
+  const documentXml = readZipEntry(buffer, 'word/document.xml');
+
+  if (!documentXml) {
+    return '';
+  }
+
+  return decodeXmlEntities(documentXml.toString('utf8')
+    .replace(/<w:tab\/>/g, '\t')
+    .replace(/<w:(?:br|cr)\/>/g, '\n')
+    .replace(/<\/w:p>/g, '\n')
+    .replace(/<[^>]+>/g, ''));
+};
+
+/**
+ * Teks dari PDF (pdf.js), baris baru mengikuti posisi teks di halaman
+ */
+const extractPdfText = async (buffer) => {
+  // pdf.js cukup besar, baru di-load saat pertama kali dipakai
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+
+  const document = await getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const pages = [];
+
+    for (let pageNumber = 1; pageNumber <= Math.min(document.numPages, MAX_PDF_PAGES); pageNumber++) {
+      const page = await document.getPage(pageNumber);
+      const content = await page.getTextContent();
+      let text = '';
+      let lastY = null;
+
+      for (const item of content.items) {
+        const y = item.transform?.[5];
+
+        if (lastY !== null && y !== undefined && Math.abs(y - lastY) > 2 && !text.endsWith('\n')) {
+          text += '\n';
+        }
+
+        text += item.str + (item.hasEOL ? '\n' : '');
+        lastY = y ?? lastY;
+      }
+
+      pages.push(text);
+    }
+
+    return pages.join('\n');
+  } finally {
+    await document.destroy();
+  }
+};
+
+/**
+ * Ekstrak teks resume
+ * @param {Buffer} buffer - Isi file
+ * @param {Object} type - Salah satu RESUME_TYPES (hasil detectResumeType)
+ * @returns {String}
+ */
+export const extractResumeText = async (buffer, type) => {
+  const text = type === RESUME_TYPES.docx ? extractDocxText(buffer) : await extractPdfText(buffer);
+  return text.slice(0, MAX_TEXT_LENGTH);
+};
+
+const normalizeHeading = (line) => line
+  .toLowerCase()
+  .replace(/&/g, 'and')
+  .replace(/[:\s]+$/, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const getSectionName = (line) => {
+  if (line.length > 40) {
+    return null;
+  }
+
+  const heading = normalizeHeading(line);
+  return Object.keys(SECTION_HEADINGS).find(name => SECTION_HEADINGS[name].includes(heading)) || null;
+};
+
+/**
+ * Pisahkan baris per section, baris sebelum judul section pertama masuk ke "header" (nama & kontak)
+ */
+const splitSections = (lines) => {
+  const sections = { header: [], experience: [], education: [], skills: [], other: [] };
+  let current = 'header';
+
+  for (const line of lines) {
+    const section = getSectionName(line);
+
+    if (section) {
+      current = section;
+      continue;
+    }
+
+    sections[current].push(line);
+  }
+
+  return sections;
+};
+
+/**
+ * "Jan 2021" / "03/2021" / "2021" -> "2021-01"
+ */
+const toMonth = (value) => {
+  const text = value.toLowerCase().replace(/[./]/g, ' ').trim();
+  const year = /\d{4}/.exec(text)?.[0];
+
+  if (!year) {
+    return null;
+  }
+
+  const monthWord = /^[a-z]+/.exec(text)?.[0];
+  const monthNumber = monthWord ? MONTHS[monthWord.slice(0, 3)] : parseInt(/^(\d{1,2})\s/.exec(text)?.[1] || '1');
+
+  if (!monthNumber || monthNumber > 12) {
+    return null;
+  }
+
+  return `${year}-${String(monthNumber).padStart(2, '0')}`;
+};
+
+const parseDateRange = (line) => {
+  const match = DATE_RANGE.exec(line);
+
+  if (!match) {
+    return null;
+  }
+
+  const isCurrent = new RegExp(`^${PRESENT}$`, 'i').test(match[2].trim());
+
+  return {
+    text: match[0],
+    startDate: toMonth(match[1]),
+    endDate: isCurrent ? null : toMonth(match[2]),
+    isCurrent
+  };
+};
+
+const isBullet = (line) => BULLET.test(line);
+
+const cleanPart = (text) => text.replace(BULLET, '').replace(/^[\s,|()–—-]+|[\s,|()–—-]+$/g, '').trim();
+
+const splitParts = (text) => {
+  const atMatch = /^(.+?)\s+(?:at|@|di)\s+(.+)$/i.exec(text);
+  const parts = atMatch ? [atMatch[1], ...atMatch[2].split(SEPARATORS)] : text.split(SEPARATORS);
+
+  return parts.map(cleanPart).filter(Boolean);
+};
+
+/**
+ * Header posisi, koma juga dipakai sebagai pemisah ("Backend Developer, Gojek") kalau
+ * tepat satu bagian berisi jabatan, supaya lokasi seperti "Jakarta, Indonesia" tidak ikut terpecah
+ */
+const splitHeaderParts = (text) => splitParts(text).flatMap((part) => {
+  const pieces = part.split(',').map(cleanPart).filter(Boolean);
+
+  return pieces.filter(piece => JOB_TITLE_WORDS.test(piece)).length === 1 ? pieces : [part];
+});
+
+/**
+ * Riwayat kerja: setiap baris dengan rentang tanggal menandai satu posisi,
+ * jabatan & perusahaan diambil dari baris itu / baris di atasnya, bullet di bawahnya jadi deskripsi
+ */
+const parseExperiences = (lines) => {
+  const entryLines = lines
+    .map((line, index) => ({ index, range: parseDateRange(line) }))
+    .filter(entry => entry.range?.startDate);
+
+  const experiences = [];
+  let consumed = -1;
+
+  entryLines.forEach(({ index, range }, position) => {
+    const nextIndex = entryLines[position + 1]?.index ?? lines.length;
+    const inline = cleanPart(lines[index].replace(range.text, ''));
+    const headerLines = inline ? [inline] : [];
+
+    // Jabatan / perusahaan di baris sebelum tanggal (maksimal 2 baris)
+    const before = lines.slice(consumed + 1, index).filter(line => !isBullet(line));
+    headerLines.unshift(...before.slice(-(2 - headerLines.length)));
+
+    let descriptionStart = index + 1;
+
+    // Format tanggal di atas: jabatan / perusahaan di baris setelah tanggal
+    if (!headerLines.length) {
+      while (descriptionStart < nextIndex && headerLines.length < 2 && !isBullet(lines[descriptionStart])) {
+        headerLines.push(lines[descriptionStart]);
+        descriptionStart++;
+      }
+    }
+
+    // Baris biasa tepat sebelum posisi berikutnya adalah judul posisi berikutnya
+    let descriptionEnd = nextIndex;
+    while (descriptionEnd > descriptionStart && nextIndex < lines.length && !isBullet(lines[descriptionEnd - 1]) && nextIndex - descriptionEnd < 2) {
+      descriptionEnd--;
+    }
+
+    consumed = descriptionEnd - 1;
+
+    let [title, employer, location] = headerLines.flatMap(splitHeaderParts);
+
+    if (employer && JOB_TITLE_WORDS.test(employer) && !JOB_TITLE_WORDS.test(title)) {
+      [title, employer] = [employer, title];
+    }
+
+    const description = lines.slice(descriptionStart, descriptionEnd)
+      .map(line => line.replace(BULLET, '').trim())
+      .filter(Boolean)
+      .join('\n');
+
+    const suggestion = {
+      employer: employer || null,
+      title: title || null,
+      location: location && !/\d/.test(location) ? location : null,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      isCurrent: range.isCurrent,
+      description: description || null
+    };
+
+    if (!validateExperience(suggestion).errors.length) {
+      experiences.push(suggestion);
+    }
+  });
+
+  return experiences;
+};
+
+const detectDegree = (line) => DEGREE_PATTERNS.find(([, pattern]) => pattern.test(line))?.[0] || null;
+
+/**
+ * Jurusan: teks setelah nama gelar, misal "Bachelor of Computer Science" -> "Computer Science"
+ */
+const detectFieldOfStudy = (line, degree) => {
+  const pattern = DEGREE_PATTERNS.find(([name]) => name === degree)[1];
+  const match = pattern.exec(line);
+  const rest = line.slice(match.index + match[0].length)
+    .replace(DATE_RANGE, '')
+    .replace(/\b(gpa|ipk)\b.*$/i, '')
+    .replace(/\b\d{4}\b/g, '')
+    .replace(/^['’]?s?\s*(?:degree)?\s*(?:of science in|of arts in|of engineering in|of|in|jurusan|program studi|prodi)?\s*/i, '');
+
+  return cleanPart(rest.split(SEPARATORS)[0] || '').replace(/,.*$/, '') || null;
+};
+
+/**
+ * Riwayat pendidikan: setiap baris dengan nama institusi memulai entri baru,
+ * gelar, jurusan dan tahun diambil dari baris-baris berikutnya
+ */
+const parseEducations = (lines) => {
+  const entries = [];
+  let current = null;
+
+  for (const line of lines) {
+    const institutionPart = splitParts(line).find(part => INSTITUTION.test(part));
+    const degree = detectDegree(line);
+
+    if (institutionPart && (!current || current.institution)) {
+      current = { institution: null, degree: null, fieldOfStudy: null, startDate: null, endDate: null, isCurrent: false };
+      entries.push(current);
+    } else if (!current) {
+      if (!degree) {
+        continue;
+      }
+      current = { institution: null, degree: null, fieldOfStudy: null, startDate: null, endDate: null, isCurrent: false };
+      entries.push(current);
+    }
+
+    if (institutionPart && !current.institution) {
+      current.institution = institutionPart;
+    }
+
+    if (degree && !current.degree) {
+      current.degree = degree;
+      current.fieldOfStudy = degree === 'HIGH_SCHOOL' ? null : detectFieldOfStudy(line, degree);
+    }
+
+    const range = parseDateRange(line);
+
+    if (range && !current.startDate) {
+      Object.assign(current, { startDate: range.startDate, endDate: range.endDate, isCurrent: range.isCurrent });
+    } else if (!range && !current.endDate && !current.startDate) {
+      // Hanya tahun lulus
+      const year = /\b(19|20)\d{2}\b/.exec(line)?.[0];
+      if (year) {
+        current.endDate = `${year}-01`;
+      }
+    }
+  }
+
+  return entries.filter(entry => !validateEducation(entry).errors.length);
+};
+
+/**
+ * Skills dari section skills (dipisah koma, titik koma, bullet; "Label: a, b" diambil bagian setelah ":")
+ * ditambah skill umum yang disebut di mana saja
+ */
+const parseSkills = (skillLines, text) => {
+  const fromSection = skillLines.flatMap(line => {
+    const content = line.replace(BULLET, '').replace(/^[^:]{1,30}:\s*/, '');
+    return content.split(/\s*[,;|•·]\s*/);
+  })
+    .map(skill => cleanPart(skill.replace(/\(.*?\)/g, '')).replace(/\.$/, ''))
+    .filter(skill => skill.length <= 40 && skill.split(/\s+/).length <= 4 && /\p{L}/u.test(skill));
+
+  const fromText = KNOWN_SKILL_PATTERNS.filter(({ pattern }) => pattern.test(text)).map(({ skill }) => skill);
+
+  const skills = new Map();
+
+  for (const skill of [...fromSection, ...fromText]) {
+    const canonical = KNOWN_SKILLS.find(known => known.toLowerCase() === skill.toLowerCase()) || skill;
+    const key = canonical.toLowerCase();
+
+    if (!skills.has(key)) {
+      skills.set(key, canonical);
+    }
+  }
+
+  return [...skills.values()].slice(0, MAX_SKILLS);
+};
+
+const normalizeLink = (link) => {
+  const url = link.replace(/[).,]+$/, '');
+  return /^https?:\/\//i.test(url) ? url : `https://${url}`;
+};
+
+/**
+ * Kontak (nama, email, telepon, link) dan lokasi dari bagian atas resume / baris berlabel
+ */
+const parseContact = (headerLines, lines) => {
+  const headerText = headerLines.join('\n');
+  const segments = headerLines.flatMap(line => line.split(/\s*[|•·\t]\s*|\s{2,}/)).map(segment => segment.trim()).filter(Boolean);
+
+  const email = EMAIL.exec(headerText)?.[0] || EMAIL.exec(lines.join('\n'))?.[0] || null;
+
+  // Telepon dicari di header dan baris berlabel saja, supaya tahun / angka lain tidak ikut
+  const phoneSources = [...segments, ...lines.filter(line => /\b(phone|telp|tel|hp|mobile|whatsapp|wa)\b/i.test(line))];
+  const phone = phoneSources
+    .flatMap(source => source.replace(EMAIL, '').match(PHONE) || [])
+    .map(candidate => candidate.trim())
+    .find(candidate => {
+      const digits = candidate.replace(/\D/g, '').length;
+      // Deretan tahun (misal "2014 - 2018 2019") bukan nomor telepon
+      return digits >= 9 && digits <= 15 && !/^(?:(?:19|20)\d{2}\D*){2,}$/.test(candidate);
+    }) || null;
+
+  const links = [...new Set((headerText.match(URL_PATTERN) || []).map(normalizeLink))].slice(0, MAX_LINKS);
+
+  const name = headerLines.find(line =>
+    /^[\p{L}][\p{L} .'-]{1,50}$/u.test(line)
+    && line.split(/\s+/).length >= 2
+    && line.split(/\s+/).length <= 4
+    && !/\b(curriculum vitae|resume|daftar riwayat hidup)\b/i.test(line)
+  ) || null;
+
+  const labeledLocation = lines.map(line => LOCATION_LABEL.exec(line)?.[1]).find(Boolean);
+  const location = labeledLocation?.trim().slice(0, 100)
+    || segments.find(segment => LOCATION_SEGMENT.test(segment) && segment !== name)
+    || null;
+
+  return { name, email, phone, links, location };
+};
+
+/**
+ * Petakan teks resume ke data profil
+ * @param {String} text - Hasil extractResumeText()
+ * @returns {Object} - { name, email, phone, links, location, skills, experiences, educations }
+ */
+export const parseResumeText = (text) => {
+  const lines = text
+    .split(/\r?\n/)
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  const sections = splitSections(lines);
+
+  return {
+    ...parseContact(sections.header, lines),
+    skills: parseSkills(sections.skills, lines.join('\n')),
+    experiences: parseExperiences(sections.experience),
+    educations: parseEducations(sections.education)
+  };
+};
+
+const toMonthString = (date) => (date ? new Date(date).toISOString().slice(0, 7) : null);
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Saran perubahan profil dari hasil parse, dibandingkan dengan profil sekarang
+ * Field yang sama dengan profil sekarang tidak disarankan, skills & links digabung dengan yang sudah ada
+ * (link baru hanya sampai MAX_PROFILE_LINKS supaya saran tetap lolos validasi PUT /users/me),
+ * experience / education yang sudah tercatat (perusahaan / institusi & tanggal mulai sama) dilewati
+ * @param {Object} parsed - Hasil parseResumeText()
+ * @param {Object} profile - { name, location, skills, phone, links, experiences, educations }
+ * @returns {Object} - { changes, diff } changes bisa langsung dikirim ke PUT /users/me
+ */
+export const buildProfileSuggestions = (parsed, profile) => {
+  const changes = {};
+  const diff = {};
+
+  const suggest = (field, suggested, current) => {
+    changes[field] = suggested;
+    diff[field] = { current: current ?? null, suggested };
+  };
+
+  if (parsed.name && !profile.name) {
+    suggest('name', parsed.name, profile.name);
+  }
+
+  if (parsed.location && !sameText(parsed.location, profile.location)) {
+    suggest('location', parsed.location, profile.location);
+  }
+
+  if (parsed.phone && parsed.phone.replace(/\D/g, '') !== (profile.phone || '').replace(/\D/g, '')) {
+    suggest('phone', parsed.phone, profile.phone);
+  }
+
+  const currentSkills = profile.skills || [];
+  const newSkills = parsed.skills.filter(skill => !currentSkills.some(current => sameText(current, skill)));
+
+  if (newSkills.length) {
+    suggest('skills', [...currentSkills, ...newSkills], currentSkills);
+    diff.skills.added = newSkills;
+  }
+
+  const currentLinks = profile.links || [];
+  const newLinks = parsed.links
+    .filter(link => !currentLinks.some(current => sameText(current.replace(/\/$/, ''), link.replace(/\/$/, ''))))
+    .slice(0, Math.max(0, MAX_PROFILE_LINKS - currentLinks.length));
+
+  if (newLinks.length) {
+    suggest('links', [...currentLinks, ...newLinks], currentLinks);
+    diff.links.added = newLinks;
+  }
+
+  const newExperiences = parsed.experiences.filter(experience => !(profile.experiences || []).some(existing =>
+    sameText(existing.employer, experience.employer) && toMonthString(existing.startDate) === experience.startDate
+  ));
+
+  if (newExperiences.length) {
+    changes.experiences = newExperiences;
+    diff.experiences = { added: newExperiences.length };
+  }
+
+  const newEducations = parsed.educations.filter(education => !(profile.educations || []).some(existing =>
+    sameText(existing.institution, education.institution) && (!existing.degree || !education.degree || existing.degree === education.degree)
+  ));
+
+  if (newEducations.length) {
+    changes.educations = newEducations;
+    diff.educations = { added: newEducations.length };
+  }
+
+  return { changes, diff };
+};
+
+export default {
+  extractResumeText,
+  parseResumeText,
+  buildProfileSuggestions
+};
@@ -0,0 +1,108 @@
+import path from 'path';
+import crypto from 'crypto';
+import { getStorage } from '../config/storage.js';
+
+/**
+ * Resume Files
+ * Resume (PDF/DOCX) disimpan lewat storage driver dengan key resumes/<userId>/..., bukan di folder public,
+ * dan hanya bisa diunduh lewat GET /api/resumes/:id/download (lihat permission resume:read)
+ * yang me-redirect ke signed URL berumur pendek
+ *
+ * Tipe file dicek dari isi file (magic bytes), bukan dari mimetype / ekstensi yang dikirim client
+ */
+
+export const RESUME_TYPES = {
+  pdf: { extension: 'pdf', mimeType: 'application/pdf' },
+  docx: { extension: 'docx', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' }
+};
+
+export const resumeMaxSizeMb = () => parseInt(process.env.RESUME_MAX_SIZE_MB || '5');
+
+export const resumeMaxVersions = () => parseInt(process.env.RESUME_MAX_VERSIONS || '10');
+
+/**
+ * Deteksi tipe resume dari isi file
+ * PDF: header %PDF- (boleh didahului sampah sampai 1KB, sesuai spesifikasi)
+ * DOCX: arsip ZIP yang berisi word/document.xml (nama file di ZIP tidak dikompres)
+ * @param {Buffer} buffer - Isi file
+ * @returns {Object|null} - Salah satu RESUME_TYPES, null kalau bukan PDF/DOCX
+ */
+export const detectResumeType = (buffer) => {
+  if (!buffer || buffer.length < 5) {
+    return null;
+  }
+
+  if (buffer.subarray(0, 1024).includes('%PDF-')) {
+    return RESUME_TYPES.pdf;
+  }
+
+  const isZip = buffer.readUInt32LE(0) === 0x04034b50;
+
+  if (isZip && buffer.includes('word/document.xml') && buffer.includes('[Content_Types].xml')) {
+    return RESUME_TYPES.docx;
+  }
+
+  return null;
+};
+
+/**
+ * SHA-256 isi file (dipakai untuk skip upload ulang file yang sama)
+ */
+export const hashResumeFile = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Simpan file resume
+ * @param {String} userId - Pemilik resume
+ * @param {Buffer} buffer - Isi file
+ * @param {Object} type - Salah satu RESUME_TYPES
+ * @returns {String} - Storage key
+ */
+export const storeResumeFile = async (userId, buffer, type) => {
+  const storageKey = `resumes/${userId}/${crypto.randomUUID()}.${type.extension}`;
+  await getStorage().put(storageKey, buffer, { contentType: type.mimeType });
+
+  return storageKey;
+};
+
+/**
+ * Baca file resume
+ * @returns {Buffer|null} - Null kalau file tidak ada
+ */
+export const readResumeFile = async (storageKey) => {
+  return await getStorage().get(storageKey);
+};
+
+/**
+ * Hapus file resume (gagal hapus hanya di-log, record di database sudah dihapus)
+ */
+export const deleteResumeFile = async (storageKey) => {
+  try {
+    await getStorage().delete(storageKey);
+  } catch (error) {
+    console.error(`Delete resume file error (${storageKey}):`, error);
+  }
+};
+
+/**
+ * Nama file untuk download, ekstensi mengikuti tipe file yang terdeteksi
+ * @param {Object} resume - { fileName, version, mimeType }
+ * @returns {String}
+ */
+export const getResumeDownloadName = (resume) => {
+  const type = Object.values(RESUME_TYPES).find(t => t.mimeType === resume.mimeType) || RESUME_TYPES.pdf;
+  const baseName = path.basename(resume.fileName || '', path.extname(resume.fileName || '')) || `resume-v${resume.version}`;
+
+  return `${baseName}.${type.extension}`;
+};
+
+export default {
+  RESUME_TYPES,
+  resumeMaxSizeMb,
+  resumeMaxVersions,
+  detectResumeType,
+  hashResumeFile,
+  storeResumeFile,
+  readResumeFile,
+  deleteResumeFile,
+  getResumeDownloadName
+};
@@ -0,0 +1,183 @@
+import crypto from 'crypto';
+
+/**
+ * S3 Client
+ * Client minimal untuk storage S3-compatible (AWS S3, MinIO, Cloudflare R2, ...) tanpa SDK:
+ * request ditandatangani dengan AWS Signature Version 4 dan dikirim lewat fetch
+ *
+ * Hanya operasi yang dipakai storage driver: put, get, delete object dan presigned GET URL
+ */
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// encodeURIComponent belum meng-encode !'()* sesuai RFC 3986
+const encodeRfc3986 = (value) => encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => key.split('/').map(encodeRfc3986).join('/');
+
+const toAmzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+const canonicalQuery = (query) => Object.keys(query)
+  .sort()
+  .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+  .join('&');
+
+/**
+ * URL object: path-style (http://minio:9000/bucket/key) atau virtual-hosted (https://bucket.s3.amazonaws.com/key)
+ */
+const objectUrl = (config, key) => {
+  const endpoint = new URL(config.endpoint || (config.region === 'us-east-1' ? 'https://s3.amazonaws.com' : `https://s3.${config.region}.amazonaws.com`));
+  const basePath = endpoint.pathname.replace(/\/$/, '');
+
+  if (config.forcePathStyle) {
+    return { host: endpoint.host, origin: endpoint.origin, path: `${basePath}/${encodeRfc3986(config.bucket)}/${encodeKey(key)}` };
+  }
+
+  const host = `${config.bucket}.${endpoint.host}`;
+  return { host, origin: `${endpoint.protocol}//${host}`, path: `${basePath}/${encodeKey(key)}` };
+};
+
+/**
+ * Signature V4
+ * @param {Object} config - { region, accessKeyId, secretAccessKey }
+ * @param {Object} request - { method, path, query, headers (lowercase), payloadHash, date }
+ * @returns {Object} - { signature, credential, signedHeaders }
+ */
+export const signRequest = (config, { method, path, query = {}, headers, payloadHash, date }) => {
+  const amzDate = toAmzDate(date);
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+
+  const headerNames = Object.keys(headers).sort();
+  const signedHeaders = headerNames.join(';');
+  const canonicalHeaders = headerNames.map(name => `${name}:${String(headers[name]).trim()}\n`).join('');
+
+  const canonicalRequest = [method, path, canonicalQuery(query), canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const stringToSign = [ALGORITHM, amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${config.secretAccessKey}`, dateStamp), config.region)
+  );
+
+  return {
+    signature: crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex'),
+    credential: `${config.accessKeyId}/${scope}`,
+    signedHeaders
+  };
+};
+
+/**
+ * Kirim request yang sudah ditandatangani
+ * @returns {Response}
+ */
+const sendRequest = async (config, method, key, { body, contentType } = {}) => {
+  const { host, origin, path } = objectUrl(config, key);
+  const date = new Date();
+  const payloadHash = body ? sha256Hex(body) : EMPTY_PAYLOAD_HASH;
+
+  const headers = {
+    host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': toAmzDate(date),
+    ...(contentType && { 'content-type': contentType })
+  };
+
+  const { signature, credential, signedHeaders } = signRequest(config, { method, path, headers, payloadHash, date });
+  const { host: _host, ...requestHeaders } = headers;
+
+  return await fetch(`${origin}${path}`, {
+    method,
+    body,
+    headers: {
+      ...requestHeaders,
+      authorization: `${ALGORITHM} Credential=${credential}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    }
+  });
+};
+
+const requestError = async (response, operation, key) => {
+  const body = await response.text().catch(() => '');
+  const code = /<Code>([^<]+)<\/Code>/.exec(body)?.[1];
+  return new Error(`S3 ${operation} ${key} failed: ${response.status}${code ? ` ${code}` : ''}`);
+};
+
+/**
+ * Buat client untuk satu bucket
+ * @param {Object} config - { endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle }
+ */
+export const createS3Client = (config) => ({
+  putObject: async (key, body, contentType) => {
+    const response = await sendRequest(config, 'PUT', key, { body, contentType });
+
+    if (!response.ok) {
+      throw await requestError(response, 'PUT', key);
+    }
+  },
+
+  /**
+   * @returns {Buffer|null} - Null kalau object tidak ada
+   */
+  getObject: async (key) => {
+    const response = await sendRequest(config, 'GET', key);
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw await requestError(response, 'GET', key);
+    }
+
+    return Buffer.from(await response.arrayBuffer());
+  },
+
+  deleteObject: async (key) => {
+    const response = await sendRequest(config, 'DELETE', key);
+
+    if (!response.ok && response.status !== 404) {
+      throw await requestError(response, 'DELETE', key);
+    }
+  },
+
+  /**
+   * Presigned GET URL
+   * @param {String} key - Object key
+   * @param {Object} options - { expiresIn (detik), responseHeaders: { 'response-content-disposition': ... }, date }
+   * @returns {String}
+   */
+  presignGetObject: (key, { expiresIn = 300, responseHeaders = {}, date = new Date() } = {}) => {
+    const { host, origin, path } = objectUrl(config, key);
+    const amzDate = toAmzDate(date);
+
+    const query = {
+      'X-Amz-Algorithm': ALGORITHM,
+      'X-Amz-Credential': `${config.accessKeyId}/${amzDate.slice(0, 8)}/${config.region}/s3/aws4_request`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(expiresIn),
+      'X-Amz-SignedHeaders': 'host',
+      ...responseHeaders
+    };
+
+    const { signature } = signRequest(config, {
+      method: 'GET',
+      path,
+      query,
+      headers: { host },
+      payloadHash: 'UNSIGNED-PAYLOAD',
+      date
+    });
+
+    return `${origin}${path}?${canonicalQuery(query)}&X-Amz-Signature=${signature}`;
+  }
+});
+
+export default {
+  signRequest,
+  createS3Client
+};
@@ -0,0 +1,16 @@
+import prisma from '../config/database.js';
+
+export const ROLES = ['USER', 'ADMIN', 'RECRUITER'];
+
+/**
+ * Cek apakah role wajib pakai two-factor authentication
+ * @param {String} role - User role
+ * @returns {Boolean}
+ */
+export const isTwoFactorRequiredForRole = async (role) => {
+  const policy = await prisma.roleSecurityPolicy.findUnique({
+    where: { role }
+  });
+
+  return Boolean(policy?.requireTwoFactor);
+};
@@ -0,0 +1,273 @@
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import { durationToSeconds } from './helpers.js';
+
+/**
+ * JWT Signing Keys (RS256 / ES256)
+ * Aktif kalau JWT_ALGORITHM=RS256 atau ES256 (default HS256 pakai JWT_SECRET / JWT_REFRESH_SECRET)
+ *
+ * Key disimpan di database supaya semua instance server memakai key ring yang sama:
+ * - Token di-sign dengan key terbaru yang sudah aktif, header berisi kid
+ * - Key baru dibuat otomatis setiap JWT_KEY_ROTATION_DAYS (default 30 hari), dan sudah
+ *   dipublish di JWKS sebelum dipakai sign supaya service lain sempat mengambilnya
+ * - Key lama tetap dipublish sampai token terakhir yang di-sign dengan key itu expired
+ *
+ * Key ring di-cache di memory dan di-refresh setiap JWT_KEY_REFRESH_MINUTES (default 5 menit),
+ * jadi sign & verify tetap synchronous
+ * Private key dienkripsi (AES-256-GCM) kalau JWT_KEY_ENCRYPTION_SECRET diisi
+ */
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+
+let keyRing = []; // [{ kid, algorithm, generation, privateKey, publicKey, publicJwk, activatesAt, expiresAt }]
+let refreshTimer = null;
+
+export const getJwtAlgorithm = () => (process.env.JWT_ALGORITHM || 'HS256').toUpperCase();
+
+export const isAsymmetricSigning = () => SUPPORTED_ALGORITHMS.includes(getJwtAlgorithm());
+
+const rotationIntervalMs = () => parseInt(process.env.JWT_KEY_ROTATION_DAYS || '30') * 24 * 60 * 60 * 1000;
+
+const refreshIntervalMs = () => parseInt(process.env.JWT_KEY_REFRESH_MINUTES || '5') * 60 * 1000;
+
+// Key baru dipublish dulu selama 2x interval refresh sebelum dipakai sign
+const prepublishMs = () => refreshIntervalMs() * 2;
+
+// Token terlama yang di-sign dengan key ini (refresh token) harus tetap bisa diverifikasi
+const maxTokenLifetimeMs = () => {
+  const refresh = durationToSeconds(process.env.JWT_REFRESH_EXPIRES_IN || '7d', 7 * 24 * 60 * 60);
+  const access = durationToSeconds(process.env.JWT_EXPIRES_IN || '15m', 15 * 60);
+  return Math.max(refresh, access, 24 * 60 * 60) * 1000;
+};
+
+/**
+ * Enkripsi private key sebelum disimpan ke database
+ */
+const encryptionKey = () => {
+  const secret = process.env.JWT_KEY_ENCRYPTION_SECRET;
+  return secret ? crypto.createHash('sha256').update(secret).digest() : null;
+};
+
+const sealPrivateKey = (pem) => {
+  const key = encryptionKey();
+
+  if (!key) {
+    return pem;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()]);
+
+  return ['enc', 'v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+const openPrivateKey = (stored) => {
+  if (!stored.startsWith('enc:v1:')) {
+    return stored;
+  }
+
+  const key = encryptionKey();
+
+  if (!key) {
+    throw new Error('JWT_KEY_ENCRYPTION_SECRET is required to load encrypted signing keys');
+  }
+
+  const [, , iv, tag, ciphertext] = stored.split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Generate key pair baru sesuai algoritma
+ */
+const generateKeyPair = (algorithm) => {
+  const { publicKey, privateKey } = algorithm === 'ES256'
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  return {
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  };
+};
+
+const toRingEntry = (record) => {
+  const publicKey = crypto.createPublicKey(record.publicKey);
+
+  return {
+    kid: record.kid,
+    algorithm: record.algorithm,
+    generation: record.generation,
+    privateKey: crypto.createPrivateKey(openPrivateKey(record.privateKey)),
+    publicKey,
+    publicJwk: {
+      ...publicKey.export({ format: 'jwk' }),
+      kid: record.kid,
+      alg: record.algorithm,
+      use: 'sig'
+    },
+    activatesAt: record.activatesAt,
+    expiresAt: record.expiresAt
+  };
+};
+
+/**
+ * Load ulang key ring dari database
+ */
+export const loadSigningKeys = async () => {
+  const records = await prisma.signingKey.findMany({
+    where: {
+      OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }]
+    },
+    orderBy: { generation: 'desc' }
+  });
+
+  keyRing = records.map(toRingEntry);
+  return keyRing;
+};
+
+/**
+ * Buat key baru kalau key terbaru sudah waktunya dirotasi (atau algoritma diganti)
+ * Aman dijalankan bersamaan di beberapa instance: generation unik, yang kalah cukup reload
+ * @param {Object} options - { force } untuk rotasi sekarang juga
+ * @returns {Boolean} - True jika key baru dibuat
+ */
+export const rotateSigningKeysIfDue = async ({ force = false } = {}) => {
+  const algorithm = getJwtAlgorithm();
+  const now = Date.now();
+  const latest = keyRing[0];
+
+  const isDue = !latest
+    || force
+    || latest.algorithm !== algorithm
+    || latest.activatesAt.getTime() + rotationIntervalMs() <= now + prepublishMs();
+
+  if (!isDue) {
+    return false;
+  }
+
+  // Key pertama langsung aktif, key berikutnya dipublish dulu sebelum dipakai sign
+  const activatesAt = new Date(latest ? now + prepublishMs() : now);
+  const { publicKey, privateKey } = generateKeyPair(algorithm);
+
+  try {
+    await prisma.$transaction([
+      prisma.signingKey.create({
+        data: {
+          kid: crypto.randomUUID(),
+          algorithm,
+          generation: (latest?.generation || 0) + 1,
+          publicKey,
+          privateKey: sealPrivateKey(privateKey),
+          activatesAt
+        }
+      }),
+      // Key lama berhenti dipublish setelah semua token yang di-sign dengannya expired
+      prisma.signingKey.updateMany({
+        where: { expiresAt: null, generation: { lte: latest?.generation || 0 } },
+        data: { expiresAt: new Date(activatesAt.getTime() + maxTokenLifetimeMs()) }
+      })
+    ]);
+  } catch (error) {
+    // Instance lain sudah membuat key untuk generation ini
+    if (error.code !== 'P2002') {
+      throw error;
+    }
+  }
+
+  await loadSigningKeys();
+  return true;
+};
+
+/**
+ * Hapus key yang sudah tidak dipublish lagi
+ */
+const pruneExpiredKeys = async () => {
+  await prisma.signingKey.deleteMany({
+    where: { expiresAt: { lte: new Date() } }
+  });
+};
+
+/**
+ * Inisialisasi key ring saat server start (no-op untuk HS256)
+ * Jalankan sebelum server menerima request
+ */
+export const initSigningKeys = async () => {
+  if (!isAsymmetricSigning()) {
+    return;
+  }
+
+  await loadSigningKeys();
+  await rotateSigningKeysIfDue();
+
+  if (!refreshTimer) {
+    refreshTimer = setInterval(async () => {
+      try {
+        await loadSigningKeys();
+        await rotateSigningKeysIfDue();
+        await pruneExpiredKeys();
+      } catch (error) {
+        console.error('Signing key refresh error:', error);
+      }
+    }, refreshIntervalMs());
+    refreshTimer.unref();
+  }
+
+  console.log(`JWT signing: ${getJwtAlgorithm()} with ${keyRing.length} published key(s)`);
+};
+
+/**
+ * Key untuk sign token: key terbaru yang sudah aktif
+ * @returns {Object} - { kid, algorithm, privateKey }
+ */
+export const getActiveSigningKey = () => {
+  const now = Date.now();
+  const key = keyRing.find(item => item.activatesAt.getTime() <= now);
+
+  if (!key) {
+    throw new Error('No active JWT signing key. Did initSigningKeys() run?');
+  }
+
+  return key;
+};
+
+/**
+ * Key untuk verifikasi berdasarkan kid
+ * @param {String} kid - Key ID dari header token
+ * @returns {Object|null} - { kid, algorithm, publicKey }
+ */
+export const getVerificationKey = (kid) => {
+  const key = keyRing.find(item => item.kid === kid);
+
+  if (!key || (key.expiresAt && key.expiresAt.getTime() <= Date.now())) {
+    return null;
+  }
+
+  return key;
+};
+
+/**
+ * Public keys untuk /.well-known/jwks.json
+ * @returns {Object} - JWK Set
+ */
+export const getPublicJwks = () => {
+  const now = Date.now();
+
+  return {
+    keys: keyRing
+      .filter(item => !item.expiresAt || item.expiresAt.getTime() > now)
+      .map(item => item.publicJwk)
+  };
+};
+
+export default {
+  initSigningKeys,
+  loadSigningKeys,
+  rotateSigningKeysIfDue,
+  getActiveSigningKey,
+  getVerificationKey,
+  getPublicJwks
+};
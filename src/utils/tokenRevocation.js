@@ -0,0 +1,91 @@
+import prisma from '../config/database.js';
+import { kvSet, kvGet, kvExists } from './kvStore.js';
+import { durationToSeconds } from './helpers.js';
+
+/**
+ * Access Token Revocation
+ * Access token berlaku sampai expired (default 15 menit), jadi untuk logout,
+ * ganti password, atau deaktivasi akun kita simpan denylist di Redis:
+ * - jti     : satu access token tertentu
+ * - sid     : semua access token dari satu session
+ * - version : semua access token user dengan tokenVersion lebih lama
+ * Key cukup disimpan selama umur maksimal access token
+ */
+
+/**
+ * Umur access token dalam detik (dari JWT_EXPIRES_IN)
+ */
+export const accessTokenLifetime = () => {
+  return durationToSeconds(process.env.JWT_EXPIRES_IN || '15m', 15 * 60);
+};
+
+const remainingLifetime = (payload) => {
+  return payload?.exp ? payload.exp - Math.floor(Date.now() / 1000) : accessTokenLifetime();
+};
+
+/**
+ * Revoke satu access token (misal saat logout)
+ * @param {Object} payload - Decoded access token
+ */
+export const revokeAccessToken = async (payload) => {
+  if (!payload?.jti) {
+    return;
+  }
+
+  const ttl = remainingLifetime(payload);
+  if (ttl > 0) {
+    await kvSet(`auth:denylist:jti:${payload.jti}`, '1', ttl);
+  }
+};
+
+/**
+ * Revoke semua access token dari satu session
+ * @param {String} sessionId - Session ID
+ */
+export const revokeSessionAccessTokens = async (sessionId) => {
+  await kvSet(`auth:denylist:sid:${sessionId}`, '1', accessTokenLifetime());
+};
+
+/**
+ * Naikkan tokenVersion user, semua access token lama jadi tidak berlaku
+ * Dipakai saat ganti/reset password dan deaktivasi akun
+ * @param {String} userId - User ID
+ * @returns {Number} - tokenVersion baru
+ */
+export const bumpTokenVersion = async (userId) => {
+  const { tokenVersion } = await prisma.user.update({
+    where: { id: userId },
+    data: { tokenVersion: { increment: 1 } },
+    select: { tokenVersion: true }
+  });
+
+  await kvSet(`auth:token-version:${userId}`, tokenVersion, accessTokenLifetime());
+  return tokenVersion;
+};
+
+/**
+ * Cek apakah access token sudah di-revoke
+ * @param {Object} payload - Decoded access token
+ * @param {Object} user - User dari database (berisi tokenVersion)
+ * @returns {Boolean}
+ */
+export const isAccessTokenRevoked = async (payload, user) => {
+  const tokenVersion = payload.ver ?? 0;
+
+  // Database sebagai sumber kebenaran kalau Redis tidak tersedia
+  if (user && tokenVersion < user.tokenVersion) {
+    return true;
+  }
+
+  const [jtiRevoked, sidRevoked, currentVersion] = await Promise.all([
+    payload.jti ? kvExists(`auth:denylist:jti:${payload.jti}`) : false,
+    payload.sid ? kvExists(`auth:denylist:sid:${payload.sid}`) : false,
+    kvGet(`auth:token-version:${payload.userId}`)
+  ]);
+
+  if (jtiRevoked || sidRevoked) {
+    return true;
+  }
+
+  return currentVersion !== null && tokenVersion < parseInt(currentVersion);
+};
@@ -0,0 +1,167 @@
+import zlib from 'zlib';
+
+/**
+ * ZIP Writer & Reader
+ * Buat / baca file ZIP sederhana di memory (store & deflate, tanpa enkripsi / ZIP64),
+ * cukup untuk export data user dan membaca isi file DOCX
+ * Format mengikuti PKWARE APPNOTE: local file header + data, lalu central directory
+ */
+
+const toDosDateTime = (date) => {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+};
+
+// Tabel CRC-32 (polynomial 0xEDB88320), zlib.crc32 baru ada di Node 20.15 / 22.2
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Buat ZIP dari daftar file
+ * @param {Array<Object>} entries - [{ name, data }] data berupa Buffer atau string (UTF-8)
+ * @returns {Buffer}
+ */
+export const createZip = (entries) => {
+  const { time, day } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data }) => {
+    const fileName = Buffer.from(name, 'utf8');
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+    const compressed = zlib.deflateRawSync(content);
+    const crc = crc32(content);
+
+    const localHeader = Buffer.alloc(30);
+    localHeader.writeUInt32LE(0x04034b50, 0); // signature
+    localHeader.writeUInt16LE(20, 4); // version needed
+    localHeader.writeUInt16LE(0x0800, 6); // flag: nama file UTF-8
+    localHeader.writeUInt16LE(8, 8); // method: deflate
+    localHeader.writeUInt16LE(time, 10);
+    localHeader.writeUInt16LE(day, 12);
+    localHeader.writeUInt32LE(crc, 14);
+    localHeader.writeUInt32LE(compressed.length, 18);
+    localHeader.writeUInt32LE(content.length, 22);
+    localHeader.writeUInt16LE(fileName.length, 26);
+    localHeader.writeUInt16LE(0, 28); // extra field length
+
+    const centralHeader = Buffer.alloc(46);
+    centralHeader.writeUInt32LE(0x02014b50, 0); // signature
+    centralHeader.writeUInt16LE(20, 4); // version made by
+    centralHeader.writeUInt16LE(20, 6); // version needed
+    centralHeader.writeUInt16LE(0x0800, 8);
+    centralHeader.writeUInt16LE(8, 10);
+    centralHeader.writeUInt16LE(time, 12);
+    centralHeader.writeUInt16LE(day, 14);
+    centralHeader.writeUInt32LE(crc, 16);
+    centralHeader.writeUInt32LE(compressed.length, 20);
+    centralHeader.writeUInt32LE(content.length, 24);
+    centralHeader.writeUInt16LE(fileName.length, 28);
+    centralHeader.writeUInt32LE(offset, 42); // offset local header (field lain 0)
+
+    localParts.push(localHeader, fileName, compressed);
+    centralParts.push(centralHeader, fileName);
+    offset += localHeader.length + fileName.length + compressed.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0); // signature
+  end.writeUInt16LE(entries.length, 8); // entries di disk ini
+  end.writeUInt16LE(entries.length, 10); // total entries
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+/**
+ * Baca satu file dari ZIP
+ * @param {Buffer} buffer - Isi file ZIP
+ * @param {String} name - Nama file di dalam ZIP (misal word/document.xml)
+ * @param {Number} maxSize - Batas ukuran setelah di-extract (cegah zip bomb)
+ * @returns {Buffer|null} - Null kalau file tidak ada
+ * @throws Kalau ZIP rusak, metode kompresi tidak didukung atau isinya melebihi maxSize
+ */
+export const readZipEntry = (buffer, name, maxSize = 20 * 1024 * 1024) => {
+  // End of central directory ada di akhir file, sebelum komentar ZIP (maksimal 65535 byte)
+  const searchStart = Math.max(0, buffer.length - 22 - 0xffff);
+  let end = -1;
+
+  for (let i = buffer.length - 22; i >= searchStart; i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+
+  if (end < 0) {
+    throw new Error('Invalid ZIP file');
+  }
+
+  const entries = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < entries; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Invalid ZIP central directory');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const entryName = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (entryName !== name) {
+      continue;
+    }
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+      throw new Error('Invalid ZIP local header');
+    }
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      if (data.length > maxSize) {
+        throw new Error('ZIP entry is too large');
+      }
+      return data;
+    }
+
+    if (method === 8) {
+      return zlib.inflateRawSync(data, { maxOutputLength: maxSize });
+    }
+
+    throw new Error(`Unsupported ZIP compression method: ${method}`);
+  }
+
+  return null;
+};
+
+export default {
+  createZip,
+  readZipEntry
+};